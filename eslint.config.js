@@ -0,0 +1,39 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  {
+    ignores: ['node_modules/', 'media/', 'uploads/']
+  },
+  js.configs.recommended,
+  {
+    rules: {
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+    }
+  },
+  {
+    files: ['*.js', 'lib/**/*.js', 'scripts/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2023,
+      sourceType: 'module',
+      globals: globals.node
+    }
+  },
+  {
+    // Plain scripts that share top-level functions and state with each
+    // other and the pages, so cross-file names can't be checked here
+    files: ['public/js/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2023,
+      sourceType: 'script',
+      globals: {
+        ...globals.browser,
+        io: 'readonly'
+      }
+    },
+    rules: {
+      'no-undef': 'off',
+      'no-unused-vars': ['error', { vars: 'local', args: 'none', caughtErrors: 'none' }]
+    }
+  }
+];
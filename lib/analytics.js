@@ -0,0 +1,59 @@
+import { isQueryString } from './validation.js';
+
+// Analytics buckets and report ranges
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const ANALYTICS_GRANULARITIES = {
+  hour: { size: HOUR, retention: 14 * DAY, defaultRange: 48 * HOUR },
+  day: { size: DAY, retention: 2 * 365 * DAY, defaultRange: 30 * DAY }
+};
+
+// The longest range one report covers, whatever the retention
+export const ANALYTICS_MAX_RANGE = 90 * DAY;
+
+// Buckets start on UTC hour and day boundaries
+export const getBucketStart = (time, granularity) => {
+  const { size } = ANALYTICS_GRANULARITIES[granularity];
+  return new Date(Math.floor(time / size) * size);
+};
+
+// Reads granularity/from/to off a report's query. The range defaults to the
+// last 48 hours or 30 days; `to` stops at `now`, and `from` moves up to
+// ANALYTICS_MAX_RANGE before `to` and never reaches past what is retained.
+export const parseAnalyticsRange = (query, now = Date.now()) => {
+  if (![query.granularity, query.from, query.to].every(isQueryString)) {
+    return { error: 'granularity, from and to must be given once, as text' };
+  }
+  
+  const granularity = query.granularity || 'day';
+  if (!Object.hasOwn(ANALYTICS_GRANULARITIES, granularity)) {
+    return { error: `granularity must be one of: ${Object.keys(ANALYTICS_GRANULARITIES).join(', ')}` };
+  }
+  const config = ANALYTICS_GRANULARITIES[granularity];
+  
+  const requestedTo = query.to ? new Date(query.to) : new Date(now);
+  const to = new Date(Math.min(requestedTo.getTime(), now));
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - config.defaultRange);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return { error: 'from and to must be dates with from before to' };
+  }
+  
+  const earliest = Math.max(to.getTime() - ANALYTICS_MAX_RANGE, now - config.retention);
+  
+  return {
+    granularity,
+    from: getBucketStart(Math.max(from.getTime(), earliest), granularity),
+    to
+  };
+};
+
+// Every bucket in the range, so charts get explicit zeros for quiet periods
+export const listBuckets = ({ granularity, from, to }) => {
+  const { size } = ANALYTICS_GRANULARITIES[granularity];
+  const buckets = [];
+  for (let time = from.getTime(); time < to.getTime(); time += size) {
+    buckets.push(new Date(time));
+  }
+  return buckets;
+};
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+export const isPasswordHash = (stored) => typeof stored === 'string' && stored.startsWith('scrypt$');
+
+export const verifyPassword = async (password, stored = '') => {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Accounts created before hashing stored plaintext. Both sides are digested
+// first so the comparison is constant time and doesn't leak the length.
+export const verifyLegacyPassword = (password, stored) => {
+  if (typeof password !== 'string' || typeof stored !== 'string' || !stored || isPasswordHash(stored)) {
+    return false;
+  }
+  
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(password), digest(stored));
+};
+
+const readBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Token issuing and checking for one signing secret. Refresh tokens carry
+// the user's tokenVersion so logout can revoke them all.
+export const createTokenAuth = ({ secret, accessTtl = '15m', refreshTtl = '30d' }) => {
+  const issueTokens = (user) => ({
+    accessToken: jwt.sign(
+      { sub: user._id.toString(), username: user.username, type: 'access' },
+      secret,
+      { expiresIn: accessTtl }
+    ),
+    refreshToken: jwt.sign(
+      { sub: user._id.toString(), ver: user.tokenVersion, type: 'refresh' },
+      secret,
+      { expiresIn: refreshTtl }
+    ),
+    expiresIn: accessTtl
+  });
+  
+  // The user an access token belongs to, with when it expires; null if invalid
+  const verifyAccessToken = (token) => {
+    try {
+      const payload = jwt.verify(token, secret);
+      return payload.type === 'access'
+        ? { id: payload.sub, username: payload.username, expiresAt: payload.exp * 1000 }
+        : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  
+  // { id, version } for a valid refresh token, null otherwise
+  const verifyRefreshToken = (token) => {
+    try {
+      const payload = jwt.verify(token, secret);
+      return payload.type === 'refresh' ? { id: payload.sub, version: payload.ver } : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  
+  const authenticate = (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    const user = verifyAccessToken(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    
+    req.user = { id: user.id, username: user.username };
+    next();
+  };
+  
+  // For routes that work signed out but attribute to the user when signed in
+  const getOptionalUser = (req) => {
+    const token = readBearerToken(req);
+    const user = token && verifyAccessToken(token);
+    return user ? { id: user.id, username: user.username } : null;
+  };
+  
+  return { issueTokens, verifyAccessToken, verifyRefreshToken, authenticate, getOptionalUser };
+};
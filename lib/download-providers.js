@@ -0,0 +1,193 @@
+import axios from 'axios';
+
+// Download Providers
+// A provider turns a videoId into a downloadable file: { downloadUrl, title,
+// thumbnail, duration, quality, format } plus `localPath` when the file lives
+// on this server. A provider chain tries them in order behind a circuit
+// breaker each.
+
+// Whether a failure says something about the provider rather than the video:
+// no response at all or a 5xx counts, an answer about the video doesn't.
+// Providers can decide for themselves by setting `providerFault`.
+export const isProviderFault = (error) => {
+  if (typeof error.providerFault === 'boolean') {
+    return error.providerFault;
+  }
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+  return Boolean(error.isAxiosError || error.code);
+};
+
+export const createGiftedTechProvider = ({ baseUrl, getApiKey, timeout = 30000 }) => ({
+  name: 'giftedtech',
+  
+  isConfigured: () => Boolean(getApiKey()),
+  
+  async resolve(videoId, { format, quality }) {
+    const params = {
+      apikey: getApiKey(),
+      url: `https://www.youtube.com/watch?v=${videoId}`
+    };
+    let endpoint;
+    
+    switch (format) {
+      case 'video':
+        endpoint = 'ytv';
+        if (quality !== '720p') {
+          params.quality = quality;
+        }
+        break;
+      case 'audio':
+        if (quality === 'mp3') {
+          endpoint = 'dlmp3';
+        } else {
+          endpoint = 'ytaudio';
+          params.format = quality;
+        }
+        break;
+      default:
+        endpoint = 'dlmp3';
+    }
+    
+    console.log(`Calling GiftedTech API: ${endpoint} for ${videoId}`);
+    
+    const response = await axios.get(`${baseUrl.replace(/\/$/, '')}/api/download/${endpoint}`, {
+      params,
+      timeout
+    });
+    
+    const { result } = response.data;
+    if (!response.data.success || !result?.download_url) {
+      const error = new Error('GiftedTech API returned error');
+      error.providerFault = false;
+      throw error;
+    }
+    
+    return {
+      downloadUrl: result.download_url,
+      title: result.title || 'Unknown Title',
+      thumbnail: result.thumbnail || '',
+      duration: result.duration || '0:00',
+      quality: result.quality || quality,
+      format
+    };
+  }
+});
+
+// Circuit breaker per provider: after `failureThreshold` consecutive provider
+// faults the provider is skipped for `cooldown` ms, then a single trial
+// request decides whether it closes again. Failures that are about the video
+// show the provider is answering, so they close the circuit like a success.
+export const createProviderChain = ({ getProviders, failureThreshold = 3, cooldown = 60 * 1000 }) => {
+  const providerHealth = new Map();
+  
+  const getProviderHealth = (name) => {
+    if (!providerHealth.has(name)) {
+      providerHealth.set(name, {
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        openedAt: null,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null
+      });
+    }
+    
+    return providerHealth.get(name);
+  };
+  
+  const getCircuitState = (health) => {
+    if (!health.openedAt) {
+      return 'closed';
+    }
+    return Date.now() - health.openedAt >= cooldown ? 'half-open' : 'open';
+  };
+  
+  const closeCircuit = (health) => {
+    health.consecutiveFailures = 0;
+    health.openedAt = null;
+  };
+  
+  const recordSuccess = (health) => {
+    health.successes++;
+    health.lastSuccessAt = new Date();
+    closeCircuit(health);
+  };
+  
+  const recordFailure = (health, error) => {
+    health.failures++;
+    health.lastError = error.message;
+    health.lastFailureAt = new Date();
+    
+    if (!isProviderFault(error)) {
+      closeCircuit(health);
+      return;
+    }
+    
+    health.consecutiveFailures++;
+    if (health.consecutiveFailures >= failureThreshold) {
+      health.openedAt = Date.now();
+    }
+  };
+  
+  const getStatus = () => getProviders().map(provider => {
+    const health = getProviderHealth(provider.name);
+    
+    return {
+      name: provider.name,
+      configured: provider.isConfigured(),
+      state: getCircuitState(health),
+      successes: health.successes,
+      failures: health.failures,
+      consecutiveFailures: health.consecutiveFailures,
+      lastError: health.lastError,
+      lastSuccessAt: health.lastSuccessAt,
+      lastFailureAt: health.lastFailureAt
+    };
+  });
+  
+  const resolve = async (videoId, format = 'mp3', quality = '320kbps') => {
+    const attempts = [];
+    
+    for (const provider of getProviders()) {
+      if (!provider.isConfigured()) {
+        attempts.push({ provider: provider.name, skipped: 'not configured' });
+        continue;
+      }
+      
+      const health = getProviderHealth(provider.name);
+      const state = getCircuitState(health);
+      
+      if (state === 'open') {
+        attempts.push({ provider: provider.name, skipped: 'circuit open' });
+        continue;
+      }
+      
+      // Re-arm the cooldown so concurrent requests don't all join the trial
+      if (state === 'half-open') {
+        health.openedAt = Date.now();
+      }
+      
+      try {
+        const result = await provider.resolve(videoId, { format, quality });
+        recordSuccess(health);
+        
+        return { success: true, provider: provider.name, ...result, attempts };
+      } catch (error) {
+        recordFailure(health, error);
+        console.error(`Download provider ${provider.name} failed:`, error.message);
+        attempts.push({ provider: provider.name, error: error.message });
+      }
+    }
+    
+    return {
+      success: false,
+      error: 'All download providers failed',
+      attempts
+    };
+  };
+  
+  return { resolve, getStatus };
+};
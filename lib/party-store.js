@@ -0,0 +1,139 @@
+// Listening party state
+// Each party is one JSON document carrying a `version`. A save only goes
+// through if the stored version is still the one the change started from, so
+// two instances changing the same party at once can't overwrite each other:
+// the one that loses reloads the party and applies its change again. Parties
+// and their invite codes expire after the TTL (in ms) given on each save.
+// Redis shares them between instances; the memory store is the fallback when
+// Redis isn't configured.
+
+// KEYS: party, invite code; ARGV: party JSON, expected version, TTL
+const SAVE_IF_VERSION = `
+local current = redis.call('GET', KEYS[1])
+local version = current and cjson.decode(current).version or 0
+if version ~= tonumber(ARGV[2]) then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[3])
+redis.call('PEXPIRE', KEYS[2], ARGV[3])
+return 1
+`;
+
+export const createRedisPartyStore = (client) => ({
+  get: async (partyId) => {
+    const party = await client.get(`party:${partyId}`);
+    return party ? JSON.parse(party) : null;
+  },
+  // Resolves to false if the party changed since it was read
+  save: async (party, ttl) => {
+    const version = party.version + 1;
+    const saved = await client.eval(
+      SAVE_IF_VERSION,
+      2,
+      `party:${party.id}`,
+      `party_invite:${party.inviteCode}`,
+      JSON.stringify({ ...party, version }),
+      party.version,
+      ttl
+    );
+    
+    if (saved === 1) {
+      party.version = version;
+    }
+    return saved === 1;
+  },
+  // Resolves to false if the code is taken
+  claimInvite: async (code, partyId, ttl) => (
+    (await client.set(`party_invite:${code}`, partyId, 'PX', ttl, 'NX')) === 'OK'
+  ),
+  findInvite: (code) => client.get(`party_invite:${code}`),
+  releaseInvite: async (code) => {
+    await client.del(`party_invite:${code}`);
+  }
+});
+
+export const createMemoryPartyStore = ({ now = Date.now } = {}) => {
+  // party id -> { party (JSON), version, expiresAt }
+  const parties = new Map();
+  // invite code -> { partyId, expiresAt }
+  const partyInvites = new Map();
+  
+  const read = (entries, key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+  
+  const sweep = (entries) => {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+      }
+    }
+  };
+  
+  return {
+    get: async (partyId) => {
+      const entry = read(parties, partyId);
+      return entry ? JSON.parse(entry.party) : null;
+    },
+    save: async (party, ttl) => {
+      if ((read(parties, party.id)?.version ?? 0) !== party.version) {
+        return false;
+      }
+      
+      sweep(parties);
+      const version = party.version + 1;
+      parties.set(party.id, { party: JSON.stringify({ ...party, version }), version, expiresAt: now() + ttl });
+      
+      const invite = read(partyInvites, party.inviteCode);
+      if (invite) {
+        invite.expiresAt = now() + ttl;
+      }
+      
+      party.version = version;
+      return true;
+    },
+    claimInvite: async (code, partyId, ttl) => {
+      if (read(partyInvites, code)) {
+        return false;
+      }
+      
+      sweep(partyInvites);
+      partyInvites.set(code, { partyId, expiresAt: now() + ttl });
+      return true;
+    },
+    findInvite: async (code) => read(partyInvites, code)?.partyId ?? null,
+    releaseInvite: async (code) => {
+      partyInvites.delete(code);
+    }
+  };
+};
+
+// Loads the party, applies `change` and saves it, starting over from a fresh
+// copy if someone else saved in between. `change` edits the party it is given
+// and must not await; returning { error } leaves the party as it was. `ttl`
+// gives each saved party its TTL. Resolves to { party, result } once saved,
+// or { error }.
+export const updateParty = async (store, partyId, change, { ttl, attempts = 5 }) => {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const party = await store.get(partyId);
+    if (!party) {
+      return { error: 'This party has ended' };
+    }
+    
+    const result = change(party);
+    if (result?.error) {
+      return { error: result.error };
+    }
+    
+    if (await store.save(party, ttl(party))) {
+      return { party, result };
+    }
+  }
+  
+  throw new Error(`Party ${partyId} kept changing while being updated`);
+};
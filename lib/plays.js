@@ -0,0 +1,58 @@
+// Play Counting
+// The server records when a listener starts a mix and measures the time
+// listened from that moment. A client can report less (it was paused) but
+// never more. A play counts once `threshold` seconds have been listened (or
+// half of a shorter mix), at most once per session. Further plays of the same
+// mix by the same listener within `debounce` seconds are not counted again.
+//
+// Sessions and debounce markers live in the shared cache under
+// `play_session:` and `play:` keys, so they expire by TTL on every instance.
+// The debounce marker is taken with SET NX, so concurrent reports from
+// several instances count a play once.
+
+export const createPlayCounter = ({
+  cache,
+  threshold = 30,
+  debounce = 30 * 60,
+  sessionTtl = 6 * 60 * 60,
+  now = Date.now
+}) => {
+  const sessionKey = (videoId, listener) => `play_session:${videoId}:${listener}`;
+  
+  const getThreshold = (duration) => (duration ? Math.min(threshold, duration / 2) : threshold);
+  
+  // `mix` must already be known to be in the catalog
+  const start = async (mix, listener) => {
+    await cache.setex(sessionKey(mix.videoId, listener), sessionTtl, String(now()));
+    return { threshold: getThreshold(mix.duration) };
+  };
+  
+  // `claimed` is the client's own count of seconds heard, if it sent one
+  const report = async (mix, listener, claimed) => {
+    const key = sessionKey(mix.videoId, listener);
+    const required = getThreshold(mix.duration);
+    const startedAt = Number(await cache.get(key));
+    
+    if (!startedAt) {
+      return { counted: false, threshold: required, reason: 'No play session' };
+    }
+    
+    const elapsed = Math.max(now() - startedAt, 0) / 1000;
+    const listened = Number.isFinite(claimed) && claimed >= 0 ? Math.min(claimed, elapsed) : elapsed;
+    
+    if (listened < required) {
+      return { counted: false, threshold: required, listened };
+    }
+    
+    // The session is spent either way; a later play starts a new one
+    await cache.del(key);
+    
+    if (!(await cache.add(`play:${mix.videoId}:${listener}`, debounce, '1'))) {
+      return { counted: false, threshold: required, listened, reason: 'Already counted recently' };
+    }
+    
+    return { counted: true, threshold: required, listened };
+  };
+  
+  return { getThreshold, start, report };
+};
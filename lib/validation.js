@@ -0,0 +1,72 @@
+// Request validation shared by the routes
+
+// YouTube ids are 11 url-safe characters; uploads are `upload_<uuid>`, or
+// `upload_<timestamp>` for those made before uploads got random ids
+const VIDEO_ID_PATTERN = /^(?:[\w-]{11}|upload_\d+|upload_[\da-f]{8}(?:-[\da-f]{4}){3}-[\da-f]{12})$/;
+const YOUTUBE_ID_PATTERN = /^[\w-]{11}$/;
+
+export const isValidVideoId = (videoId) => typeof videoId === 'string' && VIDEO_ID_PATTERN.test(videoId);
+
+export const isYouTubeVideoId = (videoId) => typeof videoId === 'string' && YOUTUBE_ID_PATTERN.test(videoId);
+
+// For routes keyed by :videoId that must only serve mixes in the catalog.
+// Malformed ids are turned away before `findVideo` is asked; the video found
+// is left on req.video.
+export const requireKnownVideo = (findVideo) => async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    const video = isValidVideoId(videoId) ? await findVideo(videoId) : null;
+    
+    if (!video) {
+      return res.status(404).json({ error: 'Mix not found' });
+    }
+    
+    req.video = video;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Express parses `?q[]=a` and `?q[a]=b` into arrays and objects; parameters
+// read as text must be a single string (or absent)
+export const isQueryString = (value) => value === undefined || typeof value === 'string';
+
+// For parameters that may repeat, like `?tag=a&tag=b`
+export const isQueryStringList = (value) =>
+  isQueryString(value) || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+// The first of `names` that isn't a single string, if any
+export const findNonStringParam = (query, names) => names.find(name => !isQueryString(query[name]));
+
+// Body fields that end up in database filters must be text, or a JSON body
+// like `{"email": {"$ne": null}}` would reach Mongo as a query operator
+export const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Free-text fields such as descriptions may be empty but must be text
+export const validateDescription = (description, maxLength) => {
+  if (typeof description !== 'string') {
+    return 'Description must be text';
+  }
+  if (description.trim().length > maxLength) {
+    return `Description must be at most ${maxLength} characters`;
+  }
+  return null;
+};
+
+// Letters and numbers in any script, spaces and a little punctuation; names
+// are shown on shared preset pages, so no markup or control characters
+const PRESET_NAME_PATTERN = /^[\p{L}\p{M}\p{N} .,'&()!?+#/_-]+$/u;
+
+export const validatePresetName = (name, maxLength) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Preset name is required';
+  }
+  if (name.trim().length > maxLength) {
+    return `Preset name must be at most ${maxLength} characters`;
+  }
+  if (!PRESET_NAME_PATTERN.test(name.trim())) {
+    return 'Preset name may only use letters, numbers, spaces and . , \' & ( ) ! ? + # / _ -';
+  }
+  return null;
+};
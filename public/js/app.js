@@ -9,7 +9,7 @@ let socket = null;
 let currentUser = null;
 let currentMix = null;
 let player = null;
-let equalizerSettings = { bass: 0, mid: 0, treble: 0 };
+let equalizerSettings = null;
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', function() {
@@ -28,78 +28,232 @@ document.addEventListener('DOMContentLoaded', function() {
         initPlayer();
     }
     
-    // Check if we're on equalizer page
-    if (window.location.pathname === '/equalizer') {
+    // The player page carries the equalizer panel too
+    if (window.location.pathname === '/player' || window.location.pathname === '/equalizer') {
         initEqualizer();
     }
 });
 
 // Theme management
 function initTheme() {
-    const savedTheme = localStorage.getItem('theme') || 'dark';
-    const isDark = savedTheme === 'dark';
+    applyTheme(localStorage.getItem('theme') || 'dark');
+    
+    const themeToggle = document.getElementById('themeToggle');
+    if (themeToggle) {
+        themeToggle.addEventListener('click', toggleTheme);
+    }
+}
+
+function applyTheme(theme) {
+    const isDark = theme !== 'light';
     
     document.documentElement.classList.toggle('dark', isDark);
+    localStorage.setItem('theme', theme);
     
     const themeToggle = document.getElementById('themeToggle');
     if (themeToggle) {
         themeToggle.innerHTML = isDark ? 
             '<i class="fas fa-moon"></i>' : 
             '<i class="fas fa-sun"></i>';
-        
-        themeToggle.addEventListener('click', toggleTheme);
     }
 }
 
 function toggleTheme() {
-    const isDark = document.documentElement.classList.contains('dark');
-    const newTheme = isDark ? 'light' : 'dark';
-    
-    document.documentElement.classList.toggle('dark', !isDark);
-    localStorage.setItem('theme', newTheme);
-    
-    this.innerHTML = isDark ? 
-        '<i class="fas fa-sun"></i>' : 
-        '<i class="fas fa-moon"></i>';
-    
-    // Update theme on server if user is logged in
-    if (currentUser) {
-        updateUserPreferences({ theme: newTheme });
-    }
+    const newTheme = document.documentElement.classList.contains('dark') ? 'light' : 'dark';
+    setPreference('theme', newTheme);
 }
 
 // Socket.IO connection
 function initSocket() {
-    socket = io(SOCKET_URL);
+    if (typeof io === 'undefined') return;
     
-    socket.on('connect', () => {
-        console.log('Connected to server via WebSocket');
+    // The token is read on every (re)connect, so it is always the latest.
+    // WebSocket first: with several server instances, polling only works if
+    // every request reaches the same one, so it is only a fallback.
+    socket = io(SOCKET_URL, {
+        auth: (callback) => callback({ token: getAccessToken() }),
+        transports: ['websocket', 'polling'],
+        tryAllTransports: true
     });
     
-    socket.on('progress-update', (data) => {
-        // Handle real-time progress updates from other clients
-        if (data.room === 'global' && player) {
-            updatePlayerProgress(data.currentTime, data.duration);
+    socket.on('connect', () => {
+        console.log('Connected to server via WebSocket');
+        // The server forgets what a socket was playing when it drops
+        if (presenceVideoId) {
+            socket.emit('presence:listening', presenceVideoId);
         }
     });
     
     socket.on('disconnect', () => {
         console.log('Disconnected from server');
     });
+    
+    // A refused handshake isn't retried; refresh (or drop) the session and go again
+    socket.on('connect_error', async (error) => {
+        if (error.message !== 'Invalid or expired token') return;
+        
+        if (!await refreshSession()) {
+            clearSession();
+        }
+        socket.connect();
+    });
+}
+
+// Session management
+let refreshPromise = null;
+
+function getAccessToken() {
+    return localStorage.getItem('accessToken');
+}
+
+function storeSession(data) {
+    localStorage.setItem('accessToken', data.tokens.accessToken);
+    localStorage.setItem('refreshToken', data.tokens.refreshToken);
+    localStorage.setItem('userId', data.user.id);
+    socket?.emit('auth', data.tokens.accessToken);
+}
+
+function clearSession() {
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('userId');
+    currentUser = null;
+    socket?.emit('auth', null);
+}
+
+async function refreshSession() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+    
+    // Share one refresh between requests that hit a 401 at the same time
+    if (!refreshPromise) {
+        refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) {
+                    clearSession();
+                    return false;
+                }
+                
+                storeSession(data);
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    
+    return refreshPromise;
+}
+
+// fetch() against the API with the access token, retrying once after a refresh
+async function authFetch(path, options = {}) {
+    const send = () => fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            Authorization: `Bearer ${getAccessToken()}`
+        }
+    });
+    
+    let response = await send();
+    if (response.status === 401 && await refreshSession()) {
+        response = await send();
+    }
+    
+    return response;
+}
+
+async function login(email, password) {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+    });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Login failed');
+    }
+    
+    storeSession(data);
+    await loadUserPreferences();
+    return currentUser;
+}
+
+async function register(username, email, password) {
+    const response = await fetch(`${API_BASE_URL}/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, email, password })
+    });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Registration failed');
+    }
+    
+    storeSession(data);
+    await loadUserPreferences();
+    return currentUser;
+}
+
+// Account-only pages show this form until there is a session
+function renderSignInForm(container, onSignedIn) {
+    container.innerHTML = `
+        <form class="max-w-sm mx-auto space-y-4">
+            <h2 class="text-xl font-semibold">Sign in to continue</h2>
+            <input name="email" type="email" required placeholder="Email" class="w-full px-4 py-2 bg-dark-700 border border-dark-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-neon-blue">
+            <input name="password" type="password" required placeholder="Password" class="w-full px-4 py-2 bg-dark-700 border border-dark-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-neon-blue">
+            <p class="sign-in-error text-sm text-red-500 hidden"></p>
+            <button type="submit" class="w-full px-4 py-2 bg-gradient-neon rounded-lg font-semibold hover:opacity-90 transition-opacity">Sign in</button>
+        </form>
+    `;
+    
+    const form = container.querySelector('form');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorEl = form.querySelector('.sign-in-error');
+        
+        try {
+            await login(form.email.value, form.password.value);
+            onSignedIn();
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+        }
+    });
+}
+
+async function logout() {
+    try {
+        await authFetch('/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Logout error:', error);
+    } finally {
+        clearSession();
+        updateUserUI();
+    }
 }
 
 // User management
 async function loadUserPreferences() {
     try {
-        const userId = localStorage.getItem('userId');
-        if (!userId) return;
+        if (!getAccessToken()) return;
         
-        const response = await fetch(`${API_BASE_URL}/profile/${userId}`);
+        const response = await authFetch('/profile');
         const data = await response.json();
         
         if (data.success) {
-            currentUser = data.user;
-            equalizerSettings = data.user.preferences?.equalizer || { bass: 0, mid: 0, treble: 0 };
+            currentUser = { ...data.user, id: data.user._id };
+            equalizerSettings = data.user.preferences?.equalizer || createFlatEqualizer();
+            renderEqualizer();
+            applyPreferences(data.user.preferences);
             
             // Update UI with user data
             updateUserUI();
@@ -109,6 +263,56 @@ async function loadUserPreferences() {
     }
 }
 
+// Preferences live on the account when signed in, so every device picks up
+// the same theme, quality and playback settings; localStorage keeps them for guests
+// and until the profile loads.
+const PREFERENCE_DEFAULTS = {
+    theme: 'dark',
+    audioQuality: 'high',
+    autoPlay: true,
+    crossfade: 0,
+    loudnessMatch: false
+};
+const PREFERRED_AUDIO_PROFILES = { low: 'mp3-128', medium: 'mp3-192', high: 'mp3-320', lossless: 'flac' };
+
+function getPreference(name) {
+    const stored = localStorage.getItem(`pref:${name}`);
+    return currentUser?.preferences?.[name] ??
+        (stored !== null ? JSON.parse(stored) : PREFERENCE_DEFAULTS[name]);
+}
+
+function applyPreferences(preferences = {}) {
+    Object.keys(PREFERENCE_DEFAULTS).forEach(name => {
+        if (preferences[name] !== undefined) {
+            localStorage.setItem(`pref:${name}`, JSON.stringify(preferences[name]));
+        }
+    });
+    
+    if (preferences.theme) {
+        applyTheme(preferences.theme);
+    }
+    
+    document.dispatchEvent(new CustomEvent('preferences-changed', {
+        detail: Object.fromEntries(Object.keys(PREFERENCE_DEFAULTS).map(name => [name, getPreference(name)]))
+    }));
+}
+
+async function setPreference(name, value) {
+    if (currentUser) {
+        currentUser.preferences = { ...currentUser.preferences, [name]: value };
+    }
+    applyPreferences({ [name]: value });
+    
+    return updateUserPreferences({ [name]: value });
+}
+
+// Pick up changes made on another device when coming back to this one
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && currentUser) {
+        loadUserPreferences();
+    }
+});
+
 function updateUserUI() {
     // Update user avatar and name in navigation
     const userElements = document.querySelectorAll('.user-avatar, .user-name');
@@ -126,26 +330,140 @@ async function updateUserPreferences(preferences) {
     if (!currentUser) return;
     
     try {
-        const response = await fetch(`${API_BASE_URL}/profile/${currentUser.id}`, {
-            method: 'PUT',
+        const response = await authFetch('/profile', {
+            method: 'PATCH',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ preferences })
         });
         
         const data = await response.json();
-        return data.success;
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to update preferences');
+        }
+        
+        currentUser = { ...data.user, id: data.user._id };
+        return true;
     } catch (error) {
         console.error('Failed to update preferences:', error);
         return false;
     }
 }
 
+// Favorites
+let favoriteIds = new Set();
+
+async function loadFavorites() {
+    if (!getAccessToken()) return favoriteIds;
+    
+    try {
+        const response = await authFetch('/favorites');
+        const data = await response.json();
+        
+        if (data.success) {
+            favoriteIds = new Set(data.favorites.map(favorite => favorite.videoId));
+        }
+    } catch (error) {
+        console.error('Failed to load favorites:', error);
+    }
+    
+    return favoriteIds;
+}
+
+function isFavorite(videoId) {
+    return favoriteIds.has(videoId);
+}
+
+function renderFavoriteButton(button, favorite) {
+    const icon = button.querySelector('i');
+    
+    icon.classList.toggle('fas', favorite);
+    icon.classList.toggle('far', !favorite);
+    button.classList.toggle('text-red-500', favorite);
+    button.classList.toggle('text-gray-400', !favorite);
+    button.title = favorite ? 'Remove from favorites' : 'Add to favorites';
+}
+
+async function toggleFavorite(videoId, button) {
+    if (!getAccessToken()) {
+        showError('Sign in to save favorites');
+        return;
+    }
+    
+    const favorite = !isFavorite(videoId);
+    renderFavoriteButton(button, favorite);
+    
+    try {
+        const response = await authFetch(`/favorites/${videoId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ favorite })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to update favorites');
+        }
+        
+        if (data.favorite) {
+            favoriteIds.add(videoId);
+        } else {
+            favoriteIds.delete(videoId);
+        }
+        
+        renderFavoriteButton(button, data.favorite);
+        showSuccess(data.message);
+    } catch (error) {
+        console.error('Favorite error:', error);
+        renderFavoriteButton(button, !favorite);
+        showError('Failed to update favorites');
+    }
+}
+
+// Mix cards carry data-video-id and data-title, their buttons a data-action.
+// Pages add their own actions to mixCardActions.
+const THUMBNAIL_PLACEHOLDER = 'data:image/svg+xml,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 300"><rect width="100%" height="100%" fill="#1e293b"/>' +
+    '<text x="50%" y="50%" text-anchor="middle" dy=".3em" fill="white" font-family="sans-serif">DJ BBOY</text></svg>'
+);
+
+const mixCardActions = {
+    play: card => playMix(card.dataset.videoId, card.dataset.title),
+    favorite: (card, button) => toggleFavorite(card.dataset.videoId, button),
+    download: card => downloadMix(card.dataset.videoId, card.dataset.title)
+};
+
+function bindMixCardActions(container) {
+    if (container.dataset.mixActions) return;
+    container.dataset.mixActions = 'bound';
+    
+    container.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        const card = button?.closest('[data-video-id]');
+        const action = button && mixCardActions[button.dataset.action];
+        
+        if (card && action && container.contains(card)) {
+            action(card, button);
+        }
+    });
+    
+    // Image errors don't bubble, so listen in the capture phase
+    container.addEventListener('error', (event) => {
+        const image = event.target;
+        if (image.tagName === 'IMG' && image.src !== THUMBNAIL_PLACEHOLDER) {
+            image.src = THUMBNAIL_PLACEHOLDER;
+        }
+    }, true);
+}
+
 // Dashboard functions
 async function loadDashboard() {
     try {
         showLoading('Loading channel mixes...');
         
-        const response = await fetch(`${API_BASE_URL}/channel/videos`);
+        const [response] = await Promise.all([
+            fetch(`${API_BASE_URL}/channel/videos`),
+            loadFavorites()
+        ]);
         const data = await response.json();
         
         if (data.success) {
@@ -175,20 +493,20 @@ function renderChannelVideos(videos) {
         return;
     }
     
-    container.innerHTML = videos.map((video, index) => `
-        <div class="card-hover bg-gradient-to-br from-dark-700/50 to-dark-800/50 backdrop-blur-lg rounded-2xl overflow-hidden border border-dark-600 hover:border-neon-blue/50 transition-all">
+    bindMixCardActions(container);
+    container.innerHTML = videos.map(video => `
+        <div data-video-id="${escapeHtml(video.videoId)}" data-title="${escapeHtml(video.title)}" class="card-hover bg-gradient-to-br from-dark-700/50 to-dark-800/50 backdrop-blur-lg rounded-2xl overflow-hidden border border-dark-600 hover:border-neon-blue/50 transition-all">
             <div class="relative h-48 overflow-hidden">
                 <img 
-                    src="${video.thumbnail}" 
-                    alt="${video.title}"
+                    src="${escapeHtml(video.thumbnail)}" 
+                    alt="${escapeHtml(video.title)}"
                     class="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500"
                     loading="lazy"
-                    onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 400 300%22><rect width=%22100%25%22 height=%22100%25%22 fill=%22%231e293b%22/><text x=%2250%25%22 y=%2250%25%22 text-anchor=%22middle%22 dy=%22.3em%22 fill=%22white%22 font-family=%22sans-serif%22>${encodeURIComponent(video.title.substring(0, 20))}</text></svg>'"
                 >
                 <div class="absolute inset-0 bg-gradient-to-t from-dark-900 via-transparent to-transparent opacity-70"></div>
                 
                 <button 
-                    onclick="playMix('${video.videoId}', '${video.title.replace(/'/g, "\\'")}')"
+                    data-action="play"
                     class="absolute top-3 left-3 w-10 h-10 bg-gradient-neon rounded-full flex items-center justify-center hover:scale-110 transition-transform"
                 >
                     <i class="fas fa-play text-white"></i>
@@ -200,21 +518,21 @@ function renderChannelVideos(videos) {
             </div>
             
             <div class="p-4">
-                <h4 class="font-bold text-lg mb-2 line-clamp-2">${video.title}</h4>
-                <p class="text-sm text-neon-blue mb-3">${video.channelTitle || 'DJ BBOY'}</p>
+                <h4 class="font-bold text-lg mb-2 line-clamp-2">${escapeHtml(video.title)}</h4>
+                <p class="text-sm text-neon-blue mb-3">${escapeHtml(video.channelTitle || 'DJ BBOY')}</p>
                 
                 <div class="flex items-center justify-between">
                     <div class="flex items-center gap-3">
                         <button 
-                            onclick="toggleFavorite('${video.videoId}', this)"
-                            class="p-2 rounded-lg text-gray-400 hover:text-red-500 hover:bg-dark-700 transition-all"
-                            title="Add to favorites"
+                            data-action="favorite"
+                            class="p-2 rounded-lg ${isFavorite(video.videoId) ? 'text-red-500' : 'text-gray-400'} hover:text-red-500 hover:bg-dark-700 transition-all"
+                            title="${isFavorite(video.videoId) ? 'Remove from favorites' : 'Add to favorites'}"
                         >
-                            <i class="fas fa-heart"></i>
+                            <i class="${isFavorite(video.videoId) ? 'fas' : 'far'} fa-heart"></i>
                         </button>
                         
                         <button 
-                            onclick="downloadMix('${video.videoId}', '${video.title.replace(/'/g, "\\'")}')"
+                            data-action="download"
                             class="p-2 rounded-lg text-gray-400 hover:text-neon-blue hover:bg-dark-700 transition-all"
                             title="Download"
                         >
@@ -232,81 +550,161 @@ function renderChannelVideos(videos) {
 }
 
 // Player functions
+// The player has two decks, <audio> elements that take turns: `element` is the
+// one playing and `standby` preloads the next mix in the queue (see Transitions)
 function initPlayer() {
     const audioElement = document.getElementById('audioElement');
     if (!audioElement) return;
     
+    const standbyElement = document.createElement('audio');
+    standbyElement.preload = 'auto';
+    
     player = {
         element: audioElement,
+        standby: standbyElement,
+        next: null,
+        fading: null,
+        routed: false,
         isPlaying: false,
         currentTime: 0,
         duration: 0,
         currentMix: null
     };
     
-    // Setup audio event listeners
-    audioElement.addEventListener('loadedmetadata', () => {
-        player.duration = audioElement.duration;
+    // Both decks get the same listeners; events from the idle one are ignored
+    [audioElement, standbyElement].forEach(bindPlayerEvents);
+    initTransitionControls();
+    
+    // Load the mix from the URL, or resume the queue where it was left
+    queueReady.then(() => {
+        const urlParams = new URLSearchParams(window.location.search);
+        const current = getCurrentQueueItem();
+        const videoId = urlParams.get('video') || current?.videoId || localStorage.getItem('currentMixId');
+        
+        if (videoId) {
+            const resumeAt = current?.videoId === videoId ? playQueue.position : 0;
+            loadMix(videoId, { startAt: resumeAt });
+        }
+    });
+}
+
+function bindPlayerEvents(element) {
+    const on = (type, handler) => element.addEventListener(type, () => {
+        if (element === player.element) handler();
+    });
+    
+    on('loadedmetadata', () => {
+        player.duration = element.duration;
         updatePlayerDuration();
     });
     
-    audioElement.addEventListener('timeupdate', () => {
-        player.currentTime = audioElement.currentTime;
-        updatePlayerProgress();
+    on('play', () => {
+        startVisualizer();
+        reportPresence(player.currentMix?.videoId);
         
-        // Send progress update via WebSocket
-        if (socket && socket.connected) {
-            socket.emit('audio-progress', {
-                room: 'global',
-                currentTime: player.currentTime,
-                duration: player.duration
-            });
+        if (player.currentMix && playReport?.videoId !== player.currentMix.videoId) {
+            // Moving on before the previous mix ended
+            if (playReport) {
+                reportPlaybackEvent('skip', playReport.videoId);
+            }
+            startPlayReport(player.currentMix.videoId);
+            addToQueueHistory(player.currentMix);
         }
     });
     
-    audioElement.addEventListener('ended', () => {
+    on('timeupdate', () => {
+        player.currentTime = element.currentTime;
+        updatePlayerProgress();
+        trackListening(element.currentTime);
+        saveQueuePosition(element.currentTime);
+        checkTransition();
+    });
+    
+    on('pause', () => {
+        player.visualizer?.stop();
+        reportPresence(null);
+    });
+    
+    on('ended', () => {
         player.isPlaying = false;
+        player.visualizer?.stop();
+        reportPresence(null);
+        if (playReport) {
+            reportPlaybackEvent('complete', playReport.videoId);
+            playReport = null;
+        }
         updatePlayerControls();
         
-        // Auto-play next mix if enabled
-        if (currentUser?.preferences?.autoPlay) {
-            playNextMix();
+        if (Party.isActive()) {
+            Party.handleEnded();
+        } else if (isAutoAdvancing()) {
+            playNextMix({ auto: true });
         }
     });
+}
+
+// Visualizer
+// Created on first play so the audio graph starts inside the user's gesture
+function startVisualizer() {
+    const canvas = document.getElementById('visualizerCanvas');
+    if (!canvas) return;
     
-    // Load current mix from URL or localStorage
-    const urlParams = new URLSearchParams(window.location.search);
-    const videoId = urlParams.get('video') || localStorage.getItem('currentMixId');
-    
-    if (videoId) {
-        loadMix(videoId);
+    if (!player.visualizer) {
+        player.visualizer = createVisualizer(canvas, {
+            mode: localStorage.getItem('visualizerMode') || 'spectrum'
+        });
+        document.getElementById('visualizerMode')?.addEventListener('click', toggleVisualizerMode);
     }
+    
+    player.visualizer.start();
+}
+
+function toggleVisualizerMode() {
+    if (!player?.visualizer) return;
+    
+    const mode = player.visualizer.mode === 'spectrum' ? 'oscilloscope' : 'spectrum';
+    player.visualizer.setMode(mode);
+    localStorage.setItem('visualizerMode', mode);
+}
+
+async function fetchVideo(videoId) {
+    const response = await fetch(`${API_BASE_URL}/channel/videos/${encodeURIComponent(videoId)}`);
+    if (response.status === 404) return null;
+    
+    const data = await response.json();
+    return data.success ? data.video : null;
 }
 
-async function loadMix(videoId) {
+async function loadMix(videoId, { startAt = 0 } = {}) {
     try {
         showLoading('Loading mix...');
+        cancelTransition();
         
         // Get video info
-        const response = await fetch(`${API_BASE_URL}/channel/videos`);
-        const data = await response.json();
-        
-        if (data.success) {
-            const video = data.videos.find(v => v.videoId === videoId);
-            if (video) {
-                player.currentMix = video;
-                localStorage.setItem('currentMixId', videoId);
-                
-                // Update player UI
-                updatePlayerUI(video);
-                
-                // Get stream URL
-                const streamUrl = `${API_BASE_URL}/stream/${videoId}`;
-                player.element.src = streamUrl;
-                
-                // Load waveform
-                loadWaveform(videoId);
+        const video = await fetchVideo(videoId);
+        if (video) {
+            player.currentMix = video;
+            localStorage.setItem('currentMixId', videoId);
+            followQueue(video);
+            
+            // Update player UI
+            updatePlayerUI(video);
+            
+            // Get stream URL
+            const streamUrl = `${API_BASE_URL}/stream/${videoId}`;
+            player.element.src = streamUrl;
+            if (startAt > 0) {
+                player.element.addEventListener('loadedmetadata', () => {
+                    player.element.currentTime = startAt;
+                }, { once: true });
+                queuePositionSavedAt = startAt;
             }
+            applyLoudness();
+            
+            // Load waveform
+            loadWaveform(videoId);
+        } else {
+            showError('Mix not found');
         }
     } catch (error) {
         console.error('Failed to load mix:', error);
@@ -317,6 +715,11 @@ async function loadMix(videoId) {
 }
 
 async function playMix(videoId, title) {
+    if (Party.isActive()) {
+        Party.playMix(videoId);
+        return;
+    }
+    
     // If we're not on player page, navigate to it
     if (window.location.pathname !== '/player') {
         window.location.href = `/player?video=${videoId}`;
@@ -335,6 +738,12 @@ async function playMix(videoId, title) {
 function togglePlay() {
     if (!player) return;
     
+    // In a listening party the host's controls go through the server
+    if (Party.isActive()) {
+        Party.togglePlay();
+        return;
+    }
+    
     if (player.isPlaying) {
         pause();
     } else {
@@ -345,6 +754,15 @@ function togglePlay() {
 function play() {
     if (!player || !player.element) return;
     
+    // Routed through the engine on first play, inside the user's gesture
+    applyEqualizer();
+    AudioEngine.attach(player.element);
+    AudioEngine.resume();
+    if (!player.routed) {
+        player.routed = true;
+        applyLoudness();
+    }
+    
     player.element.play()
         .then(() => {
             player.isPlaying = true;
@@ -359,6 +777,10 @@ function play() {
 function pause() {
     if (!player || !player.element) return;
     
+    // Pausing mid-crossfade drops the outgoing mix rather than leaving it playing
+    if (player.fading) {
+        finishTransition();
+    }
     player.element.pause();
     player.isPlaying = false;
     updatePlayerControls();
@@ -429,6 +851,11 @@ function seekPlayer(event) {
     const percentage = x / rect.width;
     const newTime = percentage * player.duration;
     
+    if (Party.isActive()) {
+        Party.seek(newTime);
+        return;
+    }
+    
     player.element.currentTime = newTime;
     player.currentTime = newTime;
     updatePlayerProgress();
@@ -440,172 +867,1252 @@ function formatTime(seconds) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
-// Waveform functions
-async function loadWaveform(videoId) {
-    try {
-        const response = await fetch(`${API_BASE_URL}/waveform/${videoId}`);
-        const data = await response.json();
-        
-        if (data.success) {
-            renderWaveform(data.waveform);
-        }
-    } catch (error) {
-        console.error('Failed to load waveform:', error);
-    }
+// Transitions
+// Near the end of a mix the next one in the queue is loaded on the standby
+// deck, then the decks are crossfaded with equal-power curves, or switched
+// straight over when crossfade is 0 so there is no gap to rebuffer. With
+// loudness matching on, each deck's gain also brings its mix to
+// LOUDNESS_TARGET, using the level the server measured with the waveform.
+const CROSSFADE_MAX = 12;
+const PRELOAD_AHEAD = 30;
+const LOUDNESS_TARGET = -14;
+const LOUDNESS_MAX_BOOST = 6;
+const LOUDNESS_MAX_CUT = 12;
+const mixLoudness = new Map();
+
+function getCrossfadeDuration() {
+    return Math.min(CROSSFADE_MAX, Math.max(0, Number(getPreference('crossfade')) || 0));
 }
 
-function renderWaveform(waveformData) {
-    const container = document.getElementById('waveformContainer');
-    if (!container) return;
-    
-    container.innerHTML = '';
+// Mixes only move on by themselves with autoplay on, or to repeat one. In a
+// listening party the host decides what plays next.
+function isAutoAdvancing() {
+    return !Party.isActive() && (playQueue.repeat === 'one' || getPreference('autoPlay'));
+}
+
+// Linear gain for a mix's deck; 1 when matching is off or its level is unknown
+function getLoudnessGain(videoId) {
+    const loudness = mixLoudness.get(videoId);
+    if (!getPreference('loudnessMatch') || typeof loudness !== 'number') return 1;
     
-    waveformData.forEach((height, index) => {
-        const bar = document.createElement('div');
-        bar.className = 'waveform-bar';
-        bar.style.height = `${height}%`;
-        bar.style.width = '4px';
-        bar.style.background = `linear-gradient(to top, #00f0ff, #b967ff)`;
-        bar.style.borderRadius = '2px';
-        bar.style.margin = '0 1px';
-        
-        if (player?.isPlaying) {
-            bar.classList.add('playing');
-        }
-        
-        // Add animation delay for wave effect
-        bar.style.animationDelay = `${index * 0.05}s`;
-        
-        container.appendChild(bar);
+    const db = Math.max(-LOUDNESS_MAX_CUT, Math.min(LOUDNESS_MAX_BOOST, LOUDNESS_TARGET - loudness));
+    return Math.pow(10, db / 20);
+}
+
+// Sine in, cosine out: the two gains' squares always sum to one, so the
+// overall level holds steady through the fade instead of dipping mid-way
+function createFadeCurve(direction, gain, steps = 64) {
+    return Array.from({ length: steps }, (_, i) => {
+        const angle = i / (steps - 1) * Math.PI / 2;
+        return gain * (direction === 'in' ? Math.sin(angle) : Math.cos(angle));
     });
 }
 
-// Download functions
-async function downloadMix(videoId, title) {
-    try {
-        showLoading('Preparing download...');
-        
-        // Show download options modal
-        const options = await getDownloadOptions(videoId);
-        showDownloadModal(videoId, title, options);
-        
-    } catch (error) {
-        console.error('Download error:', error);
-        showError('Failed to prepare download');
-    } finally {
-        hideLoading();
-    }
+// Sets the playing deck's gain for its mix; left alone mid-crossfade and
+// before the first play has started the audio graph
+function applyLoudness(duration = 0) {
+    if (!player?.routed || player.fading) return;
+    
+    AudioEngine.fadeChannel(player.element, getLoudnessGain(player.currentMix?.videoId), duration);
 }
 
-async function getDownloadOptions(videoId) {
+async function fetchLoudness(videoId) {
+    if (mixLoudness.has(videoId)) return;
+    
     try {
-        const response = await fetch(`${API_BASE_URL}/download/options/${videoId}`);
+        const response = await fetch(`${API_BASE_URL}/waveform/${videoId}?buckets=1`);
         const data = await response.json();
-        
         if (data.success) {
-            return data.options;
+            mixLoudness.set(videoId, data.loudness);
         }
-        throw new Error('Failed to get options');
     } catch (error) {
-        console.error('Options error:', error);
-        return {
-            video: [
-                { quality: '720p', label: 'HD Video (720p)', format: 'mp4', size: '~120MB' },
-                { quality: '480p', label: 'Standard Video (480p)', format: 'mp4', size: '~80MB' }
-            ],
-            audio: [
-                { quality: '320kbps', label: 'High Quality Audio (320kbps)', format: 'mp3', size: '~40MB' },
-                { quality: '128kbps', label: 'Standard Audio (128kbps)', format: 'mp3', size: '~15MB' }
-            ]
-        };
+        console.error('Failed to load loudness:', error);
     }
 }
 
-async function startDownload(videoId, format, quality) {
-    try {
-        showLoading(`Downloading ${format} (${quality})...`);
-        
-        const response = await fetch(`${API_BASE_URL}/download/${videoId}?format=${format}&quality=${quality}`);
-        const data = await response.json();
-        
-        if (data.success) {
-            // Create download link
-            const link = document.createElement('a');
-            link.href = data.download.url;
-            link.download = `${data.video.title.replace(/[^\w\s]/gi, '')}.${format}`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            showSuccess('Download started!');
-            
-            // Track download if user is logged in
-            if (currentUser) {
-                trackDownload(videoId, data.video.title, format, quality);
-            }
-        } else {
-            throw new Error(data.error || 'Download failed');
-        }
+function releaseDeck(element) {
+    element.pause();
+    element.removeAttribute('src');
+    element.load();
+}
+
+// Loads whatever an automatic advance will play next onto the standby deck.
+// Called repeatedly; it only starts over when the queue has changed under it.
+async function prepareNextDeck() {
+    const index = peekNextQueueIndex();
+    const item = playQueue.items[index];
+    if (!item) {
+        player.next = null;
+        return;
+    }
+    if (player.next?.index === index && player.next.videoId === item.videoId) return;
+    
+    const next = { index, videoId: item.videoId, video: null };
+    player.next = next;
+    
+    const [video] = await Promise.all([fetchVideo(item.videoId), fetchLoudness(item.videoId)]);
+    if (player.next !== next || !video) return;
+    
+    next.video = video;
+    AudioEngine.fadeChannel(player.standby, 0);
+    player.standby.src = `${API_BASE_URL}/stream/${item.videoId}`;
+    player.standby.load();
+}
+
+// Runs on every timeupdate of the playing deck
+function checkTransition() {
+    const { element } = player;
+    if (player.fading || !player.routed || !Number.isFinite(element.duration) || !isAutoAdvancing()) return;
+    
+    const crossfade = getCrossfadeDuration();
+    const remaining = element.duration - element.currentTime;
+    
+    if (remaining <= crossfade + PRELOAD_AHEAD) {
+        prepareNextDeck();
+    }
+    
+    const ready = player.next?.video && player.standby.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA;
+    if (crossfade > 0 && remaining <= crossfade && ready) {
+        startTransition(remaining);
+    }
+}
+
+function isNextPrepared(index) {
+    return Boolean(player?.next?.video) &&
+        player.next.index === index &&
+        player.next.videoId === playQueue.items[index]?.videoId;
+}
+
+// Swaps the decks so the standby one is playing, fading across `duration` seconds
+function startTransition(duration) {
+    const { next } = player;
+    const outgoing = player.element;
+    const incoming = player.standby;
+    const outgoingGain = getLoudnessGain(player.currentMix?.videoId);
+    const incomingGain = getLoudnessGain(next.videoId);
+    
+    // The outgoing mix counts as heard to the end
+    if (playReport) {
+        reportPlaybackEvent('complete', playReport.videoId);
+        playReport = null;
+    }
+    
+    player.element = incoming;
+    player.standby = outgoing;
+    player.next = null;
+    player.currentMix = next.video;
+    player.duration = incoming.duration || 0;
+    localStorage.setItem('currentMixId', next.videoId);
+    
+    playQueue.index = next.index;
+    playQueue.position = 0;
+    queuePositionSavedAt = 0;
+    saveQueue();
+    
+    updatePlayerUI(next.video);
+    updatePlayerDuration();
+    loadWaveform(next.videoId);
+    
+    if (duration > 0) {
+        AudioEngine.fadeChannel(incoming, incomingGain, duration, createFadeCurve('in', incomingGain));
+        AudioEngine.fadeChannel(outgoing, 0, duration, createFadeCurve('out', outgoingGain));
+        player.fading = setTimeout(finishTransition, duration * 1000);
+    } else {
+        AudioEngine.fadeChannel(incoming, incomingGain);
+        releaseDeck(outgoing);
+    }
+    
+    play();
+}
+
+function finishTransition() {
+    clearTimeout(player.fading);
+    player.fading = null;
+    releaseDeck(player.standby);
+    applyLoudness(0.2);
+}
+
+// Before a mix is loaded by hand: stop any fade and drop the preloaded mix
+function cancelTransition() {
+    if (!player) return;
+    
+    if (player.fading) {
+        finishTransition();
+    } else if (player.standby.getAttribute('src')) {
+        releaseDeck(player.standby);
+    }
+    player.next = null;
+}
+
+function initTransitionControls() {
+    const crossfadeSlider = document.getElementById('crossfadeSlider');
+    const crossfadeValue = document.getElementById('crossfadeValue');
+    const loudnessToggle = document.getElementById('loudnessMatchToggle');
+    
+    const render = () => {
+        if (crossfadeSlider) crossfadeSlider.value = getCrossfadeDuration();
+        if (crossfadeValue) crossfadeValue.textContent = `${getCrossfadeDuration()}s`;
+        if (loudnessToggle) loudnessToggle.checked = Boolean(getPreference('loudnessMatch'));
+    };
+    
+    crossfadeSlider?.addEventListener('input', (e) => {
+        if (crossfadeValue) crossfadeValue.textContent = `${e.target.value}s`;
+    });
+    crossfadeSlider?.addEventListener('change', (e) => {
+        setPreference('crossfade', Number(e.target.value));
+    });
+    loudnessToggle?.addEventListener('change', (e) => {
+        setPreference('loudnessMatch', e.target.checked);
+    });
+    
+    document.addEventListener('preferences-changed', () => {
+        render();
+        applyLoudness(0.5);
+    });
+    render();
+}
+
+// Presence
+// Tells the server which mix this tab is playing, for the live listener
+// counts, and lets pages follow those counts.
+let presenceVideoId = null;
+
+function reportPresence(videoId) {
+    if (videoId === presenceVideoId) return;
+    
+    presenceVideoId = videoId || null;
+    socket?.emit('presence:listening', presenceVideoId);
+}
+
+// `onUpdate` receives { listeners, nowPlaying, mixes: [{ videoId, listeners }] }
+function subscribeToPresence(onUpdate) {
+    if (!socket) return;
+    
+    const subscribe = () => socket.emit('presence:subscribe', onUpdate);
+    socket.on('presence:update', onUpdate);
+    socket.on('connect', subscribe);
+    if (socket.connected) {
+        subscribe();
+    }
+}
+
+// Play reporting
+// Starts a play session on the server when a mix begins, then counts the
+// seconds actually heard (seeking doesn't add any) and reports them once the
+// server's threshold for a play is reached. The server measures the time
+// itself, so a report only tells it the listener was paused for some of it.
+const PLAY_RETRY_DELAY = 30;
+let playReport = null;
+
+async function startPlayReport(videoId) {
+    const report = { videoId, listened: 0, lastTime: null, nextReportAt: null, pending: true };
+    playReport = report;
+    
+    try {
+        const response = await authFetch(`/plays/${report.videoId}/start`, { method: 'POST' });
+        const data = await response.json();
+        report.nextReportAt = data.success ? data.threshold : Infinity;
+    } catch (error) {
+        console.error('Failed to start play:', error);
+        report.nextReportAt = Infinity;
+    } finally {
+        report.pending = false;
+    }
+}
+
+async function reportPlay() {
+    const report = playReport;
+    if (!report || report.pending) return;
+    
+    report.pending = true;
+    try {
+        const response = await authFetch(`/plays/${report.videoId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ listened: Math.floor(report.listened) })
+        });
+        const data = await response.json();
+        
+        // Not heard long enough yet by the server's clock: try again once it should be
+        if (data.success && !data.counted && !data.reason) {
+            report.nextReportAt = report.listened + Math.max(data.threshold - data.listened, 1);
+        } else {
+            report.nextReportAt = Infinity;
+        }
+    } catch (error) {
+        console.error('Failed to report play:', error);
+        report.nextReportAt = report.listened + PLAY_RETRY_DELAY;
+    } finally {
+        report.pending = false;
+    }
+}
+
+function reportPlaybackEvent(type, videoId) {
+    authFetch('/analytics/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type, videoId })
+    }).catch(error => console.error(`Failed to report ${type}:`, error));
+}
+
+function trackListening(currentTime) {
+    const report = playReport;
+    if (!report) return;
+    
+    if (report.lastTime !== null) {
+        const delta = currentTime - report.lastTime;
+        if (delta > 0 && delta < 2) {
+            report.listened += delta;
+        }
+    }
+    report.lastTime = currentTime;
+    
+    if (report.nextReportAt !== null && report.listened >= report.nextReportAt) {
+        reportPlay();
+    }
+}
+
+// Play queue
+// { items: [{ videoId, title, thumbnail }], index, position, shuffle, repeat,
+// history, version }. Kept in localStorage and, when signed in, on the account
+// so a session resumes on any device with the same queue and position. Shuffle
+// reorders the items after the current one; repeat is 'off', 'one' or 'all'.
+const QUEUE_REPEAT_MODES = ['off', 'one', 'all'];
+const QUEUE_HISTORY_LIMIT = 100;
+const QUEUE_POSITION_INTERVAL = 15;
+// Going back this far into a mix restarts it instead
+const PREVIOUS_RESTART_AFTER = 3;
+let playQueue = createEmptyQueue();
+let queueReady = Promise.resolve();
+let queueRevision = 0;
+let queueSync = Promise.resolve();
+let queueSaveTimer = null;
+let queuePositionSavedAt = 0;
+
+function createEmptyQueue() {
+    return { items: [], index: -1, position: 0, shuffle: false, repeat: 'off', history: [], version: 0 };
+}
+
+function toQueueItem(video) {
+    return { videoId: video.videoId, title: video.title, thumbnail: video.thumbnail };
+}
+
+function getCurrentQueueItem() {
+    return playQueue.items[playQueue.index] || null;
+}
+
+// Fisher-Yates, returning a new array
+function shuffleItems(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+async function loadQueue() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('playQueue'));
+        if (stored) {
+            playQueue = { ...createEmptyQueue(), ...stored };
+        }
+    } catch (error) {
+        localStorage.removeItem('playQueue');
+    }
+    
+    if (getAccessToken()) {
+        try {
+            const response = await authFetch('/queue');
+            const data = await response.json();
+            
+            if (data.success) {
+                // A queue built before signing in is carried over to an empty account
+                if (!data.queue.items.length && playQueue.items.length) {
+                    playQueue.version = data.queue.version;
+                    saveQueue();
+                } else {
+                    playQueue = data.queue;
+                    localStorage.setItem('playQueue', JSON.stringify(playQueue));
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load queue:', error);
+        }
+    }
+    
+    renderQueue();
+    return playQueue;
+}
+
+// Saved locally straight away and to the account shortly after; `immediate`
+// is for when the page is about to be left
+function saveQueue({ immediate = false } = {}) {
+    queueRevision++;
+    localStorage.setItem('playQueue', JSON.stringify(playQueue));
+    renderQueue();
+    
+    if (!getAccessToken()) return Promise.resolve();
+    
+    clearTimeout(queueSaveTimer);
+    if (immediate) {
+        return syncQueue();
+    }
+    queueSaveTimer = setTimeout(syncQueue, 1000);
+    return Promise.resolve();
+}
+
+// Saves run one after another so each is based on the version the last returned
+function syncQueue() {
+    queueSync = queueSync.then(async () => {
+        const revision = queueRevision;
+        
+        try {
+            const response = await authFetch('/queue', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                keepalive: true,
+                body: JSON.stringify({
+                    items: playQueue.items.map(item => item.videoId),
+                    index: playQueue.index,
+                    position: playQueue.position,
+                    shuffle: playQueue.shuffle,
+                    repeat: playQueue.repeat,
+                    history: playQueue.history.map(({ videoId, playedAt }) => ({ videoId, playedAt })),
+                    version: playQueue.version
+                })
+            });
+            const data = await response.json();
+            
+            if (response.status === 409 && data.queue) {
+                // Another device got there first; take its queue
+                playQueue = data.queue;
+                localStorage.setItem('playQueue', JSON.stringify(playQueue));
+                renderQueue();
+                showError('Your queue was changed on another device');
+            } else if (data.success) {
+                // Keep edits made while the request was out; they are saved next
+                playQueue = revision === queueRevision ? data.queue : { ...playQueue, version: data.queue.version };
+                localStorage.setItem('playQueue', JSON.stringify(playQueue));
+                renderQueue();
+            } else {
+                throw new Error(data.error || 'Failed to save queue');
+            }
+        } catch (error) {
+            console.error('Failed to save queue:', error);
+        }
+    });
+    
+    return queueSync;
+}
+
+// Called from timeupdate; the position is only sent every QUEUE_POSITION_INTERVAL seconds
+function saveQueuePosition(currentTime) {
+    if (getCurrentQueueItem()?.videoId !== player?.currentMix?.videoId) return;
+    if (Math.abs(currentTime - queuePositionSavedAt) < QUEUE_POSITION_INTERVAL) return;
+    
+    queuePositionSavedAt = currentTime;
+    playQueue.position = currentTime;
+    localStorage.setItem('playQueue', JSON.stringify(playQueue));
+    
+    if (!getAccessToken()) return;
+    
+    authFetch('/queue/position', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ index: playQueue.index, position: currentTime, version: playQueue.version })
+    }).catch(error => console.error('Failed to save queue position:', error));
+}
+
+// Replaces the queue, e.g. with a playlist or the whole catalog
+function setQueue(videos, { shuffle = false } = {}) {
+    const items = videos.map(toQueueItem);
+    
+    playQueue = {
+        ...playQueue,
+        items: shuffle ? shuffleItems(items) : items,
+        index: -1,
+        position: 0,
+        shuffle
+    };
+    return saveQueue();
+}
+
+// With shuffle on, added mixes land somewhere among the upcoming ones. In a
+// listening party, mixes go to the party's queue instead.
+function addToQueue(video) {
+    if (Party.isActive()) {
+        Party.addToQueue(video.videoId);
+        return;
+    }
+    
+    const upcoming = playQueue.items.length - playQueue.index - 1;
+    const index = playQueue.shuffle
+        ? playQueue.index + 1 + Math.floor(Math.random() * (upcoming + 1))
+        : playQueue.items.length;
+    
+    playQueue.items.splice(index, 0, toQueueItem(video));
+    saveQueue();
+    showSuccess('Added to queue');
+}
+
+function playNext(video) {
+    if (Party.isActive()) {
+        Party.addToQueue(video.videoId);
+        return;
+    }
+    
+    playQueue.items.splice(playQueue.index + 1, 0, toQueueItem(video));
+    saveQueue();
+    showSuccess('Playing next');
+}
+
+// Removing the current mix lets it finish; the one after it plays next
+function removeFromQueue(index) {
+    if (!playQueue.items[index]) return;
+    
+    playQueue.items.splice(index, 1);
+    if (index <= playQueue.index) {
+        playQueue.index--;
+    }
+    saveQueue();
+}
+
+function moveInQueue(from, to) {
+    const { items } = playQueue;
+    if (!items[from] || to < 0 || to >= items.length || from === to) return;
+    
+    const [item] = items.splice(from, 1);
+    items.splice(to, 0, item);
+    
+    if (from === playQueue.index) {
+        playQueue.index = to;
+    } else if (from < playQueue.index && to >= playQueue.index) {
+        playQueue.index--;
+    } else if (from > playQueue.index && to <= playQueue.index) {
+        playQueue.index++;
+    }
+    saveQueue();
+}
+
+function clearQueue() {
+    playQueue = { ...playQueue, items: [], index: -1, position: 0 };
+    saveQueue();
+}
+
+function toggleShuffle() {
+    playQueue.shuffle = !playQueue.shuffle;
+    
+    if (playQueue.shuffle) {
+        const played = playQueue.items.slice(0, playQueue.index + 1);
+        playQueue.items = [...played, ...shuffleItems(playQueue.items.slice(playQueue.index + 1))];
+    }
+    saveQueue();
+}
+
+// off -> all -> one -> off
+function cycleRepeat() {
+    const order = ['off', 'all', 'one'];
+    setRepeat(order[(order.indexOf(playQueue.repeat) + 1) % order.length]);
+}
+
+function setRepeat(mode) {
+    if (!QUEUE_REPEAT_MODES.includes(mode)) return;
+    
+    playQueue.repeat = mode;
+    saveQueue();
+}
+
+function addToQueueHistory(video) {
+    playQueue.history = [
+        { ...toQueueItem(video), playedAt: new Date().toISOString() },
+        ...playQueue.history
+    ].slice(0, QUEUE_HISTORY_LIMIT);
+    saveQueue();
+}
+
+// Keeps the queue pointing at whatever the player loaded. A mix opened from
+// outside the queue is slotted in after the current one.
+function followQueue(video) {
+    if (Party.isActive() || getCurrentQueueItem()?.videoId === video.videoId) return;
+    
+    const index = playQueue.items.findIndex(item => item.videoId === video.videoId);
+    if (index !== -1) {
+        playQueue.index = index;
+    } else {
+        playQueue.items.splice(playQueue.index + 1, 0, toQueueItem(video));
+        playQueue.index++;
+    }
+    playQueue.position = 0;
+    queuePositionSavedAt = 0;
+    saveQueue();
+}
+
+async function playQueueItem(index) {
+    const item = playQueue.items[index];
+    if (!item) return;
+    
+    if (Party.isActive()) {
+        showError('Leave the listening party to play from your own queue');
+        return;
+    }
+    
+    playQueue.index = index;
+    playQueue.position = 0;
+    queuePositionSavedAt = 0;
+    
+    // Leaving the page for the player, so the save can't wait
+    if (window.location.pathname !== '/player') {
+        await saveQueue({ immediate: true });
+        playMix(item.videoId, item.title);
+        return;
+    }
+    
+    // Already buffered on the standby deck
+    if (isNextPrepared(index)) {
+        startTransition(0);
+        return;
+    }
+    
+    saveQueue();
+    if (player.currentMix?.videoId === item.videoId) {
+        player.element.currentTime = 0;
+        play();
+    } else {
+        await playMix(item.videoId, item.title);
+    }
+}
+
+// The index an automatic advance will play, or -1 if the queue stops there. A
+// shuffled queue that wraps is reshuffled first, so its next mix isn't known.
+function peekNextQueueIndex() {
+    const { items, index, repeat, shuffle } = playQueue;
+    
+    if (!items.length) return -1;
+    if (repeat === 'one' && index !== -1) return index;
+    if (index + 1 < items.length) return index + 1;
+    return repeat === 'all' && !shuffle ? 0 : -1;
+}
+
+// `auto` is set when a mix has ended by itself; only then does repeat-one replay it
+function playNextMix({ auto = false } = {}) {
+    if (Party.isActive()) {
+        Party.skip(1);
+        return;
+    }
+    
+    const { items, index, repeat, shuffle } = playQueue;
+    if (!items.length) return;
+    
+    if (auto && repeat === 'one' && index !== -1) {
+        playQueueItem(index);
+        return;
+    }
+    
+    if (index + 1 < items.length) {
+        playQueueItem(index + 1);
+    } else if (repeat !== 'off') {
+        // Each pass through a shuffled queue gets a new order
+        if (shuffle) {
+            playQueue.items = shuffleItems(items);
+        }
+        playQueueItem(0);
+    }
+}
+
+function playPreviousMix() {
+    if (Party.isActive()) {
+        Party.skip(-1);
+        return;
+    }
+    
+    const { items, index, repeat } = playQueue;
+    
+    if (player?.element && player.element.currentTime > PREVIOUS_RESTART_AFTER) {
+        player.element.currentTime = 0;
+        return;
+    }
+    
+    if (index > 0) {
+        playQueueItem(index - 1);
+    } else if (repeat === 'all' && items.length) {
+        playQueueItem(items.length - 1);
+    } else if (index === 0) {
+        playQueueItem(0);
+    }
+}
+
+// Queue panel, shuffle/repeat buttons and the dashboard's player bar; each
+// part is skipped on pages without it
+function renderQueue() {
+    const current = getCurrentQueueItem();
+    
+    const shuffleBtn = document.getElementById('shuffleBtn');
+    if (shuffleBtn) {
+        shuffleBtn.classList.toggle('text-neon-blue', playQueue.shuffle);
+        shuffleBtn.title = playQueue.shuffle ? 'Shuffle on' : 'Shuffle off';
+    }
+    
+    const repeatBtn = document.getElementById('repeatBtn');
+    if (repeatBtn) {
+        repeatBtn.classList.toggle('text-neon-blue', playQueue.repeat !== 'off');
+        repeatBtn.dataset.repeat = playQueue.repeat;
+        repeatBtn.title = { off: 'Repeat off', all: 'Repeat all', one: 'Repeat one' }[playQueue.repeat];
+    }
+    
+    const playerBar = document.getElementById('playerBar');
+    if (playerBar && current) {
+        playerBar.classList.remove('hidden');
+        document.getElementById('playerBarTitle').textContent = current.title;
+        document.getElementById('playerBarThumbnail').src = current.thumbnail || '';
+        document.getElementById('playerBarThumbnail').alt = current.title;
+    }
+    
+    const list = document.getElementById('queueList');
+    if (!list) return;
+    
+    if (!playQueue.items.length) {
+        list.innerHTML = '<p class="text-sm text-gray-400 text-center py-4">Your queue is empty</p>';
+        return;
+    }
+    
+    list.innerHTML = playQueue.items.map((item, index) => `
+        <div class="queue-item flex items-center gap-3 p-2 rounded-lg ${index === playQueue.index ? 'bg-dark-700' : ''}" data-index="${index}">
+            <img src="${escapeHtml(item.thumbnail || '')}" alt="" class="w-10 h-10 rounded object-cover">
+            <button class="flex-1 min-w-0 text-left truncate ${index === playQueue.index ? 'text-neon-blue' : ''}" data-action="play">
+                ${escapeHtml(item.title)}
+            </button>
+            <button class="p-1 text-gray-400 hover:text-white" data-action="up" title="Move up"><i class="fas fa-chevron-up"></i></button>
+            <button class="p-1 text-gray-400 hover:text-white" data-action="down" title="Move down"><i class="fas fa-chevron-down"></i></button>
+            <button class="p-1 text-gray-400 hover:text-red-500" data-action="remove" title="Remove"><i class="fas fa-times"></i></button>
+        </div>
+    `).join('');
+}
+
+function initQueueControls() {
+    const bind = (id, handler) => document.getElementById(id)?.addEventListener('click', handler);
+    
+    bind('nextBtn', () => playNextMix());
+    bind('prevBtn', playPreviousMix);
+    bind('shuffleBtn', toggleShuffle);
+    bind('repeatBtn', cycleRepeat);
+    bind('clearQueueBtn', clearQueue);
+    bind('playerBarNext', () => playNextMix());
+    bind('playerBarPrev', playPreviousMix);
+    bind('playerBarPlay', () => {
+        const current = getCurrentQueueItem();
+        if (current) playQueueItem(playQueue.index);
+    });
+    
+    document.getElementById('queueList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        const index = parseInt(button.closest('.queue-item').dataset.index, 10);
+        switch (button.dataset.action) {
+            case 'play':
+                playQueueItem(index);
+                break;
+            case 'up':
+                moveInQueue(index, index - 1);
+                break;
+            case 'down':
+                moveInQueue(index, index + 1);
+                break;
+            case 'remove':
+                removeFromQueue(index);
+                break;
+        }
+    });
+}
+
+// Restores the queue on every page; the player picks up from it
+function updatePlayerState() {
+    initQueueControls();
+    queueReady = loadQueue();
+}
+
+// Waveform functions
+async function loadWaveform(videoId, attempt = 0) {
+    try {
+        const container = document.getElementById('waveformContainer');
+        const buckets = container ? Math.max(50, Math.floor(container.clientWidth / 6)) : 100;
+        
+        const response = await fetch(`${API_BASE_URL}/waveform/${videoId}?buckets=${buckets}`);
+        const data = await response.json();
+        
+        // The server extracts waveforms in the background; poll until it is ready
+        if (response.status === 202 && attempt < 24) {
+            setTimeout(() => {
+                if (player?.currentMix?.videoId === videoId) {
+                    loadWaveform(videoId, attempt + 1);
+                }
+            }, (data.retryAfter || 5) * 1000);
+            return;
+        }
+        
+        if (data.success) {
+            renderWaveform(data.peak || data.waveform, data.rms || []);
+            mixLoudness.set(videoId, data.loudness);
+            if (player?.currentMix?.videoId === videoId) {
+                applyLoudness(1);
+            }
+        }
+    } catch (error) {
+        console.error('Failed to load waveform:', error);
+    }
+}
+
+function renderWaveform(peaks, rms = []) {
+    const container = document.getElementById('waveformContainer');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    peaks.forEach((height, index) => {
+        const bar = document.createElement('div');
+        bar.className = 'waveform-bar';
+        bar.style.height = `${Math.max(height, 2)}%`;
+        bar.style.width = '4px';
+        bar.style.background = `linear-gradient(to top, #00f0ff, #b967ff)`;
+        bar.style.borderRadius = '2px';
+        bar.style.margin = '0 1px';
+        
+        // Brighter core shows the bucket's average energy inside its peak
+        if (rms[index] !== undefined && height > 0) {
+            const core = document.createElement('div');
+            core.className = 'waveform-rms';
+            core.style.height = `${Math.min(100, rms[index] / height * 100)}%`;
+            bar.appendChild(core);
+        }
+        
+        if (player?.isPlaying) {
+            bar.classList.add('playing');
+        }
+        
+        // Add animation delay for wave effect
+        bar.style.animationDelay = `${index * 0.05}s`;
+        
+        container.appendChild(bar);
+    });
+}
+
+// Download functions
+async function downloadMix(videoId, title) {
+    try {
+        showLoading('Preparing download...');
+        
+        // Show download options modal
+        const options = await getDownloadOptions(videoId);
+        showDownloadModal(videoId, title, options);
+        
     } catch (error) {
         console.error('Download error:', error);
-        showError('Download failed: ' + error.message);
+        showError('Failed to prepare download');
     } finally {
         hideLoading();
     }
 }
 
-async function trackDownload(videoId, title, format, quality) {
+async function getDownloadOptions(videoId, probed = false) {
+    const response = await fetch(`${API_BASE_URL}/download/options/${videoId}`, {
+        headers: { 'X-Socket-Id': socket?.id || '' }
+    });
+    const data = await response.json();
+    
+    // Mixes that haven't been probed yet are probed in a background job first
+    if (response.status === 202 && data.job && !probed) {
+        const job = await watchJob(data.job.id);
+        if (job.status !== 'completed') {
+            throw new Error(job.error || 'Failed to read the mix audio');
+        }
+        return getDownloadOptions(videoId, true);
+    }
+    
+    if (!data.success) {
+        throw new Error(data.message || data.error || 'Failed to get options');
+    }
+    
+    return data.options;
+}
+
+async function startDownload(videoId, format, quality) {
+    const progressToast = showJobProgress(`Preparing ${format} (${quality})...`);
+    
+    try {
+        const response = await authFetch(`/download/${videoId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Socket-Id': socket?.id || ''
+            },
+            body: JSON.stringify({ format, quality })
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Download failed');
+        }
+        
+        progressToast.setJob(data.job.id);
+        const job = await watchJob(data.job.id, progressToast.update);
+        
+        if (job.status !== 'completed') {
+            throw new Error(job.status === 'cancelled' ? 'Cancelled' : job.error || 'Download failed');
+        }
+        
+        const { video, download } = job.result;
+        
+        saveDownload(download.url, video.title, download.extension || format);
+        showSuccess('Download started!');
+        
+        // Track download if user is logged in
+        if (currentUser) {
+            trackDownload(job.id);
+        }
+    } catch (error) {
+        console.error('Download error:', error);
+        showError('Download failed: ' + error.message);
+    } finally {
+        progressToast.close();
+    }
+}
+
+async function uploadMix(file, metadata = {}, onProgress = () => {}) {
+    const formData = new FormData();
+    formData.append('audio', file);
+    Object.entries(metadata).forEach(([key, value]) => formData.append(key, value));
+    
+    const response = await authFetch('/upload', {
+        method: 'POST',
+        headers: { 'X-Socket-Id': socket?.id || '' },
+        body: formData
+    });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.message || data.error || 'Upload failed');
+    }
+    
+    const job = await watchJob(data.job.id, onProgress);
+    if (job.status !== 'completed') {
+        throw new Error(job.error || 'Upload failed');
+    }
+    
+    return job.result.mix;
+}
+
+// Managing the signed-in user's uploads
+async function loadUploads() {
+    const response = await authFetch('/uploads');
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to load uploads');
+    }
+    
+    return data.uploads;
+}
+
+// `changes` may hold title, artist, description and tags
+async function updateUpload(videoId, changes) {
+    const response = await authFetch(`/uploads/${videoId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to update upload');
+    }
+    
+    return data.upload;
+}
+
+async function replaceUploadAudio(videoId, file, onProgress = () => {}) {
+    const formData = new FormData();
+    formData.append('audio', file);
+    
+    const response = await authFetch(`/uploads/${videoId}/audio`, {
+        method: 'PUT',
+        headers: { 'X-Socket-Id': socket?.id || '' },
+        body: formData
+    });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to replace audio');
+    }
+    
+    const job = await watchJob(data.job.id, onProgress);
+    if (job.status !== 'completed') {
+        throw new Error(job.error || 'Failed to replace audio');
+    }
+    
+    return job.result.mix;
+}
+
+async function setUploadCover(videoId, file) {
+    const formData = new FormData();
+    formData.append('cover', file);
+    
+    const response = await authFetch(`/uploads/${videoId}/cover`, {
+        method: 'PUT',
+        body: formData
+    });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to set cover');
+    }
+    
+    return data.upload;
+}
+
+async function deleteUpload(videoId) {
+    const response = await authFetch(`/uploads/${videoId}`, { method: 'DELETE' });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to delete upload');
+    }
+}
+
+// Background jobs
+const JOB_FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+// Resolves with the finished job. Updates arrive over the socket; polling
+// covers pages without a live connection.
+function watchJob(jobId, onUpdate = () => {}) {
+    return new Promise((resolve) => {
+        let pollTimer = null;
+        
+        const handleUpdate = (job) => {
+            if (job.id !== jobId) return;
+            
+            onUpdate(job);
+            
+            if (JOB_FINISHED_STATES.includes(job.status)) {
+                socket?.off('job-update', handleUpdate);
+                clearInterval(pollTimer);
+                resolve(job);
+            }
+        };
+        
+        if (socket) {
+            socket.on('job-update', handleUpdate);
+            socket.emit('job-subscribe', jobId);
+        }
+        
+        pollTimer = setInterval(async () => {
+            try {
+                const response = await authFetch(`/jobs/${jobId}`);
+                const data = await response.json();
+                if (data.success) handleUpdate(data.job);
+            } catch (error) {
+                console.error('Job poll error:', error);
+            }
+        }, socket?.connected ? 10000 : 3000);
+    });
+}
+
+async function cancelJob(jobId) {
+    try {
+        await authFetch(`/jobs/${jobId}`, { method: 'DELETE' });
+    } catch (error) {
+        console.error('Failed to cancel job:', error);
+    }
+}
+
+function showJobProgress(message) {
+    let jobId = null;
+    
+    const toast = document.createElement('div');
+    toast.className = 'fixed bottom-20 right-4 z-50 w-80 px-4 py-3 bg-dark-800 border border-dark-600 rounded-lg shadow-lg animate-fade-in';
+    toast.innerHTML = `
+        <div class="flex items-center justify-between gap-2 mb-2">
+            <span class="job-message text-sm text-gray-300 truncate">${escapeHtml(message)}</span>
+            <button class="job-cancel p-1 text-gray-400 hover:text-white" title="Cancel">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+        <div class="h-1 bg-dark-600 rounded-full overflow-hidden">
+            <div class="job-bar h-full bg-gradient-neon rounded-full transition-all" style="width: 0%"></div>
+        </div>
+    `;
+    
+    toast.querySelector('.job-cancel').addEventListener('click', () => {
+        if (jobId) cancelJob(jobId);
+    });
+    
+    document.body.appendChild(toast);
+    
+    return {
+        setJob(id) {
+            jobId = id;
+        },
+        update(job) {
+            toast.querySelector('.job-message').textContent = job.message;
+            toast.querySelector('.job-bar').style.width = `${job.progress}%`;
+        },
+        close() {
+            toast.remove();
+        }
+    };
+}
+
+function saveDownload(url, title, extension) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${title.replace(/[^\w\s]/gi, '')}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+async function trackDownload(jobId) {
     try {
-        await fetch(`${API_BASE_URL}/downloads`, {
+        await authFetch('/downloads', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                userId: currentUser.id,
-                videoId,
-                title,
-                format,
-                quality
-            })
+            body: JSON.stringify({ jobId })
         });
     } catch (error) {
         console.error('Failed to track download:', error);
     }
 }
 
-// Equalizer functions
-function initEqualizer() {
-    // Load saved equalizer settings
-    const savedSettings = localStorage.getItem('equalizerSettings');
-    if (savedSettings) {
-        equalizerSettings = JSON.parse(savedSettings);
+// Download history
+async function loadDownloadHistory(page = 1, format = '') {
+    const params = new URLSearchParams({ page });
+    if (format) params.set('format', format);
+    
+    const response = await authFetch(`/downloads?${params}`);
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to load download history');
     }
     
-    // Update sliders
-    updateEqualizerSliders();
+    return data;
+}
+
+// Reuses the stored link while it is valid, otherwise waits for the server
+// to regenerate it
+async function redownload(downloadId) {
+    const progressToast = showJobProgress('Preparing download...');
     
-    // Setup event listeners
-    document.querySelectorAll('.equalizer-slider').forEach(slider => {
-        slider.addEventListener('input', (e) => {
-            const band = e.target.dataset.band;
-            const value = parseInt(e.target.value);
+    try {
+        const response = await authFetch(`/downloads/${downloadId}/redownload`, {
+            method: 'POST',
+            headers: { 'X-Socket-Id': socket?.id || '' }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error || 'Download failed');
+        }
+        
+        if (data.download) {
+            saveDownload(data.download.url, data.download.title, data.download.extension || data.download.format);
+        } else {
+            progressToast.setJob(data.job.id);
+            const job = await watchJob(data.job.id, progressToast.update);
+            
+            if (job.status !== 'completed') {
+                throw new Error(job.status === 'cancelled' ? 'Cancelled' : job.error || 'Download failed');
+            }
             
-            equalizerSettings[band] = value;
-            updateEqualizerValue(band, value);
+            const { video, download } = job.result;
+            saveDownload(download.url, video.title, download.extension);
+        }
+        
+        showSuccess('Download started!');
+    } catch (error) {
+        console.error('Redownload error:', error);
+        showError('Download failed: ' + error.message);
+    } finally {
+        progressToast.close();
+    }
+}
+
+async function deleteDownload(downloadId) {
+    const response = await authFetch(`/downloads/${downloadId}`, { method: 'DELETE' });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to delete download');
+    }
+}
+
+async function clearDownloadHistory() {
+    const response = await authFetch('/downloads', { method: 'DELETE' });
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to clear download history');
+    }
+}
+
+// Equalizer functions
+// Settings are { preamp, bands: [{ type, frequency, q, gain }], presetId }.
+// They are kept in localStorage and, when signed in, on the account.
+const EQ_DEFAULT_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_GAIN_LIMIT = 12;
+let equalizerPresets = [];
+let equalizerSaveTimer = null;
+
+function createFlatEqualizer() {
+    return {
+        preamp: 0,
+        bands: EQ_DEFAULT_FREQUENCIES.map((frequency, index) => ({
+            type: index === 0 ? 'lowshelf' : index === EQ_DEFAULT_FREQUENCIES.length - 1 ? 'highshelf' : 'peaking',
+            frequency,
+            q: 1.41,
+            gain: 0
+        })),
+        presetId: null
+    };
+}
+
+// The account's settings replace these once the profile loads. Settings
+// saved by the old three-band equalizer are dropped.
+function loadSavedEqualizer() {
+    const savedSettings = JSON.parse(localStorage.getItem('equalizerSettings') || 'null');
+    return savedSettings?.bands ? savedSettings : createFlatEqualizer();
+}
+
+async function initEqualizer() {
+    equalizerSettings = equalizerSettings || loadSavedEqualizer();
+    renderEqualizer();
+    
+    const bandsContainer = document.getElementById('equalizerBands');
+    if (bandsContainer) {
+        bandsContainer.addEventListener('input', (e) => {
+            const { band, param } = e.target.dataset;
+            if (band === undefined) return;
             
-            // Save to localStorage
-            localStorage.setItem('equalizerSettings', JSON.stringify(equalizerSettings));
+            const value = parseFloat(e.target.value);
+            if (Number.isNaN(value)) return;
             
-            // Apply to audio if playing
-            applyEqualizer();
+            setEqualizerBand(parseInt(band), { [param || 'gain']: value });
         });
-    });
+    }
     
-    // Preset buttons
-    document.querySelectorAll('.equalizer-preset').forEach(button => {
-        button.addEventListener('click', (e) => {
-            const preset = e.target.dataset.preset;
-            loadEqualizerPreset(preset);
+    const preampSlider = document.getElementById('preampSlider');
+    if (preampSlider) {
+        preampSlider.addEventListener('input', (e) => {
+            setEqualizerPreamp(parseFloat(e.target.value));
         });
+    }
+    
+    // Preset buttons
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.equalizer-preset');
+        if (button) {
+            loadEqualizerPreset(button.dataset.preset);
+        }
     });
     
     // Reset button
@@ -613,81 +2120,197 @@ function initEqualizer() {
     if (resetBtn) {
         resetBtn.addEventListener('click', resetEqualizer);
     }
+    
+    await loadEqualizerPresets();
 }
 
-function updateEqualizerSliders() {
-    Object.entries(equalizerSettings).forEach(([band, value]) => {
-        const slider = document.querySelector(`.equalizer-slider[data-band="${band}"]`);
-        const valueEl = document.getElementById(`${band}Value`);
-        
-        if (slider) slider.value = value;
-        if (valueEl) valueEl.textContent = value > 0 ? `+${value}dB` : `${value}dB`;
-    });
+function formatGain(value) {
+    return value > 0 ? `+${value}dB` : `${value}dB`;
+}
+
+function formatFrequency(frequency) {
+    return frequency >= 1000 ? `${+(frequency / 1000).toFixed(1)}k` : `${frequency}`;
 }
 
-function updateEqualizerValue(band, value) {
-    const valueEl = document.getElementById(`${band}Value`);
-    if (valueEl) {
-        valueEl.textContent = value > 0 ? `+${value}dB` : `${value}dB`;
+function renderEqualizer() {
+    const bandsContainer = document.getElementById('equalizerBands');
+    if (bandsContainer) {
+        bandsContainer.innerHTML = equalizerSettings.bands.map((band, index) => `
+            <div class="flex flex-col items-center gap-2">
+                <span id="eqBand${index}Value" class="text-xs text-gray-400">${formatGain(band.gain)}</span>
+                <input type="range" class="equalizer-slider" data-band="${index}" data-param="gain"
+                       min="-${EQ_GAIN_LIMIT}" max="${EQ_GAIN_LIMIT}" step="0.5" value="${band.gain}">
+                <input type="number" class="w-16 bg-dark-700 rounded text-xs text-center" data-band="${index}" data-param="frequency"
+                       min="20" max="20000" value="${band.frequency}" title="Frequency (Hz)">
+                <input type="number" class="w-16 bg-dark-700 rounded text-xs text-center" data-band="${index}" data-param="q"
+                       min="0.1" max="18" step="0.1" value="${band.q}" title="Q">
+                <span class="text-xs text-gray-300">${formatFrequency(band.frequency)}</span>
+            </div>
+        `).join('');
     }
+    
+    const preampSlider = document.getElementById('preampSlider');
+    const preampValue = document.getElementById('preampValue');
+    if (preampSlider) preampSlider.value = equalizerSettings.preamp;
+    if (preampValue) preampValue.textContent = formatGain(equalizerSettings.preamp);
+    
+    document.querySelectorAll('.equalizer-preset').forEach(button => {
+        button.classList.toggle('ring-1', button.dataset.preset === equalizerSettings.presetId);
+    });
 }
 
-function loadEqualizerPreset(preset) {
-    const presets = {
-        flat: { bass: 0, mid: 0, treble: 0 },
-        bass: { bass: 6, mid: 2, treble: 0 },
-        treble: { bass: 0, mid: 2, treble: 6 },
-        rock: { bass: 4, mid: 2, treble: 4 },
-        jazz: { bass: 2, mid: 4, treble: 2 },
-        classical: { bass: 3, mid: 1, treble: 4 }
-    };
+function renderEqualizerPresets() {
+    const container = document.getElementById('equalizerPresets');
+    if (!container) return;
+    
+    container.innerHTML = equalizerPresets.map(preset => `
+        <button class="equalizer-preset px-3 py-1 bg-dark-700 hover:bg-dark-600 rounded-lg text-sm" data-preset="${escapeHtml(preset.id)}">
+            ${escapeHtml(preset.name)}${preset.shared ? ' <i class="fas fa-share-alt text-xs"></i>' : ''}
+        </button>
+    `).join('');
+    renderEqualizer();
+}
+
+function setEqualizerBand(index, changes) {
+    const band = equalizerSettings.bands[index];
+    if (!band) return;
+    
+    Object.assign(band, changes);
+    equalizerSettings.presetId = null;
     
-    equalizerSettings = presets[preset] || presets.flat;
-    updateEqualizerSliders();
+    const valueEl = document.getElementById(`eqBand${index}Value`);
+    if (valueEl) valueEl.textContent = formatGain(band.gain);
+    
+    saveEqualizerSettings();
     applyEqualizer();
+}
+
+function setEqualizerPreamp(value) {
+    equalizerSettings.preamp = value;
+    equalizerSettings.presetId = null;
+    
+    const preampValue = document.getElementById('preampValue');
+    if (preampValue) preampValue.textContent = formatGain(value);
     
-    // Save to localStorage
+    saveEqualizerSettings();
+    applyEqualizer();
+}
+
+// Saved locally straight away and to the account once the sliders settle
+function saveEqualizerSettings() {
     localStorage.setItem('equalizerSettings', JSON.stringify(equalizerSettings));
+    
+    if (!currentUser) return;
+    
+    clearTimeout(equalizerSaveTimer);
+    equalizerSaveTimer = setTimeout(async () => {
+        try {
+            await authFetch('/equalizer', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(equalizerSettings)
+            });
+        } catch (error) {
+            console.error('Failed to save equalizer settings:', error);
+        }
+    }, 500);
 }
 
-function resetEqualizer() {
-    equalizerSettings = { bass: 0, mid: 0, treble: 0 };
-    updateEqualizerSliders();
-    applyEqualizer();
+async function loadEqualizerPresets() {
+    try {
+        const response = await authFetch('/equalizer/presets');
+        const data = await response.json();
+        
+        if (data.success) {
+            equalizerPresets = data.presets;
+            renderEqualizerPresets();
+        }
+    } catch (error) {
+        console.error('Failed to load equalizer presets:', error);
+    }
     
-    // Save to localStorage
-    localStorage.setItem('equalizerSettings', JSON.stringify(equalizerSettings));
+    return equalizerPresets;
 }
 
-function applyEqualizer() {
-    if (!player?.element) return;
+function loadEqualizerPreset(presetId) {
+    const preset = equalizerPresets.find(candidate => candidate.id === presetId) ||
+        { id: 'flat', ...createFlatEqualizer() };
+    
+    equalizerSettings = {
+        preamp: preset.preamp,
+        bands: preset.bands.map(band => ({ ...band })),
+        presetId: preset.id
+    };
+    renderEqualizer();
+    applyEqualizer();
+    saveEqualizerSettings();
+}
+
+function resetEqualizer() {
+    loadEqualizerPreset('flat');
+}
+
+async function requestPreset(path, options = {}) {
+    const response = await authFetch(path, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+    });
+    const data = await response.json();
     
-    // Create audio context and apply filters
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const source = audioContext.createMediaElementSource(player.element);
+    if (!data.success) {
+        throw new Error(data.error || 'Preset request failed');
+    }
+    
+    return data;
+}
+
+// Saves the current settings as a named preset
+async function saveEqualizerPreset(name, { shared = false } = {}) {
+    const { preset } = await requestPreset('/equalizer/presets', {
+        method: 'POST',
+        body: JSON.stringify({ name, shared, preamp: equalizerSettings.preamp, bands: equalizerSettings.bands })
+    });
     
-    // Create filters for each band
-    const bassFilter = audioContext.createBiquadFilter();
-    bassFilter.type = 'lowshelf';
-    bassFilter.frequency.value = 100;
-    bassFilter.gain.value = equalizerSettings.bass;
+    equalizerPresets.push(preset);
+    equalizerSettings.presetId = preset.id;
+    renderEqualizerPresets();
+    saveEqualizerSettings();
+    return preset;
+}
+
+// Returns the share code, or null once sharing is turned off
+async function shareEqualizerPreset(presetId, shared = true) {
+    const { preset } = await requestPreset(`/equalizer/presets/${presetId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ shared })
+    });
     
-    const midFilter = audioContext.createBiquadFilter();
-    midFilter.type = 'peaking';
-    midFilter.frequency.value = 1000;
-    midFilter.Q.value = 1;
-    midFilter.gain.value = equalizerSettings.mid;
+    equalizerPresets = equalizerPresets.map(candidate => candidate.id === preset.id ? preset : candidate);
+    renderEqualizerPresets();
+    return preset.shareCode;
+}
+
+async function importEqualizerPreset(shareCode) {
+    const { preset } = await requestPreset(`/equalizer/presets/shared/${encodeURIComponent(shareCode)}`, {
+        method: 'POST'
+    });
     
-    const trebleFilter = audioContext.createBiquadFilter();
-    trebleFilter.type = 'highshelf';
-    trebleFilter.frequency.value = 3000;
-    trebleFilter.gain.value = equalizerSettings.treble;
+    equalizerPresets.push(preset);
+    renderEqualizerPresets();
+    return preset;
+}
+
+async function deleteEqualizerPreset(presetId) {
+    await requestPreset(`/equalizer/presets/${presetId}`, { method: 'DELETE' });
     
-    // Connect filters
-    source.connect(bassFilter);
-    bassFilter.connect(midFilter);
-    midFilter.connect(trebleFilter);
-    trebleFilter.connect(audioContext.destination);
+    equalizerPresets = equalizerPresets.filter(preset => preset.id !== presetId);
+    renderEqualizerPresets();
+}
+
+// The engine keeps one graph per page and retunes it in place
+function applyEqualizer() {
+    equalizerSettings = equalizerSettings || loadSavedEqualizer();
+    AudioEngine.setEqualizer(equalizerSettings);
 }
 
 // UI Helper functions
@@ -702,7 +2325,7 @@ function showLoading(message = 'Loading...') {
         loadingEl.innerHTML = `
             <div class="text-center">
                 <div class="spinner mx-auto mb-4"></div>
-                <p class="text-gray-300">${message}</p>
+                <p class="text-gray-300">${escapeHtml(message)}</p>
             </div>
         `;
         document.body.appendChild(loadingEl);
@@ -725,7 +2348,7 @@ function showError(message) {
     toast.innerHTML = `
         <div class="flex items-center gap-2">
             <i class="fas fa-exclamation-circle"></i>
-            <span>${message}</span>
+            <span>${escapeHtml(message)}</span>
         </div>
     `;
     
@@ -744,7 +2367,7 @@ function showSuccess(message) {
     toast.innerHTML = `
         <div class="flex items-center gap-2">
             <i class="fas fa-check-circle"></i>
-            <span>${message}</span>
+            <span>${escapeHtml(message)}</span>
         </div>
     `;
     
@@ -757,6 +2380,8 @@ function showSuccess(message) {
 }
 
 function showDownloadModal(videoId, title, options) {
+    const preferredProfile = PREFERRED_AUDIO_PROFILES[getPreference('audioQuality')];
+    
     // Create modal
     const modal = document.createElement('div');
     modal.className = 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-lg';
@@ -764,13 +2389,13 @@ function showDownloadModal(videoId, title, options) {
         <div class="bg-gradient-to-br from-dark-800 to-dark-900 rounded-2xl p-6 max-w-md w-full border border-dark-600">
             <div class="flex items-center justify-between mb-6">
                 <h3 class="text-xl font-bold">Download Options</h3>
-                <button onclick="this.closest('.fixed').remove()" class="p-2 hover:bg-dark-700 rounded-lg">
+                <button data-close class="p-2 hover:bg-dark-700 rounded-lg">
                     <i class="fas fa-times"></i>
                 </button>
             </div>
             
             <div class="mb-4">
-                <p class="text-gray-300 line-clamp-2 mb-2">${title}</p>
+                <p class="text-gray-300 line-clamp-2 mb-2">${escapeHtml(title)}</p>
                 <p class="text-sm text-neon-blue">DJ BBOY</p>
             </div>
             
@@ -780,29 +2405,29 @@ function showDownloadModal(videoId, title, options) {
                     <div class="space-y-2">
                         ${options.audio.map(opt => `
                             <button 
-                                onclick="startDownload('${videoId}', 'audio', '${opt.quality}'); this.closest('.fixed').remove()"
-                                class="w-full text-left p-3 bg-dark-700 hover:bg-dark-600 rounded-lg transition-colors"
+                                data-format="audio" data-quality="${escapeHtml(opt.quality)}"
+                                class="w-full text-left p-3 bg-dark-700 hover:bg-dark-600 rounded-lg transition-colors ${opt.quality === preferredProfile ? 'ring-1 ring-neon-blue' : ''}"
                             >
                                 <div class="flex justify-between items-center">
-                                    <span>${opt.label}</span>
-                                    <span class="text-sm text-gray-400">${opt.size}</span>
+                                    <span>${escapeHtml(opt.label)}${opt.quality === preferredProfile ? ' <span class="text-xs text-neon-blue">Preferred</span>' : ''}</span>
+                                    <span class="text-sm text-gray-400">${opt.size || ''}</span>
                                 </div>
                             </button>
                         `).join('')}
                     </div>
                 </div>
                 
-                <div>
+                <div class="${options.video.length ? '' : 'hidden'}">
                     <h4 class="font-semibold mb-2 text-gray-300">Video Formats</h4>
                     <div class="space-y-2">
                         ${options.video.map(opt => `
                             <button 
-                                onclick="startDownload('${videoId}', 'video', '${opt.quality}'); this.closest('.fixed').remove()"
+                                data-format="video" data-quality="${escapeHtml(opt.quality)}"
                                 class="w-full text-left p-3 bg-dark-700 hover:bg-dark-600 rounded-lg transition-colors"
                             >
                                 <div class="flex justify-between items-center">
-                                    <span>${opt.label}</span>
-                                    <span class="text-sm text-gray-400">${opt.size}</span>
+                                    <span>${escapeHtml(opt.label)}</span>
+                                    <span class="text-sm text-gray-400">${opt.size || ''}</span>
                                 </div>
                             </button>
                         `).join('')}
@@ -816,10 +2441,27 @@ function showDownloadModal(videoId, title, options) {
         </div>
     `;
     
+    modal.addEventListener('click', (event) => {
+        const option = event.target.closest('[data-format]');
+        if (option) {
+            startDownload(videoId, option.dataset.format, option.dataset.quality);
+        }
+        if (option || event.target.closest('[data-close]')) {
+            modal.remove();
+        }
+    });
+    
     document.body.appendChild(modal);
 }
 
 // Global utility functions
+// For putting user-supplied text into HTML strings
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -851,19 +2493,42 @@ window.downloadMix = downloadMix;
 window.togglePlay = togglePlay;
 window.seekPlayer = seekPlayer;
 window.startDownload = startDownload;
-window.toggleFavorite = function(videoId, button) {
-    button.classList.toggle('text-red-500');
-    button.classList.toggle('text-gray-400');
-    
-    const icon = button.querySelector('i');
-    if (icon.classList.contains('fas')) {
-        icon.classList.replace('fas', 'far');
-    } else {
-        icon.classList.replace('far', 'fas');
-    }
-    
-    // In production, save to server
-    if (currentUser) {
-        // Save favorite to server
-    }
-};
\ No newline at end of file
+window.uploadMix = uploadMix;
+window.loadUploads = loadUploads;
+window.updateUpload = updateUpload;
+window.replaceUploadAudio = replaceUploadAudio;
+window.setUploadCover = setUploadCover;
+window.deleteUpload = deleteUpload;
+window.renderSignInForm = renderSignInForm;
+window.escapeHtml = escapeHtml;
+window.mixCardActions = mixCardActions;
+window.bindMixCardActions = bindMixCardActions;
+window.cancelJob = cancelJob;
+window.login = login;
+window.register = register;
+window.logout = logout;
+window.toggleFavorite = toggleFavorite;
+window.loadFavorites = loadFavorites;
+window.loadDownloadHistory = loadDownloadHistory;
+window.getPreference = getPreference;
+window.loadEqualizerPreset = loadEqualizerPreset;
+window.saveEqualizerPreset = saveEqualizerPreset;
+window.shareEqualizerPreset = shareEqualizerPreset;
+window.importEqualizerPreset = importEqualizerPreset;
+window.deleteEqualizerPreset = deleteEqualizerPreset;
+window.setPreference = setPreference;
+window.redownload = redownload;
+window.deleteDownload = deleteDownload;
+window.clearDownloadHistory = clearDownloadHistory;
+window.setQueue = setQueue;
+window.addToQueue = addToQueue;
+window.playNext = playNext;
+window.removeFromQueue = removeFromQueue;
+window.moveInQueue = moveInQueue;
+window.clearQueue = clearQueue;
+window.toggleShuffle = toggleShuffle;
+window.setRepeat = setRepeat;
+window.playQueueItem = playQueueItem;
+window.playNextMix = playNextMix;
+window.playPreviousMix = playPreviousMix;
+window.subscribeToPresence = subscribeToPresence;
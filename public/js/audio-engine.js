@@ -0,0 +1,204 @@
+// MixHub Audio Engine
+//
+// Owns the one AudioContext and node graph behind the player. Media elements
+// are attached once each (a browser only allows one MediaElementSource per
+// element) and stay connected for the life of the page:
+//
+//   element -> channel gain ┐
+//   element -> channel gain ┴-> preamp -> EQ bands -> compressor -> master -> destination
+//                                                                 └-> analyser
+//
+// Channel gains are where crossfades happen, the compressor is bypassed until
+// enabled, and the analyser is a tap that does not affect the output.
+
+const AudioEngine = (() => {
+    // Time constant for parameter changes, long enough to avoid zipper noise
+    const SMOOTHING = 0.03;
+    
+    let context = null;
+    let preamp = null;
+    let bands = [];
+    let compressor = null;
+    let compressorEnabled = false;
+    let master = null;
+    let analyser = null;
+    let equalizer = null;
+    const channels = new Map();
+    
+    function dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+    
+    function setParam(param, value) {
+        param.setTargetAtTime(value, context.currentTime, SMOOTHING);
+    }
+    
+    function getContext() {
+        if (!context) {
+            context = new (window.AudioContext || window.webkitAudioContext)();
+            
+            preamp = context.createGain();
+            compressor = context.createDynamicsCompressor();
+            master = context.createGain();
+            analyser = context.createAnalyser();
+            analyser.fftSize = 2048;
+            
+            master.connect(context.destination);
+            master.connect(analyser);
+            
+            buildBands();
+        }
+        
+        return context;
+    }
+    
+    // The band chain is only rebuilt when the number or types of bands change;
+    // everything else is updated in place
+    function buildBands() {
+        preamp.disconnect();
+        bands.forEach(filter => filter.disconnect());
+        
+        bands = (equalizer?.bands || []).map(band => {
+            const filter = context.createBiquadFilter();
+            filter.type = band.type;
+            filter.frequency.value = band.frequency;
+            filter.Q.value = band.q;
+            filter.gain.value = band.gain;
+            return filter;
+        });
+        preamp.gain.value = dbToGain(equalizer?.preamp || 0);
+        
+        bands.reduce((previous, filter) => {
+            previous.connect(filter);
+            return filter;
+        }, preamp);
+        
+        connectCompressor();
+    }
+    
+    function getEqualizerOutput() {
+        return bands.length ? bands[bands.length - 1] : preamp;
+    }
+    
+    function connectCompressor() {
+        const output = getEqualizerOutput();
+        output.disconnect();
+        compressor.disconnect();
+        
+        if (compressorEnabled) {
+            output.connect(compressor);
+            compressor.connect(master);
+        } else {
+            output.connect(master);
+        }
+    }
+    
+    // Routes an <audio> element through the graph; safe to call repeatedly
+    function attach(element) {
+        getContext();
+        
+        if (!channels.has(element)) {
+            const source = context.createMediaElementSource(element);
+            const gain = context.createGain();
+            source.connect(gain);
+            gain.connect(preamp);
+            channels.set(element, { source, gain });
+        }
+        
+        return channels.get(element);
+    }
+    
+    // Contexts start suspended until a user gesture; call from play handlers
+    function resume() {
+        if (context?.state === 'suspended') {
+            return context.resume();
+        }
+        return Promise.resolve();
+    }
+    
+    // Accepts { preamp, bands: [{ type, frequency, q, gain }] }. Settings given
+    // before the graph exists are applied when it is built.
+    function setEqualizer(settings) {
+        const previous = equalizer;
+        equalizer = {
+            preamp: settings.preamp || 0,
+            bands: settings.bands.map(band => ({ ...band }))
+        };
+        
+        if (!context) return;
+        
+        const sameLayout = previous &&
+            previous.bands.length === equalizer.bands.length &&
+            previous.bands.every((band, index) => band.type === equalizer.bands[index].type);
+        
+        if (!sameLayout) {
+            buildBands();
+            return;
+        }
+        
+        setParam(preamp.gain, dbToGain(equalizer.preamp));
+        equalizer.bands.forEach((band, index) => {
+            setParam(bands[index].frequency, band.frequency);
+            setParam(bands[index].Q, band.q);
+            setParam(bands[index].gain, band.gain);
+        });
+    }
+    
+    // Accepts { enabled, threshold, knee, ratio, attack, release }
+    function setCompressor(settings = {}) {
+        getContext();
+        
+        ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach(name => {
+            if (settings[name] !== undefined) {
+                setParam(compressor[name], settings[name]);
+            }
+        });
+        
+        if (settings.enabled !== undefined && settings.enabled !== compressorEnabled) {
+            compressorEnabled = settings.enabled;
+            connectCompressor();
+        }
+    }
+    
+    function getAnalyser() {
+        getContext();
+        return analyser;
+    }
+    
+    // Ramps an attached element's channel gain to `value` over `duration`
+    // seconds. Passing a curve (an array of gains) follows it instead, which
+    // is how equal-power crossfades are shaped.
+    function fadeChannel(element, value, duration = 0, curve = null) {
+        const { gain } = attach(element);
+        const now = context.currentTime;
+        
+        gain.gain.cancelScheduledValues(now);
+        if (curve && duration > 0) {
+            gain.gain.setValueCurveAtTime(Float32Array.from(curve), now, duration);
+        } else if (duration > 0) {
+            gain.gain.setValueAtTime(gain.gain.value, now);
+            gain.gain.linearRampToValueAtTime(value, now + duration);
+        } else {
+            gain.gain.setValueAtTime(value, now);
+        }
+    }
+    
+    // Overall output level, applied after the EQ and compressor
+    function setMasterGain(value) {
+        getContext();
+        setParam(master.gain, value);
+    }
+    
+    return {
+        attach,
+        resume,
+        setEqualizer,
+        setCompressor,
+        getAnalyser,
+        fadeChannel,
+        setMasterGain,
+        getContext
+    };
+})();
+
+window.AudioEngine = AudioEngine;
@@ -0,0 +1,586 @@
+// MixHub Listening Parties
+//
+// Client side of the server's listening parties. The server sends the whole
+// party state on every change; its playback is { videoId, position, playing,
+// updatedAt } with updatedAt on the server's clock. Each client estimates its
+// offset from that clock (the lowest-latency of a few pings) and steers the
+// player to where the party is now: small drift is taken up by nudging the
+// playback rate, anything larger by seeking. Only the host's controls change
+// playback; everyone else's player follows.
+//
+// Parties also have a chat and emoji reactions. Reactions carry the position
+// in the mix they were sent at and are pinned to the waveform there.
+
+const Party = (() => {
+    const PING_SAMPLES = 5;
+    const PING_INTERVAL = 60 * 1000;
+    const DRIFT_CHECK_INTERVAL = 2000;
+    // Seconds of drift tolerated, nudged away, and seeked away
+    const DRIFT_TOLERANCE = 0.05;
+    const SEEK_THRESHOLD = 1;
+    const NUDGE_RATE = 0.05;
+    const REACTIONS = ['🔥', '❤️', '🙌', '😂', '😮', '👏', '🎉', '💯'];
+    const REACTION_FLOAT_DURATION = 3000;
+    
+    let state = null;
+    let chat = [];
+    let clockOffset = 0;
+    let pingTimer = null;
+    let driftTimer = null;
+    let applying = Promise.resolve();
+    
+    // Emits with an ack; rejects with the server's error message
+    function request(event, data = {}) {
+        return new Promise((resolve, reject) => {
+            if (!socket?.connected) {
+                reject(new Error('Not connected to the server'));
+                return;
+            }
+            socket.emit(event, data, (response) => {
+                if (response?.error) {
+                    reject(new Error(response.error));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+    
+    // Failed requests are shown rather than thrown; returns null on failure
+    async function send(event, data) {
+        try {
+            return await request(event, data);
+        } catch (error) {
+            showError(error.message);
+            return null;
+        }
+    }
+    
+    function ping() {
+        return new Promise(resolve => {
+            const sentAt = Date.now();
+            socket.emit('party:ping', (serverTime) => {
+                const receivedAt = Date.now();
+                resolve({ rtt: receivedAt - sentAt, offset: serverTime - (sentAt + receivedAt) / 2 });
+            });
+        });
+    }
+    
+    // The quickest round trip gives the tightest bound on the offset
+    async function syncClock() {
+        const samples = [];
+        for (let i = 0; i < PING_SAMPLES && socket?.connected; i++) {
+            samples.push(await ping());
+        }
+        if (samples.length) {
+            clockOffset = samples.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best)).offset;
+        }
+    }
+    
+    function serverNow() {
+        return Date.now() + clockOffset;
+    }
+    
+    function getExpectedPosition() {
+        const { playback } = state;
+        return playback.playing
+            ? playback.position + (serverNow() - playback.updatedAt) / 1000
+            : playback.position;
+    }
+    
+    // Lets the server recognise this tab again after a reconnect or reload
+    function getMemberKey() {
+        let memberKey = sessionStorage.getItem('partyMemberKey');
+        if (!memberKey) {
+            memberKey = crypto.randomUUID();
+            sessionStorage.setItem('partyMemberKey', memberKey);
+        }
+        return memberKey;
+    }
+    
+    function isActive() {
+        return state !== null;
+    }
+    
+    function isHost() {
+        return Boolean(state) && state.hostId === socket?.id;
+    }
+    
+    function correctDrift() {
+        if (!state?.playback.videoId || player?.currentMix?.videoId !== state.playback.videoId) return;
+        
+        const { element } = player;
+        if (element.readyState < HTMLMediaElement.HAVE_METADATA) {
+            element.addEventListener('loadedmetadata', correctDrift, { once: true });
+            return;
+        }
+        
+        const expected = Math.min(getExpectedPosition(), element.duration || Infinity);
+        const drift = element.currentTime - expected;
+        
+        if (Math.abs(drift) <= DRIFT_TOLERANCE) {
+            element.playbackRate = 1;
+        } else if (!state.playback.playing || Math.abs(drift) > SEEK_THRESHOLD) {
+            element.currentTime = expected;
+            element.playbackRate = 1;
+        } else {
+            // Ahead slows down, behind speeds up
+            element.playbackRate = drift > 0 ? 1 - NUDGE_RATE : 1 + NUDGE_RATE;
+        }
+    }
+    
+    // Off the player page only the party panel updates
+    async function applyState(next) {
+        state = next;
+        render();
+        
+        if (!player || !next.playback.videoId) return;
+        
+        if (player.currentMix?.videoId !== next.playback.videoId) {
+            await loadMix(next.playback.videoId);
+        }
+        if (state !== next) return;
+        
+        correctDrift();
+        if (next.playback.playing && player.element.paused) {
+            play();
+        } else if (!next.playback.playing && !player.element.paused) {
+            pause();
+        }
+    }
+    
+    // States are applied in order, each after the previous one's mix has loaded
+    function receiveState(next) {
+        applying = applying.then(() => applyState(next)).catch(error => {
+            console.error('Failed to apply party state:', error);
+        });
+        return applying;
+    }
+    
+    async function enter(party, messages = []) {
+        sessionStorage.setItem('partyInvite', party.inviteCode);
+        chat = messages;
+        renderChat();
+        await syncClock();
+        
+        clearInterval(pingTimer);
+        clearInterval(driftTimer);
+        pingTimer = setInterval(syncClock, PING_INTERVAL);
+        driftTimer = setInterval(correctDrift, DRIFT_CHECK_INTERVAL);
+        
+        return receiveState(party);
+    }
+    
+    function exit() {
+        state = null;
+        chat = [];
+        renderChat();
+        sessionStorage.removeItem('partyInvite');
+        clearInterval(pingTimer);
+        clearInterval(driftTimer);
+        if (player) {
+            player.element.playbackRate = 1;
+        }
+        render();
+    }
+    
+    async function create(name = currentUser?.username) {
+        const response = await send('party:create', { name, memberKey: getMemberKey() });
+        if (response) {
+            await enter(response.party, response.chat);
+        }
+        return response?.party || null;
+    }
+    
+    async function join(inviteCode, name = currentUser?.username) {
+        const response = await send('party:join', { inviteCode, name, memberKey: getMemberKey() });
+        if (response) {
+            await enter(response.party, response.chat);
+        } else if (sessionStorage.getItem('partyInvite') === inviteCode) {
+            sessionStorage.removeItem('partyInvite');
+        }
+        return response?.party || null;
+    }
+    
+    async function leave() {
+        if (!state) return;
+        
+        await request('party:leave').catch(() => {});
+        exit();
+    }
+    
+    function requireHost() {
+        if (!isHost()) {
+            showError('Only the party host can do that');
+            return false;
+        }
+        return true;
+    }
+    
+    function getHostPosition() {
+        return player?.currentMix?.videoId === state.playback.videoId
+            ? player.element.currentTime
+            : Math.max(0, getExpectedPosition());
+    }
+    
+    function loadIndex(index) {
+        return send('party:load', { index });
+    }
+    
+    function togglePlay() {
+        if (!requireHost()) return;
+        
+        if (!state.playback.videoId) {
+            if (state.queue.items.length) {
+                loadIndex(Math.max(0, state.queue.index));
+            }
+            return;
+        }
+        
+        send('party:playback', {
+            action: state.playback.playing ? 'pause' : 'play',
+            position: getHostPosition()
+        });
+    }
+    
+    function seek(position) {
+        if (!requireHost() || !state.playback.videoId) return;
+        send('party:playback', { action: 'seek', position: Math.max(0, position) });
+    }
+    
+    function skip(direction) {
+        if (!requireHost()) return;
+        
+        const index = state.queue.index + direction;
+        if (state.queue.items[index]) {
+            loadIndex(index);
+        }
+    }
+    
+    // Only the host's player moves the party on
+    function handleEnded() {
+        if (isHost() && state.queue.items[state.queue.index + 1]) {
+            loadIndex(state.queue.index + 1);
+        }
+    }
+    
+    // Resolves with the new item's index, or null
+    async function addToQueue(videoId) {
+        const response = await send('party:queue-add', { videoId });
+        if (response) {
+            showSuccess('Added to the party queue');
+        }
+        return response ? response.index : null;
+    }
+    
+    // The host's pick plays straight away, on the player page; anyone else's
+    // is queued
+    async function playMix(videoId) {
+        const index = await addToQueue(videoId);
+        if (index === null || !isHost()) return;
+        
+        await loadIndex(index);
+        if (window.location.pathname !== '/player') {
+            window.location.href = '/player';
+        }
+    }
+    
+    function removeFromQueue(index) {
+        if (requireHost()) send('party:queue-remove', { index });
+    }
+    
+    function moveInQueue(from, to) {
+        if (requireHost()) send('party:queue-move', { from, to });
+    }
+    
+    function transferHost(memberId) {
+        if (requireHost()) send('party:transfer-host', { memberId });
+    }
+    
+    function rotateInvite() {
+        if (requireHost()) send('party:rotate-invite');
+    }
+    
+    // Chat
+    async function sendMessage(text) {
+        return Boolean(await send('chat:send', { text }));
+    }
+    
+    function react(emoji) {
+        send('chat:react', { emoji });
+    }
+    
+    function deleteMessage(messageId) {
+        if (requireHost()) send('chat:delete', { messageId });
+    }
+    
+    // `minutes` of 0 unmutes
+    function muteMember(memberId, minutes) {
+        if (requireHost()) send('party:mute', { memberId, minutes });
+    }
+    
+    function kickMember(memberId) {
+        if (requireHost()) send('party:kick', { memberId });
+    }
+    
+    async function loadOlderMessages() {
+        const response = await send('chat:history', { before: chat[0]?.createdAt });
+        if (response?.messages.length) {
+            chat = [...response.messages, ...chat];
+            renderChat();
+        }
+        return response?.messages.length || 0;
+    }
+    
+    function receiveMessage(message) {
+        if (chat.some(existing => existing.id === message.id)) return;
+        
+        chat.push(message);
+        renderChat();
+    }
+    
+    function receiveReaction(reaction) {
+        chat.push(reaction);
+        showReaction(reaction);
+    }
+    
+    function getInviteLink() {
+        return state ? `${window.location.origin}/player?party=${state.inviteCode}` : null;
+    }
+    
+    // Names and messages come from other people
+    function escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value ?? '';
+        return div.innerHTML;
+    }
+    
+    function formatPosition(seconds) {
+        return typeof seconds === 'number' ? formatTime(seconds) : '';
+    }
+    
+    function renderChat() {
+        const list = document.getElementById('partyChat');
+        if (!list) return;
+        
+        const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 20;
+        list.innerHTML = chat.filter(message => message.type === 'message').map(message => `
+            <li class="group py-1" data-message-id="${message.id}">
+                <span class="font-semibold">${escapeHtml(message.author.name)}</span>
+                <span class="text-xs text-gray-400">${formatPosition(message.position)}</span>
+                <span class="break-words">${escapeHtml(message.text)}</span>
+                ${isHost() ? '<button class="hidden group-hover:inline text-xs text-gray-400 hover:text-red-500" data-action="delete">Delete</button>' : ''}
+            </li>
+        `).join('');
+        
+        if (atBottom) {
+            list.scrollTop = list.scrollHeight;
+        }
+        
+        renderReactionMarkers();
+    }
+    
+    // Markers on the waveform for reactions to the mix that is loaded
+    function renderReactionMarkers() {
+        const container = document.getElementById('waveformContainer');
+        if (!container) return;
+        
+        container.querySelectorAll('.reaction-marker').forEach(marker => marker.remove());
+        
+        const duration = player?.element.duration;
+        if (!state || !Number.isFinite(duration) || duration <= 0) return;
+        
+        chat
+            .filter(message => message.type === 'reaction' && message.videoId === player.currentMix?.videoId && typeof message.position === 'number')
+            .forEach(reaction => {
+                const marker = document.createElement('span');
+                marker.className = 'reaction-marker absolute bottom-0 text-xs pointer-events-none';
+                marker.style.left = `${Math.min(100, reaction.position / duration * 100)}%`;
+                marker.textContent = reaction.emoji;
+                container.appendChild(marker);
+            });
+    }
+    
+    function showReaction(reaction) {
+        renderReactionMarkers();
+        
+        const stream = document.getElementById('partyReactionStream');
+        if (!stream) return;
+        
+        const bubble = document.createElement('span');
+        bubble.className = 'text-2xl animate-fade-in';
+        bubble.title = reaction.author.name;
+        bubble.textContent = reaction.emoji;
+        stream.appendChild(bubble);
+        setTimeout(() => bubble.remove(), REACTION_FLOAT_DURATION);
+    }
+    
+    // Party panel; each part is skipped on pages without it
+    function render() {
+        const panel = document.getElementById('partyPanel');
+        if (panel) panel.classList.toggle('hidden', !state);
+        
+        const status = document.getElementById('partyStatus');
+        if (status) {
+            status.textContent = state
+                ? `${state.members.length} listening${isHost() ? ' · you are the host' : ''}`
+                : '';
+        }
+        
+        const inviteCode = document.getElementById('partyInviteCode');
+        if (inviteCode) inviteCode.textContent = state?.inviteCode || '';
+        
+        const members = document.getElementById('partyMembers');
+        if (members && state) {
+            members.innerHTML = state.members.map(member => `
+                <li class="flex items-center justify-between py-1" data-member-id="${member.id}">
+                    <span>
+                        ${member.isHost ? '<i class="fas fa-crown text-yellow-400 mr-1"></i>' : ''}${escapeHtml(member.name)}
+                        ${member.muted ? '<i class="fas fa-comment-slash text-gray-400 ml-1" title="Muted"></i>' : ''}
+                    </span>
+                    ${isHost() && !member.isHost ? `
+                        <span class="flex gap-2 text-xs text-gray-400">
+                            <button class="hover:text-white" data-action="host">Make host</button>
+                            <button class="hover:text-white" data-action="${member.muted ? 'unmute' : 'mute'}">${member.muted ? 'Unmute' : 'Mute'}</button>
+                            <button class="hover:text-red-500" data-action="kick">Kick</button>
+                        </span>
+                    ` : ''}
+                </li>
+            `).join('');
+        }
+        
+        const queue = document.getElementById('partyQueue');
+        if (queue && state) {
+            queue.innerHTML = state.queue.items.length ? state.queue.items.map((item, index) => `
+                <li class="flex items-center gap-2 py-1 ${index === state.queue.index ? 'text-neon-blue' : ''}" data-index="${index}">
+                    <span class="flex-1 truncate">${escapeHtml(item.title)}</span>
+                    <span class="text-xs text-gray-400">${escapeHtml(item.addedBy)}</span>
+                    ${isHost() ? `
+                        <button class="p-1 text-gray-400 hover:text-white" data-action="play" title="Play"><i class="fas fa-play"></i></button>
+                        <button class="p-1 text-gray-400 hover:text-red-500" data-action="remove" title="Remove"><i class="fas fa-times"></i></button>
+                    ` : ''}
+                </li>
+            `).join('') : '<li class="text-sm text-gray-400">Add mixes to get the party started</li>';
+        }
+        
+        // Delete buttons depend on who is host
+        renderChat();
+    }
+    
+    function init() {
+        if (!socket) return;
+        
+        socket.on('party:state', receiveState);
+        socket.on('chat:message', receiveMessage);
+        socket.on('chat:reaction', receiveReaction);
+        socket.on('chat:deleted', ({ id }) => {
+            chat = chat.filter(message => message.id !== id);
+            renderChat();
+        });
+        socket.on('party:kicked', () => {
+            exit();
+            showError('The host removed you from the party');
+        });
+        
+        // A new connection is a new member; rejoin with the same invite
+        socket.on('connect', () => {
+            const inviteCode = state?.inviteCode || sessionStorage.getItem('partyInvite');
+            if (inviteCode) {
+                join(inviteCode);
+            }
+        });
+        
+        document.getElementById('partyMembers')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const { memberId } = button.closest('[data-member-id]').dataset;
+            switch (button.dataset.action) {
+                case 'host':
+                    transferHost(memberId);
+                    break;
+                case 'mute':
+                    muteMember(memberId);
+                    break;
+                case 'unmute':
+                    muteMember(memberId, 0);
+                    break;
+                case 'kick':
+                    kickMember(memberId);
+                    break;
+            }
+        });
+        
+        document.getElementById('partyChat')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="delete"]');
+            if (button) deleteMessage(button.closest('[data-message-id]').dataset.messageId);
+        });
+        
+        document.getElementById('partyChatForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const input = e.target.elements.message;
+            if (input.value.trim() && await sendMessage(input.value)) {
+                input.value = '';
+            }
+        });
+        
+        const reactions = document.getElementById('partyReactions');
+        if (reactions) {
+            reactions.innerHTML = REACTIONS.map(emoji => `
+                <button class="p-1 text-xl hover:scale-125 transition-transform" data-emoji="${emoji}">${emoji}</button>
+            `).join('');
+            reactions.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-emoji]');
+                if (button) react(button.dataset.emoji);
+            });
+        }
+        
+        document.getElementById('partyQueue')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const index = parseInt(button.closest('[data-index]').dataset.index, 10);
+            if (button.dataset.action === 'play') {
+                if (requireHost()) loadIndex(index);
+            } else if (button.dataset.action === 'remove') {
+                removeFromQueue(index);
+            }
+        });
+        
+        // Invite links open the player with ?party=CODE
+        const inviteCode = new URLSearchParams(window.location.search).get('party');
+        if (inviteCode) {
+            sessionStorage.setItem('partyInvite', inviteCode.toUpperCase());
+        }
+    }
+    
+    return {
+        init,
+        isActive,
+        isHost,
+        create,
+        join,
+        leave,
+        togglePlay,
+        seek,
+        skip,
+        handleEnded,
+        addToQueue,
+        playMix,
+        removeFromQueue,
+        moveInQueue,
+        transferHost,
+        rotateInvite,
+        getInviteLink,
+        sendMessage,
+        react,
+        deleteMessage,
+        muteMember,
+        kickMember,
+        loadOlderMessages
+    };
+})();
+
+document.addEventListener('DOMContentLoaded', () => Party.init());
+
+window.Party = Party;
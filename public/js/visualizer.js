@@ -0,0 +1,204 @@
+// MixHub Visualizer
+//
+// Draws the player's output onto a canvas from the audio engine's analyser:
+// a log-frequency spectrum or an oscilloscope, with peak/RMS level meters on
+// the right. Colours come from the --visualizer-* CSS variables, so they
+// follow the theme, and drawing is capped at `fps` frames per second.
+
+const METER_FLOOR_DB = -60;
+const PEAK_HOLD_MS = 1000;
+
+function createVisualizer(canvas, options = {}) {
+    const analyser = AudioEngine.getAnalyser();
+    const context = canvas.getContext('2d');
+    const frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    const timeData = new Float32Array(analyser.fftSize);
+    
+    // Phones get a lower default frame rate to save battery
+    const settings = {
+        mode: options.mode || 'spectrum',
+        fps: options.fps || (window.matchMedia('(pointer: coarse)').matches ? 30 : 60),
+        bars: options.bars || 64,
+        meters: options.meters !== false
+    };
+    
+    let colors = readColors();
+    let frameId = null;
+    let lastFrame = 0;
+    let peakHold = { level: 0, at: 0 };
+    
+    function readColors() {
+        const style = getComputedStyle(canvas);
+        const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+        
+        return {
+            low: read('--visualizer-low', '#00f0ff'),
+            high: read('--visualizer-high', '#ff00ff'),
+            line: read('--visualizer-line', '#00f0ff'),
+            meter: read('--visualizer-meter', '#00ff9d'),
+            peak: read('--visualizer-peak', '#ff00ff'),
+            grid: read('--visualizer-grid', 'rgba(255, 255, 255, 0.08)')
+        };
+    }
+    
+    // The theme is switched by toggling the `dark` class on <html>
+    const themeObserver = new MutationObserver(() => {
+        colors = readColors();
+    });
+    themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+    
+    function resize() {
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        canvas.width = Math.round(canvas.clientWidth * ratio);
+        canvas.height = Math.round(canvas.clientHeight * ratio);
+    }
+    
+    const resizeObserver = new ResizeObserver(resize);
+    resizeObserver.observe(canvas);
+    resize();
+    
+    function toMeterLevel(value) {
+        const db = value > 0 ? 20 * Math.log10(value) : METER_FLOOR_DB;
+        return Math.max(0, 1 - db / METER_FLOOR_DB);
+    }
+    
+    // Bars are spaced logarithmically from 20 Hz to Nyquist, each showing the
+    // loudest bin in its range
+    function drawSpectrum(width, height) {
+        analyser.getByteFrequencyData(frequencyData);
+        
+        const nyquist = analyser.context.sampleRate / 2;
+        const binWidth = nyquist / frequencyData.length;
+        const gap = Math.max(1, Math.floor(width / settings.bars / 6));
+        const barWidth = width / settings.bars;
+        
+        const gradient = context.createLinearGradient(0, height, 0, 0);
+        gradient.addColorStop(0, colors.low);
+        gradient.addColorStop(1, colors.high);
+        context.fillStyle = gradient;
+        
+        for (let bar = 0; bar < settings.bars; bar++) {
+            const from = 20 * Math.pow(nyquist / 20, bar / settings.bars);
+            const to = 20 * Math.pow(nyquist / 20, (bar + 1) / settings.bars);
+            const firstBin = Math.floor(from / binWidth);
+            const lastBin = Math.max(firstBin, Math.min(frequencyData.length - 1, Math.floor(to / binWidth)));
+            
+            let value = 0;
+            for (let bin = firstBin; bin <= lastBin; bin++) {
+                value = Math.max(value, frequencyData[bin]);
+            }
+            
+            const barHeight = value / 255 * height;
+            context.fillRect(bar * barWidth + gap / 2, height - barHeight, barWidth - gap, barHeight);
+        }
+    }
+    
+    function drawOscilloscope(width, height) {
+        context.strokeStyle = colors.grid;
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(0, height / 2);
+        context.lineTo(width, height / 2);
+        context.stroke();
+        
+        context.strokeStyle = colors.line;
+        context.lineWidth = Math.max(1, height / 100);
+        context.beginPath();
+        for (let i = 0; i < timeData.length; i++) {
+            const x = i / (timeData.length - 1) * width;
+            const y = (1 - timeData[i]) * height / 2;
+            if (i === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+        context.stroke();
+    }
+    
+    // RMS as the bar, peak as a line that holds for PEAK_HOLD_MS, then falls
+    function drawMeters(x, width, height, now) {
+        let peak = 0;
+        let sumSquares = 0;
+        for (const sample of timeData) {
+            peak = Math.max(peak, Math.abs(sample));
+            sumSquares += sample * sample;
+        }
+        
+        const rmsLevel = toMeterLevel(Math.sqrt(sumSquares / timeData.length));
+        const peakLevel = toMeterLevel(peak);
+        
+        if (peakLevel >= peakHold.level || now - peakHold.at > PEAK_HOLD_MS) {
+            peakHold = { level: peakLevel, at: now };
+        }
+        
+        context.fillStyle = colors.grid;
+        context.fillRect(x, 0, width, height);
+        
+        context.fillStyle = colors.meter;
+        context.fillRect(x, height * (1 - rmsLevel), width, height * rmsLevel);
+        
+        context.fillStyle = colors.peak;
+        context.fillRect(x, height * (1 - peakHold.level), width, Math.max(2, height / 100));
+    }
+    
+    function draw(now) {
+        const { width, height } = canvas;
+        const meterWidth = settings.meters ? Math.max(6, width * 0.03) : 0;
+        const plotWidth = width - (meterWidth ? meterWidth + meterWidth / 2 : 0);
+        
+        context.clearRect(0, 0, width, height);
+        analyser.getFloatTimeDomainData(timeData);
+        
+        if (settings.mode === 'oscilloscope') {
+            drawOscilloscope(plotWidth, height);
+        } else {
+            drawSpectrum(plotWidth, height);
+        }
+        
+        if (meterWidth) {
+            drawMeters(width - meterWidth, meterWidth, height, now);
+        }
+    }
+    
+    function frame(now) {
+        frameId = requestAnimationFrame(frame);
+        
+        // Frames arrive at the display's rate; skip the ones over the cap
+        if (now - lastFrame < 1000 / settings.fps - 1) return;
+        lastFrame = now;
+        
+        draw(now);
+    }
+    
+    return {
+        start() {
+            if (frameId === null) {
+                frameId = requestAnimationFrame(frame);
+            }
+        },
+        stop() {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        },
+        setMode(mode) {
+            settings.mode = mode === 'oscilloscope' ? 'oscilloscope' : 'spectrum';
+        },
+        setFps(fps) {
+            settings.fps = Math.max(1, fps);
+        },
+        showMeters(visible) {
+            settings.meters = visible;
+        },
+        get mode() {
+            return settings.mode;
+        },
+        destroy() {
+            this.stop();
+            themeObserver.disconnect();
+            resizeObserver.disconnect();
+        }
+    };
+}
+
+window.createVisualizer = createVisualizer;
@@ -0,0 +1,50 @@
+// Grants or revokes the admin role. Run where the database is reachable:
+//
+//   npm run set-role -- <email or username> <admin|user>
+//
+// The API never changes roles itself, so this is the only way to make an admin.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+dotenv.config();
+
+const ROLES = ['user', 'admin'];
+
+const main = async () => {
+  const [account, role] = process.argv.slice(2);
+  
+  if (!account || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email or username> <${ROLES.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!process.env.MONGODB_URI) {
+    console.error('MONGODB_URI is not set');
+    process.exitCode = 1;
+    return;
+  }
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const user = await mongoose.connection.collection('users').findOneAndUpdate(
+      { $or: [{ email: account }, { username: account }] },
+      { $set: { role } },
+      { returnDocument: 'after', projection: { username: 1, email: 1, role: 1 } }
+    );
+    
+    if (!user) {
+      console.error(`No user with email or username ${account}`);
+      process.exitCode = 1;
+      return;
+    }
+    
+    console.log(`${user.username} <${user.email}> is now ${user.role}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('Failed to set role:', error.message);
+  process.exitCode = 1;
+});
@@ -9,13 +9,42 @@ import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import Redis from 'ioredis';
+import { createAdapter } from '@socket.io/redis-adapter';
 import cloudinary from 'cloudinary';
 import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import axios from 'axios';
 import fs from 'fs';
-import { promisify } from 'util';
+import os from 'os';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import {
+  createTokenAuth,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  verifyLegacyPassword
+} from './lib/auth.js';
+import { createGiftedTechProvider, createProviderChain } from './lib/download-providers.js';
+import {
+  ANALYTICS_GRANULARITIES,
+  getBucketStart,
+  listBuckets,
+  parseAnalyticsRange
+} from './lib/analytics.js';
+import { createMemoryPartyStore, createRedisPartyStore, updateParty } from './lib/party-store.js';
+import { createPlayCounter } from './lib/plays.js';
+import {
+  findNonStringParam,
+  isNonEmptyString,
+  isQueryStringList,
+  isValidVideoId,
+  isYouTubeVideoId,
+  requireKnownVideo,
+  validateDescription,
+  validatePresetName
+} from './lib/validation.js';
 
 // Load environment variables
 dotenv.config();
@@ -37,7 +66,204 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Initialize Redis
+// The client reconnects on its own; while it is not ready the cache below
+// serves from memory instead of waiting on it.
+const redis = process.env.REDIS_URL
+  ? new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: 1 })
+  : null;
 
+if (redis) {
+  let redisDown = false;
+  redis.on('ready', () => {
+    redisDown = false;
+    console.log('✅ Redis connected');
+  });
+  redis.on('error', (error) => {
+    if (!redisDown) {
+      redisDown = true;
+      console.log(`⚠️  Redis unavailable (${error.message}) - using in-memory cache`);
+    }
+  });
+} else {
+  console.log('⚠️  Redis not configured - using in-memory cache');
+}
+
+// Socket.io broadcasts go through Redis pub/sub when it is configured, so
+// rooms span every instance. The adapter has its own connections, which hold
+// commands while Redis is down instead of failing them (the adapter doesn't
+// handle failures); their errors are already reported by the main client.
+if (redis) {
+  const [publisher, subscriber] = [0, 1].map(() => {
+    const client = redis.duplicate({ maxRetriesPerRequest: null });
+    client.on('error', () => {});
+    return client;
+  });
+  io.adapter(createAdapter(publisher, subscriber));
+}
+
+// Cache
+// Same string get/set/setex/add/del API whichever backend answers. Entries in the
+// memory backend expire by TTL and the least recently used are evicted first.
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000;
+const CACHE_PRUNE_INTERVAL = 60 * 1000;
+
+const createMemoryCache = (maxEntries) => {
+  const entries = new Map();
+  let evictions = 0;
+  
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    // Re-insert so Map order tracks recency
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+  
+  const write = (key, value, ttl) => {
+    entries.delete(key);
+    entries.set(key, { value: String(value), expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      evictions++;
+    }
+  };
+  
+  return {
+    get: async (key) => read(key),
+    set: async (key, value) => {
+      write(key, value);
+      return 'OK';
+    },
+    setex: async (key, ttl, value) => {
+      write(key, value, ttl);
+      return 'OK';
+    },
+    add: async (key, ttl, value) => {
+      if (read(key) !== null) {
+        return false;
+      }
+      write(key, value, ttl);
+      return true;
+    },
+    del: async (key) => (entries.delete(key) ? 1 : 0),
+    // Expired entries are otherwise only dropped when read or evicted
+    prune: () => {
+      const now = Date.now();
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt && entry.expiresAt <= now) {
+          entries.delete(key);
+        }
+      }
+    },
+    stats: () => ({ entries: entries.size, maxEntries, evictions })
+  };
+};
+
+const createRedisCache = (client) => ({
+  get: (key) => client.get(key),
+  set: (key, value) => client.set(key, value),
+  setex: (key, ttl, value) => client.setex(key, ttl, value),
+  add: async (key, ttl, value) => (await client.set(key, value, 'EX', ttl, 'NX')) === 'OK',
+  del: (key) => client.del(key)
+});
+
+const memoryCache = createMemoryCache(CACHE_MAX_ENTRIES);
+const redisCache = redis ? createRedisCache(redis) : null;
+const cacheMetrics = { hits: 0, misses: 0, errors: 0, namespaces: {} };
+
+const getCacheBackend = () => (redis?.status === 'ready' ? redisCache : memoryCache);
+
+// Keys are `<namespace>:<id>`; metrics are also kept per namespace
+const recordCacheLookup = (key, hit) => {
+  const namespace = key.split(':')[0];
+  const counts = cacheMetrics.namespaces[namespace] ||= { hits: 0, misses: 0 };
+  const field = hit ? 'hits' : 'misses';
+  counts[field]++;
+  cacheMetrics[field]++;
+};
+
+// A failing Redis command falls through to memory rather than failing the request
+const withFallback = async (operation) => {
+  const backend = getCacheBackend();
+  try {
+    return await operation(backend);
+  } catch (error) {
+    cacheMetrics.errors++;
+    if (backend === memoryCache) {
+      throw error;
+    }
+    return operation(memoryCache);
+  }
+};
+
+const cache = {
+  get: async (key) => {
+    const value = await withFallback(backend => backend.get(key));
+    recordCacheLookup(key, value !== null && value !== undefined);
+    return value ?? null;
+  },
+  set: (key, value) => withFallback(backend => backend.set(key, value)),
+  setex: (key, ttl, value) => withFallback(backend => backend.setex(key, ttl, value)),
+  // Sets the key only if it is absent (SET NX EX); true when this call set it
+  add: (key, ttl, value) => withFallback(backend => backend.add(key, ttl, value)),
+  // Deleted from both so memory entries written during an outage don't resurface
+  del: async (key) => {
+    const removed = await memoryCache.del(key);
+    if (redisCache && redis.status === 'ready') {
+      return (await redisCache.del(key).catch(() => 0)) || removed;
+    }
+    return removed;
+  },
+  stats: () => {
+    const lookups = cacheMetrics.hits + cacheMetrics.misses;
+    return {
+      backend: getCacheBackend() === redisCache ? 'redis' : 'memory',
+      hits: cacheMetrics.hits,
+      misses: cacheMetrics.misses,
+      hitRate: lookups ? Number((cacheMetrics.hits / lookups).toFixed(3)) : null,
+      errors: cacheMetrics.errors,
+      namespaces: cacheMetrics.namespaces,
+      memory: memoryCache.stats()
+    };
+  }
+};
+
+const revalidations = new Map();
+
+// Stale-while-revalidate: values younger than `ttl` seconds are served as is,
+// older ones (up to `staleTtl`) are served while `loader` refreshes them in
+// the background. Only a cold cache waits on the loader.
+const getCachedWithRevalidate = async (key, { ttl, staleTtl }, loader) => {
+  const refresh = () => {
+    if (!revalidations.has(key)) {
+      const pending = (async () => {
+        const value = await loader();
+        await cache.setex(key, staleTtl, JSON.stringify({ value, storedAt: Date.now() }));
+        return value;
+      })().finally(() => revalidations.delete(key));
+      revalidations.set(key, pending);
+    }
+    return revalidations.get(key);
+  };
+  
+  const cached = await cache.get(key);
+  if (!cached) {
+    return refresh();
+  }
+  
+  const { value, storedAt } = JSON.parse(cached);
+  if (Date.now() - storedAt > ttl * 1000) {
+    refresh().catch(error => console.error(`Cache refresh for ${key} failed:`, error.message));
+  }
+  return value;
+};
 
 // Configure Cloudinary
 cloudinary.v2.config({
@@ -47,19 +273,43 @@ cloudinary.v2.config({
 });
 
 // MongoDB Models
+// Allowed preference values, shared with the profile route's validation
+const THEMES = ['dark', 'light'];
+const AUDIO_QUALITIES = ['low', 'medium', 'high', 'lossless'];
+const QUEUE_REPEAT_MODES = ['off', 'one', 'all'];
+const CROSSFADE_MAX_SECONDS = 12;
+
+const EQ_FILTER_TYPES = ['lowshelf', 'peaking', 'highshelf'];
+
+const EqualizerBandSchema = new mongoose.Schema({
+  type: { type: String, enum: EQ_FILTER_TYPES },
+  frequency: Number,
+  q: Number,
+  gain: Number
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   username: { type: String, unique: true },
   email: { type: String, unique: true },
   password: String,
+  tokenVersion: { type: Number, default: 0 },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
   avatar: String,
   preferences: {
-    theme: { type: String, default: 'dark' },
-    audioQuality: { type: String, default: 'high' },
+    theme: { type: String, enum: THEMES, default: 'dark' },
+    audioQuality: { type: String, enum: AUDIO_QUALITIES, default: 'high' },
     autoPlay: { type: Boolean, default: true },
+    // Seconds of overlap between consecutive mixes; 0 plays them back to back
+    crossfade: { type: Number, min: 0, max: CROSSFADE_MAX_SECONDS, default: 0 },
+    loudnessMatch: { type: Boolean, default: false },
     equalizer: {
-      bass: { type: Number, default: 0 },
-      mid: { type: Number, default: 0 },
-      treble: { type: Number, default: 0 }
+      preamp: { type: Number, default: 0 },
+      bands: [EqualizerBandSchema],
+      presetId: String,
+      // Three-band settings from before the parametric equalizer, converted on read
+      bass: Number,
+      mid: Number,
+      treble: Number
     }
   },
   playlists: [{
@@ -71,7 +321,8 @@ const UserSchema = new mongoose.Schema({
       thumbnail: String,
       addedAt: { type: Date, default: Date.now }
     }],
-    createdAt: { type: Date, default: Date.now }
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
   }],
   favorites: [{
     videoId: String,
@@ -82,10 +333,38 @@ const UserSchema = new mongoose.Schema({
   downloads: [{
     videoId: String,
     title: String,
+    thumbnail: String,
     format: String,
     quality: String,
+    extension: String,
+    size: Number,
+    url: String,
+    expiresAt: Date,
+    jobId: String,
     downloadedAt: { type: Date, default: Date.now }
   }],
+  // Play queue, saved so a session resumes on any device where it left off
+  queue: {
+    items: [{
+      _id: false,
+      videoId: String,
+      title: String,
+      thumbnail: String
+    }],
+    index: { type: Number, default: -1 },
+    position: { type: Number, default: 0 },
+    shuffle: { type: Boolean, default: false },
+    repeat: { type: String, enum: QUEUE_REPEAT_MODES, default: 'off' },
+    history: [{
+      _id: false,
+      videoId: String,
+      title: String,
+      thumbnail: String,
+      playedAt: Date
+    }],
+    version: { type: Number, default: 0 },
+    updatedAt: Date
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -96,17 +375,119 @@ const MixSchema = new mongoose.Schema({
   duration: Number,
   thumbnail: String,
   waveform: String,
+  waveformData: {
+    sampleRate: Number,
+    // Gated RMS level in dBFS, used to match loudness between mixes
+    loudness: Number,
+    resolutions: [{
+      _id: false,
+      buckets: Number,
+      peak: [Number],
+      rms: [Number]
+    }],
+    generatedAt: Date
+  },
   audioUrl: String,
+  audioInfo: {
+    codec: String,
+    bitrate: Number,
+    sampleRate: Number,
+    channels: Number,
+    lossless: Boolean,
+    probedAt: Date
+  },
   downloadCount: { type: Number, default: 0 },
   playCount: { type: Number, default: 0 },
   likes: { type: Number, default: 0 },
   tags: [String],
+  description: String,
+  channelTitle: String,
+  publishedAt: Date,
+  source: { type: String, enum: ['youtube', 'upload'], default: 'youtube' },
+  // Id of the user who uploaded the mix, and its Cloudinary assets
   uploadedBy: String,
-  uploadedAt: { type: Date, default: Date.now }
+  uploadedAt: { type: Date, default: Date.now },
+  audioPublicId: String,
+  coverPublicId: String
+});
+
+MixSchema.index({ source: 1, publishedAt: -1 });
+MixSchema.index({ uploadedBy: 1, uploadedAt: -1 });
+
+// Tracks where the last channel sync stopped so later runs only fetch newer uploads
+const SyncStateSchema = new mongoose.Schema({
+  key: { type: String, unique: true },
+  playlistId: String,
+  lastPublishedAt: Date,
+  lastSyncAt: Date,
+  lastFullSyncAt: Date,
+  lastError: String,
+  totalSynced: { type: Number, default: 0 }
+});
+
+// Plays per mix per UTC day, kept long enough for the weekly chart
+const PlayCountSchema = new mongoose.Schema({
+  videoId: String,
+  day: Date,
+  plays: { type: Number, default: 0 }
 });
 
+PlayCountSchema.index({ videoId: 1, day: 1 }, { unique: true });
+PlayCountSchema.index({ day: 1 }, { expireAfterSeconds: 35 * 24 * 60 * 60 });
+
+// Event counts per hour and per day. `videoId` and `dimension` are '' when an
+// event has none; `dimension` is `<format>:<quality>` for downloads and the
+// normalized query for searches.
+const AnalyticsRollupSchema = new mongoose.Schema({
+  granularity: { type: String, enum: ['hour', 'day'] },
+  bucket: Date,
+  type: { type: String, enum: ['play', 'complete', 'skip', 'download', 'search'] },
+  videoId: { type: String, default: '' },
+  dimension: { type: String, default: '' },
+  count: { type: Number, default: 0 },
+  expiresAt: Date
+});
+
+AnalyticsRollupSchema.index({ granularity: 1, bucket: 1, type: 1, videoId: 1, dimension: 1 }, { unique: true });
+AnalyticsRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Chat messages and emoji reactions in listening parties. `position` is how
+// far into `videoId` the party was, so reactions can be placed on the mix.
+const PartyMessageSchema = new mongoose.Schema({
+  partyId: String,
+  type: { type: String, enum: ['message', 'reaction'] },
+  authorId: String,
+  authorName: String,
+  text: String,
+  emoji: String,
+  videoId: String,
+  position: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+
+PartyMessageSchema.index({ partyId: 1, createdAt: -1 });
+PartyMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Built-in presets have a `key` and no owner; shared presets have a shareCode
+const EqualizerPresetSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  key: String,
+  builtIn: { type: Boolean, default: false },
+  name: String,
+  preamp: { type: Number, default: 0 },
+  bands: [EqualizerBandSchema],
+  shareCode: { type: String, unique: true, sparse: true }
+}, { timestamps: true });
+
+EqualizerPresetSchema.index({ owner: 1, createdAt: 1 });
+
 const User = mongoose.model('User', UserSchema);
 const Mix = mongoose.model('Mix', MixSchema);
+const SyncState = mongoose.model('SyncState', SyncStateSchema);
+const PlayCount = mongoose.model('PlayCount', PlayCountSchema);
+const AnalyticsRollup = mongoose.model('AnalyticsRollup', AnalyticsRollupSchema);
+const EqualizerPreset = mongoose.model('EqualizerPreset', EqualizerPresetSchema);
+const PartyMessage = mongoose.model('PartyMessage', PartyMessageSchema);
 
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
@@ -138,12 +519,29 @@ const upload = multer({
   }
 });
 
-// Ensure uploads directory exists
+const coverUpload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (/image\/(jpeg|png|webp)/.test(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG or WebP images are allowed.'), false);
+    }
+  }
+});
+
+// Ensure uploads and media directories exist
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+const mediaDir = path.join(__dirname, 'media');
+if (!fs.existsSync(mediaDir)) {
+  fs.mkdirSync(mediaDir, { recursive: true });
+}
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -172,6 +570,7 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // Serve static files
 app.use(express.static(path.join(__dirname, '../public')));
 app.use('/uploads', express.static(uploadsDir));
+app.use('/media', express.static(mediaDir));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -181,589 +580,5444 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// WebSocket for real-time features
-io.on('connection', (socket) => {
-  console.log('New client connected');
+// Presence
+// Who is connected right now, and what they are playing. Every socket counts
+// as a listener; clients report the mix they are playing with
+// 'presence:listening'. This instance's sockets are always tracked in memory.
+// With Redis the entries are also written to sorted sets scored by when they
+// were last seen, so counts cover every instance; each instance re-scores its
+// own sockets on a heartbeat, and entries left behind by an instance that
+// died age out after PRESENCE_TTL.
+const PRESENCE_HEARTBEAT = 30 * 1000;
+const PRESENCE_TTL = 90 * 1000;
+const PRESENCE_BROADCAST_INTERVAL = 5 * 1000;
+const PRESENCE_ROOM = 'presence';
+
+// socket id -> videoId, or null while nothing is playing
+const presence = new Map();
+
+const countMemoryPresence = () => {
+  const mixes = {};
+  for (const videoId of presence.values()) {
+    if (videoId) {
+      mixes[videoId] = (mixes[videoId] || 0) + 1;
+    }
+  }
+  return { listeners: presence.size, mixes };
+};
+
+const createRedisPresenceStore = (client) => ({
+  save: async (socketId, videoId, previous) => {
+    const now = Date.now();
+    const multi = client.multi().zadd('presence:listeners', now, socketId);
+    if (previous && previous !== videoId) {
+      multi.zrem(`presence:mix:${previous}`, socketId);
+    }
+    if (videoId) {
+      multi.zadd(`presence:mix:${videoId}`, now, socketId).zadd('presence:mixes', now, videoId);
+    }
+    await multi.exec();
+  },
+  remove: async (socketId, videoId) => {
+    const multi = client.multi().zrem('presence:listeners', socketId);
+    if (videoId) {
+      multi.zrem(`presence:mix:${videoId}`, socketId);
+    }
+    await multi.exec();
+  },
+  refresh: async (entries) => {
+    const now = Date.now();
+    const pipeline = client.pipeline();
+    for (const [socketId, videoId] of entries) {
+      pipeline.zadd('presence:listeners', now, socketId);
+      if (videoId) {
+        pipeline.zadd(`presence:mix:${videoId}`, now, socketId).zadd('presence:mixes', now, videoId);
+      }
+    }
+    await pipeline.exec();
+  },
+  count: async () => {
+    const cutoff = Date.now() - PRESENCE_TTL;
+    const [, [, listeners], , [, videoIds]] = await client.pipeline()
+      .zremrangebyscore('presence:listeners', '-inf', cutoff)
+      .zcard('presence:listeners')
+      .zremrangebyscore('presence:mixes', '-inf', cutoff)
+      .zrange('presence:mixes', 0, -1)
+      .exec();
+    
+    const pipeline = client.pipeline();
+    for (const videoId of videoIds) {
+      pipeline.zremrangebyscore(`presence:mix:${videoId}`, '-inf', cutoff).zcard(`presence:mix:${videoId}`);
+    }
+    const results = await pipeline.exec();
+    
+    const mixes = {};
+    videoIds.forEach((videoId, index) => {
+      const [error, count] = results[index * 2 + 1];
+      if (!error && count > 0) {
+        mixes[videoId] = count;
+      }
+    });
+    return { listeners, mixes };
+  }
+});
+
+const redisPresenceStore = redis ? createRedisPresenceStore(redis) : null;
+const isPresenceShared = () => redis?.status === 'ready';
+
+// Redis failures only cost accuracy; the heartbeat rewrites everything
+const writePresence = (operation) => {
+  if (isPresenceShared()) {
+    operation(redisPresenceStore).catch(error => console.error('Presence write error:', error.message));
+  }
+};
+
+const setPresence = (socket, videoId) => {
+  const previous = presence.get(socket.id) ?? null;
+  presence.set(socket.id, videoId);
+  writePresence(store => store.save(socket.id, videoId, previous));
+};
+
+const removePresence = (socket) => {
+  if (!presence.has(socket.id)) return;
   
-  socket.on('join-player', (room) => {
-    socket.join(`player-${room}`);
-  });
+  const videoId = presence.get(socket.id);
+  presence.delete(socket.id);
+  writePresence(store => store.remove(socket.id, videoId));
+};
+
+// { listeners, nowPlaying, mixes: [{ videoId, listeners }] }, busiest first
+const getLiveCounts = async () => {
+  let counts = countMemoryPresence();
+  if (isPresenceShared()) {
+    counts = await redisPresenceStore.count().catch((error) => {
+      console.error('Presence count error:', error.message);
+      return counts;
+    });
+  }
+  
+  const mixes = Object.entries(counts.mixes)
+    .map(([videoId, listeners]) => ({ videoId, listeners }))
+    .sort((a, b) => b.listeners - a.listeners);
   
-  socket.on('audio-progress', (data) => {
-    socket.to(`player-${data.room}`).emit('progress-update', data);
+  return { listeners: counts.listeners, nowPlaying: mixes.length, mixes };
+};
+
+// Dashboards in the presence room get the counts whenever they change,
+// including changes made on other instances. Every instance works out the
+// same counts, so each only tells its own sockets.
+let lastLiveCounts = null;
+
+const broadcastPresence = async () => {
+  if (!io.of('/').adapter.rooms.get(PRESENCE_ROOM)?.size) return;
+  
+  const counts = await getLiveCounts();
+  const serialized = JSON.stringify(counts);
+  if (serialized !== lastLiveCounts) {
+    lastLiveCounts = serialized;
+    io.local.to(PRESENCE_ROOM).emit('presence:update', counts);
+  }
+};
+
+const startPresence = () => {
+  setInterval(() => writePresence(store => store.refresh(presence)), PRESENCE_HEARTBEAT).unref();
+  setInterval(() => broadcastPresence().catch(() => {}), PRESENCE_BROADCAST_INTERVAL).unref();
+  
+  // Entries written while Redis was down were only kept in memory
+  redis?.on('ready', () => writePresence(store => store.refresh(presence)));
+};
+
+const registerPresenceHandlers = (socket) => {
+  setPresence(socket, null);
+  
+  socket.on('presence:listening', (videoId) => {
+    setPresence(socket, isVideoId(videoId) ? videoId : null);
   });
   
-  socket.on('disconnect', () => {
-    console.log('Client disconnected');
+  socket.on('presence:subscribe', async (ack) => {
+    socket.join(PRESENCE_ROOM);
+    const counts = await getLiveCounts();
+    if (typeof ack === 'function') {
+      ack(counts);
+    } else {
+      socket.emit('presence:update', counts);
+    }
   });
+  
+  socket.on('presence:unsubscribe', () => socket.leave(PRESENCE_ROOM));
+};
+
+// Listening parties
+// Rooms where everyone hears the same mix at the same moment. The server owns
+// each party's queue and playback, only the host can change them, and every
+// change goes out to the room as the full party state. Playback is a position
+// at a server timestamp, so clients work out where they should be from their
+// estimate of the server clock (see 'party:ping'). Party state is kept in
+// Redis when it is configured, so a party can be joined and its members
+// reached from any instance; without Redis it lives in memory on the one
+// instance. Changes are saved with a version check (see lib/party-store.js),
+// and only once saved are they broadcast or applied to sockets.
+const PARTY_INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PARTY_INVITE_LENGTH = 6;
+const PARTY_MAX_MEMBERS = 50;
+const PARTY_MAX_QUEUE = 200;
+const PARTY_NAME_MAX_LENGTH = 40;
+const PARTY_PLAYBACK_ACTIONS = ['play', 'pause', 'seek'];
+// A party nobody has changed for this long is dropped
+const PARTY_TTL = 24 * 60 * 60 * 1000;
+// An empty party is kept this long, paused, so a host who reloads can rejoin
+const PARTY_EMPTY_TTL = 5 * 60 * 1000;
+// A host who drops out gets this long to reconnect before hosting passes on
+const PARTY_HOST_GRACE = 20 * 1000;
+
+const memoryPartyStore = createMemoryPartyStore();
+const redisPartyStore = redis ? createRedisPartyStore(redis) : null;
+const getPartyStore = () => (redis?.status === 'ready' ? redisPartyStore : memoryPartyStore);
+
+const getPartyTtl = (party) => (party.members.length > 0 ? PARTY_TTL : PARTY_EMPTY_TTL);
+
+const createInviteCode = () => Array.from(
+  { length: PARTY_INVITE_LENGTH },
+  () => PARTY_INVITE_ALPHABET[crypto.randomInt(PARTY_INVITE_ALPHABET.length)]
+).join('');
+
+const claimInviteCode = async (partyId) => {
+  let code;
+  do {
+    code = createInviteCode();
+  } while (!await getPartyStore().claimInvite(code, partyId, PARTY_TTL));
+  
+  return code;
+};
+
+const getPartyRoom = (partyId) => `player-${partyId}`;
+
+const findPartyMember = (party, memberId) => party.members.find(member => member.id === memberId);
+
+const getPartyPosition = (playback, now = Date.now()) => (
+  playback.playing ? playback.position + (now - playback.updatedAt) / 1000 : playback.position
+);
+
+const toPublicParty = (party) => ({
+  id: party.id,
+  inviteCode: party.inviteCode,
+  hostId: party.hostId,
+  members: party.members.map(member => ({
+    id: member.id,
+    name: member.name,
+    isHost: member.id === party.hostId,
+    muted: isPartyMemberMuted(party, member),
+    joinedAt: member.joinedAt
+  })),
+  queue: {
+    items: party.queue.items,
+    index: party.queue.index
+  },
+  playback: { ...party.playback },
+  serverTime: Date.now()
 });
 
-// Utility Functions
-const generateWaveform = async (audioBuffer) => {
-  // Simple waveform generation (in production, use proper audio processing)
-  const waveform = [];
-  const chunkSize = Math.floor(audioBuffer.length / 100);
+const broadcastParty = (party) => {
+  io.to(getPartyRoom(party.id)).emit('party:state', toPublicParty(party));
+};
+
+const cleanPartyName = (name) => (
+  typeof name === 'string' && name.trim() ? name.trim().slice(0, PARTY_NAME_MAX_LENGTH) : 'Guest'
+);
+
+const setPartyPlayback = (party, changes) => {
+  party.playback = { ...party.playback, ...changes, updatedAt: Date.now() };
+};
+
+// Signed-in members are known by their account, so a kick sticks to it and
+// hosting can't be reclaimed by copying someone's key; guests by `memberKey`
+const getMemberKey = (socket, memberKey) => {
+  const user = getSocketUser(socket);
+  if (user) {
+    return `user:${user.id}`;
+  }
+  return typeof memberKey === 'string' && memberKey ? `guest:${memberKey.slice(0, 64)}` : null;
+};
+
+const setPartyHost = (party, member) => {
+  party.hostId = member.id;
+  party.hostKey = member.key;
+  party.handoffAt = null;
+};
+
+// Hosting passes to the longest-standing member once a dropped host's grace
+// is over. This is applied whenever a party is read, so it doesn't rely on
+// the instance that started the grace still being up.
+const settlePartyHost = (party, now = Date.now()) => {
+  if (!party.hostId && party.handoffAt && party.handoffAt <= now && party.members.length > 0) {
+    setPartyHost(party, party.members[0]);
+  }
+  return party;
+};
+
+const loadParty = async (partyId) => {
+  const party = partyId ? await getPartyStore().get(partyId) : null;
+  return party && settlePartyHost(party);
+};
+
+// Resolves to { party, result } once saved, or { error }
+const changeParty = (partyId, change) => updateParty(
+  getPartyStore(),
+  partyId,
+  (party) => change(settlePartyHost(party)),
+  { ttl: getPartyTtl }
+);
+
+// Members identify themselves across reconnects by account or, signed out,
+// with `memberKey`, a random value their browser keeps for the session
+const createPartyMember = (socket, { name, memberKey }) => ({
+  id: socket.id,
+  key: getMemberKey(socket, memberKey),
+  name: cleanPartyName(name || getSocketUser(socket)?.username),
+  joinedAt: new Date().toISOString()
+});
+
+// Whoever joins an empty party becomes its host, as does the previous host
+// coming back within the grace
+const addPartyMember = (party, member) => {
+  party.members.push(member);
   
-  for (let i = 0; i < 100; i++) {
-    const start = i * chunkSize;
-    const end = Math.min(start + chunkSize, audioBuffer.length);
-    const chunk = audioBuffer.slice(start, end);
-    
-    // Calculate RMS for waveform
-    let sum = 0;
-    for (let j = 0; j < chunk.length; j += 4) {
-      sum += Math.abs(chunk[j]);
-    }
-    const rms = Math.sqrt(sum / (chunk.length / 4));
-    waveform.push(Math.min(100, rms * 100));
+  if (!party.hostId && (party.members.length === 1 || (member.key && member.key === party.hostKey))) {
+    setPartyHost(party, member);
   }
+};
+
+const enterPartyRoom = (socket, party) => {
+  socket.join(getPartyRoom(party.id));
+  socket.data.partyId = party.id;
+};
+
+const createParty = async (member) => {
+  const id = crypto.randomUUID();
+  const party = {
+    id,
+    inviteCode: await claimInviteCode(id),
+    hostId: null,
+    hostKey: null,
+    handoffAt: null,
+    members: [],
+    queue: { items: [], index: -1 },
+    playback: { videoId: null, position: 0, playing: false, updatedAt: Date.now() },
+    mutedUntil: {},
+    bannedKeys: [],
+    version: 0,
+    createdAt: new Date().toISOString()
+  };
   
-  return waveform;
+  addPartyMember(party, member);
+  await getPartyStore().save(party, getPartyTtl(party));
+  return party;
 };
 
-// YouTube API Functions
-const fetchYouTubeChannelVideos = async () => {
-  try {
-    const cacheKey = 'youtube_channel_videos';
-    const cached = await redis.get(cacheKey);
-    
-    if (cached) {
-      return JSON.parse(cached);
+// Announces the new host once a dropped host's grace is over
+const handOffPartyHost = async (partyId) => {
+  const { party } = await changeParty(partyId, () => {});
+  if (party) {
+    broadcastParty(party);
+  }
+};
+
+// A host who leaves on purpose hands off at once; one who disconnects is
+// given PARTY_HOST_GRACE to come back
+const removePartyMember = async (socket, { left = false } = {}) => {
+  const { partyId } = socket.data;
+  socket.data.partyId = null;
+  if (!partyId) return;
+  
+  socket.leave(getPartyRoom(partyId));
+  
+  const { party } = await changeParty(partyId, (current) => {
+    const index = current.members.findIndex(member => member.id === socket.id);
+    if (index === -1) {
+      return { error: 'Not a member' };
     }
+    current.members.splice(index, 1);
     
-    const url = `https://www.googleapis.com/youtube/v3/search?part=snippet&channelId=${process.env.YOUTUBE_CHANNEL_ID}&maxResults=50&order=date&type=video&key=${process.env.YOUTUBE_API_KEY}`;
-    
-    const response = await axios.get(url);
-    const videos = response.data.items.map(item => ({
-      videoId: item.id.videoId,
-      title: item.snippet.title,
-      description: item.snippet.description,
-      thumbnail: item.snippet.thumbnails.high?.url || item.snippet.thumbnails.default.url,
-      publishedAt: item.snippet.publishedAt,
-      channelTitle: item.snippet.channelTitle
-    }));
-    
-    // Cache for 1 hour
-    await redis.setex(cacheKey, 3600, JSON.stringify(videos));
-    
-    return videos;
-  } catch (error) {
-    console.error('YouTube API error:', error.message);
-    return [];
+    if (current.members.length === 0) {
+      current.hostId = null;
+      current.handoffAt = null;
+      setPartyPlayback(current, { position: getPartyPosition(current.playback), playing: false });
+    } else if (current.hostId === socket.id) {
+      if (left) {
+        setPartyHost(current, current.members[0]);
+      } else {
+        current.hostId = null;
+        current.handoffAt = Date.now() + PARTY_HOST_GRACE;
+      }
+    }
+  });
+  if (!party?.members.length) return;
+  
+  broadcastParty(party);
+  if (party.handoffAt) {
+    setTimeout(() => {
+      handOffPartyHost(party.id).catch(error => console.error('Party handoff error:', error.message));
+    }, PARTY_HOST_GRACE);
   }
 };
 
-// GiftedTech API Functions
-const downloadFromGiftedTech = async (videoId, format = 'mp3', quality = '320kbps') => {
-  try {
-    const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
-    const encodedUrl = encodeURIComponent(videoUrl);
-    let apiUrl = '';
+const isPartyPosition = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Handlers receive (data, party, update) and return extra ack fields or
+// { error }. `party` is the stored party as it was when the event arrived;
+// `update(change)` applies `change(party, self)` to the latest copy, checking
+// again that the socket is (the host of) the party, and resolves to
+// { party, result } or { error }. `member` requires the socket to be in a
+// party, `host` to be its host. Membership is read from the stored party, as
+// a member kicked on another instance still has it on their socket.
+const createPartyHandler = (socket) => (event, handler, { member = false, host = false } = {}) => {
+  socket.on(event, async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
     
-    switch (format) {
-      case 'video':
-        apiUrl = `https://api.giftedtech.web.id/api/download/ytv?apikey=${process.env.GIFTED_API_KEY}&url=${encodedUrl}`;
-        if (quality !== '720p') {
-          apiUrl += `&quality=${quality}`;
+    try {
+      const stored = await loadParty(socket.data.partyId);
+      const party = stored && findPartyMember(stored, socket.id) ? stored : null;
+      if ((member || host) && !party) {
+        return reply({ error: 'You are not in a party' });
+      }
+      if (host && party.hostId !== socket.id) {
+        return reply({ error: 'Only the host can do that' });
+      }
+      
+      const update = (change) => changeParty(party.id, (current) => {
+        const self = findPartyMember(current, socket.id);
+        if (!self) {
+          return { error: 'You are not in a party' };
         }
-        break;
-      case 'audio':
-        if (quality === 'mp3') {
-          apiUrl = `https://api.giftedtech.web.id/api/download/dlmp3?apikey=${process.env.GIFTED_API_KEY}&url=${encodedUrl}`;
-        } else {
-          apiUrl = `https://api.giftedtech.web.id/api/download/ytaudio?apikey=${process.env.GIFTED_API_KEY}&format=${quality}&url=${encodedUrl}`;
+        if (host && current.hostId !== socket.id) {
+          return { error: 'Only the host can do that' };
         }
-        break;
-      default:
-        apiUrl = `https://api.giftedtech.web.id/api/download/dlmp3?apikey=${process.env.GIFTED_API_KEY}&url=${encodedUrl}`;
+        return change(current, self);
+      });
+      
+      const result = await handler(data || {}, party, update);
+      reply(result?.error ? result : { success: true, ...result });
+    } catch (error) {
+      console.error(`Party ${event} error:`, error);
+      reply({ error: 'Party request failed' });
     }
+  });
+};
+
+const registerPartyHandlers = (socket) => {
+  const handle = createPartyHandler(socket);
+  
+  // For clock-offset estimates; answers with the server's time
+  socket.on('party:ping', (ack) => {
+    if (typeof ack === 'function') ack(Date.now());
+  });
+  
+  handle('party:create', async ({ name, memberKey }) => {
+    await removePartyMember(socket, { left: true });
     
-    console.log('Calling GiftedTech API:', apiUrl);
-    
-    const response = await axios.get(apiUrl, {
-      timeout: 30000 // 30 second timeout
-    });
+    const party = await createParty(createPartyMember(socket, { name, memberKey }));
+    enterPartyRoom(socket, party);
+    return { party: toPublicParty(party), chat: [] };
+  });
+  
+  // Late joiners catch up from the state and chat history in the ack
+  handle('party:join', async ({ inviteCode, name, memberKey }, current) => {
+    const code = String(inviteCode || '').trim().toUpperCase();
+    let party = code ? await loadParty(await getPartyStore().findInvite(code)) : null;
+    // Codes rotated away may not have expired yet
+    if (!party || party.inviteCode !== code) {
+      return { error: 'No party with that invite code' };
+    }
     
-    if (response.data.success && response.data.result) {
-      return {
-        success: true,
-        downloadUrl: response.data.result.download_url,
-        title: response.data.result.title || 'Unknown Title',
-        thumbnail: response.data.result.thumbnail || '',
-        duration: response.data.result.duration || '0:00',
-        quality: response.data.result.quality || quality,
-        format: format
+    if (party.id !== current?.id) {
+      const member = createPartyMember(socket, { name, memberKey });
+      const checkJoin = (target) => {
+        if (target.bannedKeys.includes(getMemberIdentity(member))) {
+          return { error: 'You were removed from this party' };
+        }
+        if (target.members.length >= PARTY_MAX_MEMBERS) {
+          return { error: 'This party is full' };
+        }
+        return null;
       };
+      
+      const refused = checkJoin(party);
+      if (refused) {
+        return refused;
+      }
+      
+      await removePartyMember(socket, { left: true });
+      const joined = await changeParty(party.id, target => checkJoin(target) || addPartyMember(target, member));
+      if (joined.error) {
+        return { error: joined.error };
+      }
+      
+      party = joined.party;
+      enterPartyRoom(socket, party);
+      broadcastParty(party);
     }
     
-    throw new Error('GiftedTech API returned error');
-  } catch (error) {
-    console.error('GiftedTech API error:', error.message);
-    return {
-      success: false,
-      error: error.message,
-      fallback: true
-    };
-  }
-};
-
-// API Routes
-
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-    youtubeChannel: process.env.YOUTUBE_CHANNEL_ID,
-    giftedApi: 'active'
+    return { party: toPublicParty(party), chat: await getChatStore().list(party) };
   });
-});
-
-// Get YouTube channel videos
-app.get('/api/channel/videos', async (req, res) => {
-  try {
-    const videos = await fetchYouTubeChannelVideos();
-    
-    res.json({
+  
+  handle('party:leave', async () => {
+    await removePartyMember(socket, { left: true });
+  }, { member: true });
+  
+  // `position` is where the host's player is when the action is taken
+  handle('party:playback', async ({ action, position }, party, update) => {
+    if (!PARTY_PLAYBACK_ACTIONS.includes(action)) {
+      return { error: `action must be one of: ${PARTY_PLAYBACK_ACTIONS.join(', ')}` };
+    }
+    if (!isPartyPosition(position)) {
+      return { error: 'position must be a non-negative number of seconds' };
+    }
+    
+    const { error, party: saved } = await update((current) => {
+      if (!current.playback.videoId) {
+        return { error: 'Nothing is playing' };
+      }
+      setPartyPlayback(current, action === 'seek' ? { position } : { position, playing: action === 'play' });
+    });
+    if (error) {
+      return { error };
+    }
+    broadcastParty(saved);
+  }, { host: true });
+  
+  handle('party:load', async ({ index }, party, update) => {
+    const { error, party: saved } = await update((current) => {
+      const item = current.queue.items[index];
+      if (!Number.isInteger(index) || !item) {
+        return { error: 'index must point at a queue item' };
+      }
+      
+      current.queue.index = index;
+      setPartyPlayback(current, { videoId: item.videoId, position: 0, playing: true });
+    });
+    if (error) {
+      return { error };
+    }
+    broadcastParty(saved);
+  }, { host: true });
+  
+  // Anyone in the party can add to its queue
+  handle('party:queue-add', async ({ videoId }, party, update) => {
+    const video = typeof videoId === 'string' ? await findCatalogVideo(videoId) : null;
+    if (!video) {
+      return { error: 'Mix not found in catalog' };
+    }
+    
+    const { error, party: saved, result } = await update((current, self) => {
+      if (current.queue.items.length >= PARTY_MAX_QUEUE) {
+        return { error: `The party queue is limited to ${PARTY_MAX_QUEUE} mixes` };
+      }
+      
+      current.queue.items.push({
+        videoId,
+        title: video.title,
+        thumbnail: video.thumbnail,
+        addedBy: self.name
+      });
+      return { index: current.queue.items.length - 1 };
+    });
+    if (error) {
+      return { error };
+    }
+    broadcastParty(saved);
+    return result;
+  }, { member: true });
+  
+  // Removing the playing mix lets it finish
+  handle('party:queue-remove', async ({ index }, party, update) => {
+    const { error, party: saved } = await update((current) => {
+      if (!Number.isInteger(index) || !current.queue.items[index]) {
+        return { error: 'index must point at a queue item' };
+      }
+      
+      current.queue.items.splice(index, 1);
+      if (index <= current.queue.index) {
+        current.queue.index--;
+      }
+    });
+    if (error) {
+      return { error };
+    }
+    broadcastParty(saved);
+  }, { host: true });
+  
+  handle('party:queue-move', async ({ from, to }, party, update) => {
+    const { error, party: saved } = await update((current) => {
+      const { items } = current.queue;
+      if (!Number.isInteger(from) || !Number.isInteger(to) || !items[from] || !items[to]) {
+        return { error: 'from and to must point at queue items' };
+      }
+      
+      const playing = items[current.queue.index];
+      current.queue.items = moveItem(items, from, to);
+      current.queue.index = playing ? current.queue.items.indexOf(playing) : -1;
+    });
+    if (error) {
+      return { error };
+    }
+    broadcastParty(saved);
+  }, { host: true });
+  
+  handle('party:transfer-host', async ({ memberId }, party, update) => {
+    const { error, party: saved } = await update((current) => {
+      const member = findPartyMember(current, memberId);
+      if (!member) {
+        return { error: 'That member is not in the party' };
+      }
+      setPartyHost(current, member);
+    });
+    if (error) {
+      return { error };
+    }
+    broadcastParty(saved);
+  }, { host: true });
+  
+  // Old invite links stop working; people already in the party stay
+  handle('party:rotate-invite', async (data, party, update) => {
+    const inviteCode = await claimInviteCode(party.id);
+    let previous;
+    
+    const { error, party: saved } = await update((current) => {
+      previous = current.inviteCode;
+      current.inviteCode = inviteCode;
+    });
+    await getPartyStore().releaseInvite(error ? inviteCode : previous);
+    if (error) {
+      return { error };
+    }
+    broadcastParty(saved);
+  }, { host: true });
+};
+
+// Party chat
+// Messages and emoji reactions are broadcast to the party's room and kept in
+// MongoDB, or without a database in Redis (or memory, without Redis too), so
+// people joining get the recent history. Each socket is rate-limited, and the host can mute
+// or kick members and delete messages. Mutes and kicks follow the member's
+// key, so reconnecting doesn't undo them.
+const CHAT_MESSAGE_MAX_LENGTH = 500;
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_MEMORY_LIMIT = 200;
+const CHAT_REACTIONS = ['🔥', '❤️', '🙌', '😂', '😮', '👏', '🎉', '💯'];
+const CHAT_RATE_LIMITS = {
+  message: { limit: 5, window: 10 * 1000 },
+  reaction: { limit: 10, window: 5 * 1000 }
+};
+const CHAT_MUTE_DEFAULT_MINUTES = 10;
+const CHAT_MUTE_MAX_MINUTES = 24 * 60;
+
+const getMemberIdentity = (member) => member.key || member.id;
+
+const isPartyMemberMuted = (party, member) => (party.mutedUntil[getMemberIdentity(member)] || 0) > Date.now();
+
+const toChatMessage = (message) => ({
+  id: String(message._id || message.id),
+  type: message.type,
+  author: { id: message.authorId, name: message.authorName },
+  text: message.text,
+  emoji: message.emoji,
+  videoId: message.videoId,
+  position: message.position,
+  createdAt: message.createdAt
+});
+
+const stampChatMessage = (message) => ({ ...message, id: crypto.randomUUID(), createdAt: new Date() });
+
+// Newest last, up to `limit` messages from before `before`
+const listChatMessages = (messages, { before = null, limit = CHAT_HISTORY_LIMIT } = {}) => {
+  const older = before ? messages.filter(message => message.createdAt < before) : messages;
+  return older.slice(-limit).map(toChatMessage);
+};
+
+// party id -> { messages, expiresAt }; a party's history goes with it
+const memoryChatMessages = new Map();
+
+const memoryChatStore = {
+  add: async (party, message) => {
+    const now = Date.now();
+    for (const [partyId, history] of memoryChatMessages) {
+      if (history.expiresAt <= now) {
+        memoryChatMessages.delete(partyId);
+      }
+    }
+    
+    const history = memoryChatMessages.get(party.id) || { messages: [] };
+    const stored = stampChatMessage(message);
+    history.messages.push(stored);
+    history.messages.splice(0, history.messages.length - CHAT_MEMORY_LIMIT);
+    history.expiresAt = now + PARTY_TTL;
+    memoryChatMessages.set(party.id, history);
+    return toChatMessage(stored);
+  },
+  list: async (party, options) => listChatMessages(memoryChatMessages.get(party.id)?.messages || [], options),
+  remove: async (party, messageId) => {
+    const messages = memoryChatMessages.get(party.id)?.messages || [];
+    const index = messages.findIndex(message => message.id === messageId);
+    if (index !== -1) {
+      messages.splice(index, 1);
+    }
+    return index !== -1;
+  }
+};
+
+// A capped list per party, expiring with it
+const createRedisChatStore = (client) => {
+  const getKey = (party) => `party_chat:${party.id}`;
+  const read = async (party) => (await client.lrange(getKey(party), 0, -1)).map(entry => JSON.parse(entry));
+  
+  return {
+    add: async (party, message) => {
+      const stored = stampChatMessage(message);
+      await client.multi()
+        .rpush(getKey(party), JSON.stringify(stored))
+        .ltrim(getKey(party), -CHAT_MEMORY_LIMIT, -1)
+        .pexpire(getKey(party), PARTY_TTL)
+        .exec();
+      return toChatMessage(stored);
+    },
+    list: async (party, options) => listChatMessages(
+      (await read(party)).map(message => ({ ...message, createdAt: new Date(message.createdAt) })),
+      options
+    ),
+    remove: async (party, messageId) => {
+      const entries = await client.lrange(getKey(party), 0, -1);
+      const entry = entries.find(json => JSON.parse(json).id === messageId);
+      return Boolean(entry) && (await client.lrem(getKey(party), 1, entry)) > 0;
+    }
+  };
+};
+
+const mongoChatStore = {
+  add: async (party, message) => toChatMessage(await PartyMessage.create({ ...message, partyId: party.id })),
+  list: async (party, { before = null, limit = CHAT_HISTORY_LIMIT } = {}) => {
+    const filter = { partyId: party.id, ...(before ? { createdAt: { $lt: before } } : {}) };
+    const messages = await PartyMessage.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    return messages.reverse().map(toChatMessage);
+  },
+  remove: async (party, messageId) => {
+    if (!mongoose.isValidObjectId(messageId)) {
+      return false;
+    }
+    const result = await PartyMessage.deleteOne({ _id: messageId, partyId: party.id });
+    return result.deletedCount > 0;
+  }
+};
+
+const redisChatStore = redis ? createRedisChatStore(redis) : null;
+
+const getChatStore = () => {
+  if (isDatabaseReady()) {
+    return mongoChatStore;
+  }
+  return redis?.status === 'ready' ? redisChatStore : memoryChatStore;
+};
+
+// Sliding window of send times per socket and kind
+const isChatRateLimited = (socket, kind) => {
+  const { limit, window } = CHAT_RATE_LIMITS[kind];
+  const now = Date.now();
+  
+  socket.data.chatSends ||= {};
+  const sends = (socket.data.chatSends[kind] || []).filter(sentAt => now - sentAt < window);
+  socket.data.chatSends[kind] = sends;
+  
+  if (sends.length >= limit) {
+    return true;
+  }
+  sends.push(now);
+  return false;
+};
+
+// Checks shared by messages and reactions; returns an error message or null
+const checkChatSender = (socket, party, kind) => {
+  const member = findPartyMember(party, socket.id);
+  if (isPartyMemberMuted(party, member)) {
+    return 'You have been muted by the host';
+  }
+  if (isChatRateLimited(socket, kind)) {
+    return 'You are sending too fast; wait a moment';
+  }
+  return null;
+};
+
+const createChatEntry = (socket, party, fields) => {
+  const member = findPartyMember(party, socket.id);
+  return {
+    authorId: member.id,
+    authorName: member.name,
+    videoId: party.playback.videoId,
+    position: party.playback.videoId ? Math.round(getPartyPosition(party.playback) * 10) / 10 : null,
+    ...fields
+  };
+};
+
+const registerChatHandlers = (socket) => {
+  const handle = createPartyHandler(socket);
+  
+  handle('chat:send', async ({ text }, party) => {
+    const message = typeof text === 'string' ? text.trim() : '';
+    if (!message || message.length > CHAT_MESSAGE_MAX_LENGTH) {
+      return { error: `Messages must be 1-${CHAT_MESSAGE_MAX_LENGTH} characters` };
+    }
+    
+    const senderError = checkChatSender(socket, party, 'message');
+    if (senderError) {
+      return { error: senderError };
+    }
+    
+    const saved = await getChatStore().add(party, createChatEntry(socket, party, { type: 'message', text: message }));
+    io.to(getPartyRoom(party.id)).emit('chat:message', saved);
+    return { message: saved };
+  }, { member: true });
+  
+  // Reactions are stamped with the party's position in the playing mix
+  handle('chat:react', async ({ emoji }, party) => {
+    if (!CHAT_REACTIONS.includes(emoji)) {
+      return { error: `emoji must be one of: ${CHAT_REACTIONS.join(' ')}` };
+    }
+    
+    const senderError = checkChatSender(socket, party, 'reaction');
+    if (senderError) {
+      return { error: senderError };
+    }
+    
+    const saved = await getChatStore().add(party, createChatEntry(socket, party, { type: 'reaction', emoji }));
+    io.to(getPartyRoom(party.id)).emit('chat:reaction', saved);
+    return { reaction: saved };
+  }, { member: true });
+  
+  // Older history, for scrolling back
+  handle('chat:history', async ({ before }, party) => {
+    const date = before ? new Date(before) : null;
+    if (date && Number.isNaN(date.getTime())) {
+      return { error: 'before must be a date' };
+    }
+    
+    return { messages: await getChatStore().list(party, { before: date }) };
+  }, { member: true });
+  
+  handle('chat:delete', async ({ messageId }, party) => {
+    if (typeof messageId !== 'string' || !await getChatStore().remove(party, messageId)) {
+      return { error: 'Message not found' };
+    }
+    
+    io.to(getPartyRoom(party.id)).emit('chat:deleted', { id: messageId });
+  }, { host: true });
+  
+  // `minutes` of 0 unmutes
+  handle('party:mute', async ({ memberId, minutes = CHAT_MUTE_DEFAULT_MINUTES }, party, update) => {
+    if (typeof minutes !== 'number' || !(minutes >= 0 && minutes <= CHAT_MUTE_MAX_MINUTES)) {
+      return { error: `minutes must be between 0 and ${CHAT_MUTE_MAX_MINUTES}` };
+    }
+    
+    const { error, party: saved } = await update((current) => {
+      const member = findPartyMember(current, memberId);
+      if (!member || memberId === socket.id) {
+        return { error: 'That member is not in the party' };
+      }
+      
+      if (minutes === 0) {
+        delete current.mutedUntil[getMemberIdentity(member)];
+      } else {
+        current.mutedUntil[getMemberIdentity(member)] = Date.now() + minutes * 60 * 1000;
+      }
+    });
+    if (error) {
+      return { error };
+    }
+    broadcastParty(saved);
+  }, { host: true });
+  
+  // Kicked members can't rejoin this party with the same key. Their socket
+  // may be on another instance, so it is reached through the adapter.
+  handle('party:kick', async ({ memberId }, party, update) => {
+    const { error, party: saved } = await update((current) => {
+      const index = current.members.findIndex(member => member.id === memberId);
+      if (index === -1 || memberId === socket.id) {
+        return { error: 'That member is not in the party' };
+      }
+      
+      const [member] = current.members.splice(index, 1);
+      current.bannedKeys.push(getMemberIdentity(member));
+    });
+    if (error) {
+      return { error };
+    }
+    
+    io.in(memberId).socketsLeave(getPartyRoom(saved.id));
+    io.to(memberId).emit('party:kicked', { partyId: saved.id });
+    broadcastParty(saved);
+  }, { host: true });
+};
+
+// WebSocket for real-time features
+// Sockets authenticate with the same access token as the REST API, passed as
+// `auth.token` in the handshake. Without one the socket is a guest; a bad or
+// expired one is refused so the client can refresh and reconnect. Clients
+// send 'auth' with each new token, and handlers check the user per event with
+// getSocketUser(), which stops trusting a token once it expires.
+io.use((socket, next) => {
+  const { token } = socket.handshake.auth || {};
+  if (!token) {
+    socket.data.user = null;
+    return next();
+  }
+  
+  const user = verifyAccessToken(token);
+  if (!user) {
+    return next(new Error('Invalid or expired token'));
+  }
+  socket.data.user = user;
+  next();
+});
+
+io.on('connection', (socket) => {
+  socket.on('auth', async (token, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const user = token ? verifyAccessToken(token) : null;
+    if (token && !user) {
+      return reply({ error: 'Invalid or expired token' });
+    }
+    // Party membership is keyed by identity, so it can't change mid-party.
+    // The stored party decides, as a kick on another instance leaves the
+    // party on the socket.
+    if (socket.data.partyId && user?.id !== getSocketUser(socket)?.id) {
+      const party = await loadParty(socket.data.partyId).catch(() => null);
+      if (party && findPartyMember(party, socket.id)) {
+        return reply({ error: 'Leave the party before switching accounts' });
+      }
+      socket.data.partyId = null;
+    }
+    
+    socket.data.user = user;
+    reply({ success: true, user: user && { id: user.id, username: user.username } });
+  });
+  
+  
+  registerPresenceHandlers(socket);
+  registerPartyHandlers(socket);
+  registerChatHandlers(socket);
+  
+  // Late subscribers get the job's current state straight away
+  socket.on('job-subscribe', async (jobId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const job = typeof jobId === 'string' ? await jobStore.get(jobId).catch(() => null) : null;
+    if (!job || !canAccessJob(job, getSocketUser(socket))) {
+      return reply({ error: 'Job not found' });
+    }
+    
+    socket.join(`job-${jobId}`);
+    socket.emit('job-update', toPublicJob(job));
+    reply({ success: true });
+  });
+  
+  socket.on('disconnect', () => {
+    removePartyMember(socket).catch(error => console.error('Party leave error:', error.message));
+    removePresence(socket);
+  });
+});
+
+// Utility Functions
+// Waveform Service
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const WAVEFORM_SAMPLE_RATE = 8000;
+const WAVEFORM_BLOCK_SAMPLES = 400; // 50ms blocks at 8kHz
+const WAVEFORM_RESOLUTIONS = [100, 400, 1600];
+const WAVEFORM_TIMEOUT = 10 * 60 * 1000;
+const WAVEFORM_RETRY_DELAY = 10 * 60 * 1000;
+const WAVEFORM_CONCURRENCY = parseInt(process.env.WAVEFORM_CONCURRENCY, 10) || 2;
+const WAVEFORM_BACKLOG = 20; // mixes waiting for a decode before requests are turned away
+const LOUDNESS_ABSOLUTE_GATE = -70; // dBFS
+const LOUDNESS_RELATIVE_GATE = -10; // dB below the ungated level
+
+// Decodes any source ffmpeg can read (file path or URL) to mono 16-bit PCM and
+// reduces it to per-block peak and mean-square levels while it streams, so a
+// two-hour mix never has to sit in memory as raw samples
+const decodeAudioLevels = (source) => new Promise((resolve, reject) => {
+  const ffmpeg = spawn(FFMPEG_PATH, [
+    '-v', 'error',
+    '-i', source,
+    '-vn',
+    '-ac', '1',
+    '-ar', String(WAVEFORM_SAMPLE_RATE),
+    '-f', 's16le',
+    '-acodec', 'pcm_s16le',
+    'pipe:1'
+  ]);
+  
+  const peaks = [];
+  const meanSquares = [];
+  let blockPeak = 0;
+  let blockSquares = 0;
+  let blockSamples = 0;
+  let totalSamples = 0;
+  let leftover = null;
+  let stderr = '';
+  
+  const flushBlock = () => {
+    peaks.push(blockPeak);
+    meanSquares.push(blockSquares / blockSamples);
+    blockPeak = 0;
+    blockSquares = 0;
+    blockSamples = 0;
+  };
+  
+  const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), WAVEFORM_TIMEOUT);
+  
+  ffmpeg.stdout.on('data', (data) => {
+    const chunk = leftover ? Buffer.concat([leftover, data]) : data;
+    const usable = chunk.length - (chunk.length % 2);
+    
+    for (let i = 0; i < usable; i += 2) {
+      const sample = chunk.readInt16LE(i) / 32768;
+      const level = Math.abs(sample);
+      
+      if (level > blockPeak) blockPeak = level;
+      blockSquares += sample * sample;
+      blockSamples++;
+      
+      if (blockSamples === WAVEFORM_BLOCK_SAMPLES) {
+        flushBlock();
+      }
+    }
+    
+    totalSamples += usable / 2;
+    leftover = usable < chunk.length ? chunk.subarray(usable) : null;
+  });
+  
+  ffmpeg.stderr.on('data', (data) => {
+    stderr = (stderr + data).slice(-2000);
+  });
+  
+  ffmpeg.on('error', (error) => {
+    clearTimeout(timer);
+    reject(new Error(`ffmpeg unavailable: ${error.message}`));
+  });
+  
+  ffmpeg.on('close', (code, signal) => {
+    clearTimeout(timer);
+    
+    if (code !== 0) {
+      return reject(new Error(stderr.trim() || `ffmpeg exited with ${signal || `code ${code}`}`));
+    }
+    
+    if (blockSamples > 0) {
+      flushBlock();
+    }
+    
+    resolve({
+      peaks,
+      meanSquares,
+      duration: totalSamples / WAVEFORM_SAMPLE_RATE
+    });
+  });
+});
+
+// Merges blocks into `buckets` bars of peak and RMS, scaled to 0-100 against
+// the loudest peak in the mix
+const bucketLevels = ({ peaks, meanSquares }, buckets, maxPeak) => {
+  const count = Math.min(buckets, peaks.length);
+  const peak = [];
+  const rms = [];
+  
+  for (let bucket = 0; bucket < count; bucket++) {
+    const start = Math.floor(bucket * peaks.length / count);
+    const end = Math.floor((bucket + 1) * peaks.length / count);
+    let bucketPeak = 0;
+    let bucketSquares = 0;
+    
+    for (let i = start; i < end; i++) {
+      if (peaks[i] > bucketPeak) bucketPeak = peaks[i];
+      bucketSquares += meanSquares[i];
+    }
+    
+    peak.push(Math.round(bucketPeak / maxPeak * 1000) / 10);
+    rms.push(Math.round(Math.sqrt(bucketSquares / (end - start)) / maxPeak * 1000) / 10);
+  }
+  
+  return { buckets: count, peak, rms };
+};
+
+// Two-stage gating as in EBU R128, minus its K-weighting filter: silence and
+// quiet breakdowns are left out so they don't drag a mix's level down
+const measureLoudness = (meanSquares) => {
+  const toDb = (meanSquare) => 10 * Math.log10(meanSquare);
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  
+  const audible = meanSquares.filter(meanSquare => meanSquare > 0 && toDb(meanSquare) > LOUDNESS_ABSOLUTE_GATE);
+  if (audible.length === 0) {
+    return null;
+  }
+  
+  const gate = toDb(average(audible)) + LOUDNESS_RELATIVE_GATE;
+  const gated = audible.filter(meanSquare => toDb(meanSquare) > gate);
+  
+  return Math.round(toDb(average(gated)) * 10) / 10;
+};
+
+// ffmpeg decodes are CPU bound, so only a few run at a time and the rest wait
+// their turn. A finished decode hands its slot straight to the next in line.
+let activeDecodes = 0;
+const decodeWaiters = [];
+
+const acquireDecodeSlot = () => {
+  if (activeDecodes < WAVEFORM_CONCURRENCY) {
+    activeDecodes++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => decodeWaiters.push(resolve));
+};
+
+const releaseDecodeSlot = () => {
+  const next = decodeWaiters.shift();
+  if (next) {
+    next();
+  } else {
+    activeDecodes--;
+  }
+};
+
+const generateWaveform = async (source) => {
+  await acquireDecodeSlot();
+  let levels;
+  try {
+    levels = await decodeAudioLevels(source);
+  } finally {
+    releaseDecodeSlot();
+  }
+  const maxPeak = levels.peaks.reduce((max, peak) => Math.max(max, peak), 1e-6);
+  
+  return {
+    duration: Math.round(levels.duration),
+    sampleRate: WAVEFORM_SAMPLE_RATE,
+    loudness: measureLoudness(levels.meanSquares),
+    // Short clips have fewer blocks than the finer resolutions; keep each size once
+    resolutions: [...new Set(WAVEFORM_RESOLUTIONS.map(buckets => Math.min(buckets, levels.peaks.length)))]
+      .map(buckets => bucketLevels(levels, buckets, maxPeak)),
+    generatedAt: new Date()
+  };
+};
+
+// Picks the stored resolution closest to the number of bars the client asked for
+const pickWaveformResolution = (waveformData, buckets) => waveformData.resolutions.reduce(
+  (best, resolution) =>
+    Math.abs(resolution.buckets - buckets) < Math.abs(best.buckets - buckets) ? resolution : best
+);
+
+const applyWaveformToMix = (mix, waveformData) => {
+  mix.waveformData = waveformData;
+  mix.waveform = JSON.stringify(pickWaveformResolution(waveformData, 100).peak);
+  mix.duration = waveformData.duration;
+};
+
+const waveformJobs = new Map();
+const waveformFailures = new Map();
+
+const isWaveformBacklogFull = () => waveformJobs.size >= WAVEFORM_BACKLOG;
+
+// Runs at most one extraction per mix across instances: the lock key covers
+// other servers, the job map requests to this one. Failures are remembered for
+// a while so a broken source is not decoded again on every player load.
+// Resolves to null when another instance holds the lock.
+const ensureMixWaveform = (videoId) => {
+  if (waveformJobs.has(videoId)) {
+    return waveformJobs.get(videoId);
+  }
+  
+  const lockKey = `waveform_lock:${videoId}`;
+  const job = (async () => {
+    if (!await cache.add(lockKey, WAVEFORM_TIMEOUT / 1000, '1')) {
+      return null;
+    }
+    
+    try {
+      const mix = await Mix.findOne({ videoId });
+      if (!mix) {
+        throw new Error('Mix not found');
+      }
+      
+      const source = await resolveStreamSource(videoId);
+      
+      applyWaveformToMix(mix, await generateWaveform(source.path || source.url));
+      await mix.save();
+      waveformFailures.delete(videoId);
+      return mix.waveformData;
+    } finally {
+      await cache.del(lockKey).catch(() => {});
+    }
+  })();
+  
+  waveformJobs.set(videoId, job);
+  job
+    .catch(error => {
+      console.error(`Waveform extraction failed for ${videoId}:`, error.message);
+      waveformFailures.set(videoId, { error: error.message, at: Date.now() });
+    })
+    .finally(() => waveformJobs.delete(videoId));
+  
+  return job;
+};
+
+// Authentication
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.log('⚠️  JWT_SECRET not configured - sessions will not survive a restart');
+}
+
+const {
+  issueTokens,
+  verifyAccessToken,
+  verifyRefreshToken,
+  authenticate,
+  getOptionalUser
+} = createTokenAuth({
+  secret: JWT_SECRET,
+  accessTtl: process.env.JWT_ACCESS_TTL || '15m',
+  refreshTtl: process.env.JWT_REFRESH_TTL || '30d'
+});
+
+// A socket's user for as long as the token it authenticated with is valid
+const getSocketUser = (socket) => {
+  const { user } = socket.data;
+  return user && user.expiresAt > Date.now() ? user : null;
+};
+
+// Goes after `authenticate`. Checked against the database on every request
+// so revoking the role takes effect immediately. Roles are only ever granted
+// out of band, with `npm run set-role`.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = isDatabaseReady() ? await User.findById(req.user.id, { role: 1 }).lean() : null;
+    
+    if (user?.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const toSessionUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  preferences: user.preferences
+});
+
+// YouTube API Functions
+const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
+const CHANNEL_SYNC_KEY = 'youtube_channel';
+const CHANNEL_CACHE_KEY = 'youtube_channel_videos';
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+// Live fallback used only when there is no database to hold the catalog.
+// Refreshed at most hourly; a stale list is served while it refreshes, and
+// for up to a day if the API keeps failing.
+const CHANNEL_CACHE_TTL = 60 * 60;
+const CHANNEL_CACHE_STALE_TTL = 24 * 60 * 60;
+
+const fetchYouTubeChannelVideos = async () => {
+  try {
+    return await getCachedWithRevalidate(CHANNEL_CACHE_KEY, {
+      ttl: CHANNEL_CACHE_TTL,
+      staleTtl: CHANNEL_CACHE_STALE_TTL
+    }, async () => {
+      const url = `${YOUTUBE_API_BASE}/search?part=snippet&channelId=${process.env.YOUTUBE_CHANNEL_ID}&maxResults=50&order=date&type=video&key=${process.env.YOUTUBE_API_KEY}`;
+      
+      const response = await axios.get(url);
+      return response.data.items.map(item => ({
+        videoId: item.id.videoId,
+        title: item.snippet.title,
+        description: item.snippet.description,
+        thumbnail: item.snippet.thumbnails.high?.url || item.snippet.thumbnails.default.url,
+        publishedAt: item.snippet.publishedAt,
+        channelTitle: item.snippet.channelTitle
+      }));
+    });
+  } catch (error) {
+    console.error('YouTube API error:', error.message);
+    return [];
+  }
+};
+
+const getUploadsPlaylistId = async () => {
+  const response = await axios.get(`${YOUTUBE_API_BASE}/channels`, {
+    params: {
+      part: 'contentDetails',
+      id: process.env.YOUTUBE_CHANNEL_ID,
+      key: process.env.YOUTUBE_API_KEY
+    },
+    timeout: 15000
+  });
+  
+  const channel = response.data.items?.[0];
+  if (!channel) {
+    throw new Error(`YouTube channel ${process.env.YOUTUBE_CHANNEL_ID} not found`);
+  }
+  
+  return channel.contentDetails.relatedPlaylists.uploads;
+};
+
+const mapPlaylistItem = (item) => {
+  const thumbnails = item.snippet.thumbnails || {};
+  
+  return {
+    videoId: item.contentDetails.videoId,
+    title: item.snippet.title,
+    description: item.snippet.description,
+    thumbnail: thumbnails.high?.url || thumbnails.medium?.url || thumbnails.default?.url || '',
+    publishedAt: new Date(item.contentDetails.videoPublishedAt),
+    channelTitle: item.snippet.videoOwnerChannelTitle || item.snippet.channelTitle
+  };
+};
+
+// Walks the channel's uploads playlist page by page. The playlist is ordered
+// newest first, so an incremental run stops at the first page that reaches
+// videos published before the previous sync's high-water mark.
+const runChannelSync = async (full) => {
+  const state = await SyncState.findOne({ key: CHANNEL_SYNC_KEY }) ||
+    new SyncState({ key: CHANNEL_SYNC_KEY });
+  
+  const since = full ? null : state.lastPublishedAt;
+  let newest = state.lastPublishedAt;
+  let pageToken;
+  let fetched = 0;
+  let added = 0;
+  
+  try {
+    if (!state.playlistId) {
+      state.playlistId = await getUploadsPlaylistId();
+    }
+    
+    do {
+      const response = await axios.get(`${YOUTUBE_API_BASE}/playlistItems`, {
+        params: {
+          part: 'snippet,contentDetails',
+          playlistId: state.playlistId,
+          maxResults: 50,
+          pageToken,
+          key: process.env.YOUTUBE_API_KEY
+        },
+        timeout: 15000
+      });
+      
+      // Private and deleted uploads have no videoPublishedAt
+      const videos = response.data.items
+        .filter(item => item.contentDetails?.videoPublishedAt)
+        .map(mapPlaylistItem);
+      const fresh = since ? videos.filter(video => video.publishedAt > since) : videos;
+      
+      if (fresh.length > 0) {
+        const result = await Mix.bulkWrite(fresh.map(video => ({
+          updateOne: {
+            filter: { videoId: video.videoId },
+            update: {
+              $set: { ...video, source: 'youtube' },
+              $setOnInsert: { artist: video.channelTitle, uploadedAt: new Date() }
+            },
+            upsert: true
+          }
+        })));
+        
+        added += result.upsertedCount;
+        fetched += fresh.length;
+        
+        fresh.forEach(video => {
+          if (!newest || video.publishedAt > newest) {
+            newest = video.publishedAt;
+          }
+        });
+      }
+      
+      if (since && fresh.length < videos.length) {
+        break;
+      }
+      
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    
+    state.lastPublishedAt = newest;
+    state.lastSyncAt = new Date();
+    state.lastError = undefined;
+    if (!since) {
+      state.lastFullSyncAt = state.lastSyncAt;
+    }
+    state.totalSynced = await Mix.countDocuments({ source: 'youtube' });
+    await state.save();
+    
+    if (fetched > 0) {
+      await cache.del(CHANNEL_CACHE_KEY);
+      invalidateSearchIndex();
+    }
+    
+    console.log(`✅ Channel sync complete: ${fetched} fetched, ${added} new, ${state.totalSynced} total`);
+    
+    return { fetched, added, total: state.totalSynced, full: !since };
+  } catch (error) {
+    state.lastError = error.message;
+    await state.save().catch(() => {});
+    throw error;
+  }
+};
+
+let channelSyncPromise = null;
+
+// Concurrent callers share the run already in progress
+const syncChannelCatalog = ({ full = false } = {}) => {
+  if (!channelSyncPromise) {
+    channelSyncPromise = runChannelSync(full).finally(() => {
+      channelSyncPromise = null;
+    });
+  }
+  
+  return channelSyncPromise;
+};
+
+const scheduleChannelSync = () => {
+  if (!isDatabaseReady() || !process.env.YOUTUBE_API_KEY || !process.env.YOUTUBE_CHANNEL_ID) {
+    console.log('⚠️  Channel sync disabled - database or YouTube API not configured');
+    return;
+  }
+  
+  const intervalMinutes = parseInt(process.env.CHANNEL_SYNC_INTERVAL_MINUTES, 10) || 60;
+  const run = () => syncChannelCatalog().catch(error => {
+    console.error('Channel sync error:', error.message);
+  });
+  
+  run();
+  setInterval(run, intervalMinutes * 60 * 1000).unref();
+};
+
+const toVideo = (mix) => ({
+  videoId: mix.videoId,
+  title: mix.title,
+  description: mix.description || '',
+  thumbnail: mix.thumbnail,
+  publishedAt: mix.publishedAt,
+  channelTitle: mix.channelTitle,
+  duration: mix.duration,
+  source: mix.source,
+  artist: mix.artist,
+  tags: mix.tags,
+  playCount: mix.playCount,
+  downloadCount: mix.downloadCount,
+  likes: mix.likes
+});
+
+// Reads the synced catalog, falling back to the live API without a database
+const getCatalogVideos = async ({ skip = 0, limit = 0 } = {}) => {
+  if (!isDatabaseReady()) {
+    const videos = await fetchYouTubeChannelVideos();
+    
+    return {
+      videos: limit ? videos.slice(skip, skip + limit) : videos.slice(skip),
+      total: videos.length
+    };
+  }
+  
+  const filter = { source: 'youtube' };
+  const [mixes, total] = await Promise.all([
+    Mix.find(filter).sort({ publishedAt: -1 }).skip(skip).limit(limit).lean(),
+    Mix.countDocuments(filter)
+  ]);
+  
+  return { videos: mixes.map(toVideo), total };
+};
+
+const findCatalogVideo = async (videoId) => {
+  if (!isDatabaseReady()) {
+    const videos = await fetchYouTubeChannelVideos();
+    return videos.find(video => video.videoId === videoId) || null;
+  }
+  
+  const mix = await Mix.findOne({ videoId }).lean();
+  return mix ? toVideo(mix) : null;
+};
+
+// Returns a Map of videoId -> video for the ids found in the catalog
+const findCatalogVideos = async (videoIds) => {
+  const videos = isDatabaseReady()
+    ? (await Mix.find({ videoId: { $in: videoIds } }).lean()).map(toVideo)
+    : (await fetchYouTubeChannelVideos()).filter(video => videoIds.includes(video.videoId));
+  
+  return new Map(videos.map(video => [video.videoId, video]));
+};
+
+// Search
+// An inverted index over title, artist, tags and description of every mix,
+// YouTube and uploaded. It lives in memory so ranking, typo tolerance and
+// filters behave the same with or without a database, and is rebuilt after
+// SEARCH_INDEX_TTL or as soon as the catalog changes on this instance.
+const SEARCH_INDEX_TTL = 5 * 60 * 1000;
+const SEARCH_FIELD_WEIGHTS = { title: 4, artist: 3, tags: 2, description: 1 };
+const SEARCH_PREFIX_FACTOR = 0.7;
+const SEARCH_FUZZY_FACTOR = 0.5;
+
+const getMixDate = (mix) => new Date(mix.publishedAt || mix.uploadedAt || 0).getTime();
+
+const SEARCH_SORTS = {
+  date: (a, b) => getMixDate(b) - getMixDate(a),
+  plays: (a, b) => (b.playCount || 0) - (a.playCount || 0),
+  downloads: (a, b) => (b.downloadCount || 0) - (a.downloadCount || 0),
+  likes: (a, b) => (b.likes || 0) - (a.likes || 0)
+};
+
+// Query parameters /api/search reads as single strings (tag may repeat)
+const SEARCH_TEXT_PARAMS = ['q', 'sort', 'source', 'limit', 'page', 'minDuration', 'maxDuration', 'from', 'to'];
+
+const tokenize = (text = '') => text
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Edit distance counting a swap of adjacent letters as one edit, giving up
+// once it is certain to exceed `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const buildSearchIndex = (mixes) => {
+  const postings = new Map();
+  
+  mixes.forEach((mix, docId) => {
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+      const text = Array.isArray(mix[field]) ? mix[field].join(' ') : mix[field];
+      for (const term of tokenize(text)) {
+        if (!postings.has(term)) {
+          postings.set(term, new Map());
+        }
+        const docs = postings.get(term);
+        docs.set(docId, (docs.get(docId) || 0) + weight);
+      }
+    }
+  });
+  
+  return { mixes, postings, builtAt: Date.now() };
+};
+
+let searchIndex = null;
+let searchIndexBuild = null;
+let searchIndexGeneration = 0;
+
+const invalidateSearchIndex = () => {
+  searchIndex = null;
+  searchIndexGeneration++;
+};
+
+const getSearchIndex = async () => {
+  if (searchIndex && Date.now() - searchIndex.builtAt < SEARCH_INDEX_TTL) {
+    return searchIndex;
+  }
+  
+  if (!searchIndexBuild) {
+    const generation = searchIndexGeneration;
+    searchIndexBuild = (async () => {
+      const mixes = isDatabaseReady()
+        ? await Mix.find({}, { waveform: 0, waveformData: 0, audioInfo: 0 }).lean()
+        : (await fetchYouTubeChannelVideos()).map(video => ({ ...video, source: 'youtube' }));
+      
+      const index = buildSearchIndex(mixes);
+      // A catalog change during the build makes this index stale already
+      if (generation === searchIndexGeneration) {
+        searchIndex = index;
+      }
+      return index;
+    })().finally(() => {
+      searchIndexBuild = null;
+    });
+  }
+  
+  return searchIndexBuild;
+};
+
+// Scores per document for one query token: exact terms count fully, longer
+// terms it is a prefix of (search as you type) and terms within one or two
+// edits (typos) count for less. The best variant per document wins.
+const matchSearchToken = (index, token) => {
+  const maxEdits = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+  const scores = new Map();
+  
+  for (const [term, docs] of index.postings) {
+    let factor = 0;
+    if (term === token) {
+      factor = 1;
+    } else if (token.length >= 2 && term.startsWith(token)) {
+      factor = SEARCH_PREFIX_FACTOR;
+    } else if (maxEdits && editDistance(token, term, maxEdits) <= maxEdits) {
+      factor = SEARCH_FUZZY_FACTOR;
+    }
+    
+    if (factor) {
+      const idf = Math.log(1 + index.mixes.length / docs.size);
+      for (const [docId, weight] of docs) {
+        scores.set(docId, Math.max(scores.get(docId) || 0, factor * weight * idf));
+      }
+    }
+  }
+  
+  return scores;
+};
+
+// Every query token has to match for a mix to be returned
+const scoreSearchQuery = (index, query) => {
+  const tokens = [...new Set(tokenize(query))];
+  let results = null;
+  
+  for (const token of tokens) {
+    const matches = matchSearchToken(index, token);
+    if (!results) {
+      results = matches;
+      continue;
+    }
+    for (const [docId, score] of results) {
+      if (matches.has(docId)) {
+        results.set(docId, score + matches.get(docId));
+      } else {
+        results.delete(docId);
+      }
+    }
+  }
+  
+  return results || new Map();
+};
+
+const searchMixes = async ({ query = '', tags = [], source, minDuration, maxDuration, from, to, sort, skip = 0, limit = 20 }) => {
+  const index = await getSearchIndex();
+  const scores = query ? scoreSearchQuery(index, query) : null;
+  const wantedTags = tags.map(tag => tag.toLowerCase());
+  
+  let results = (scores ? [...scores.keys()] : index.mixes.map((_, docId) => docId))
+    .map(docId => ({ mix: index.mixes[docId], score: scores?.get(docId) || 0 }))
+    .filter(({ mix }) => {
+      const mixTags = (mix.tags || []).map(tag => tag.toLowerCase());
+      const date = getMixDate(mix);
+      
+      return (!source || (mix.source || 'youtube') === source) &&
+        wantedTags.every(tag => mixTags.includes(tag)) &&
+        (minDuration === undefined || mix.duration >= minDuration) &&
+        (maxDuration === undefined || mix.duration <= maxDuration) &&
+        (!from || date >= from.getTime()) &&
+        (!to || date <= to.getTime());
+    });
+  
+  const order = sort === 'relevance' ? null : SEARCH_SORTS[sort];
+  results.sort((a, b) => (order ? order(a.mix, b.mix) : 0) ||
+    b.score - a.score ||
+    SEARCH_SORTS.date(a.mix, b.mix));
+  
+  return {
+    videos: results.slice(skip, skip + limit).map(({ mix }) => toVideo(mix)),
+    total: results.length
+  };
+};
+
+// Download Providers
+// The chain and the GiftedTech client live in lib/download-providers.js;
+// resolveDownload tries the providers in DOWNLOAD_PROVIDERS order.
+const GIFTED_API_BASE_URL = process.env.GIFTED_API_BASE_URL || 'https://api.giftedtech.web.id';
+const YTDLP_PATH = process.env.YTDLP_PATH || 'yt-dlp';
+const YTDLP_TIMEOUT = 10 * 60 * 1000;
+const MEDIA_TTL = 24 * 60 * 60 * 1000;
+const PROVIDER_FAILURE_THRESHOLD = parseInt(process.env.PROVIDER_FAILURE_THRESHOLD, 10) || 3;
+const PROVIDER_COOLDOWN = (parseInt(process.env.PROVIDER_COOLDOWN_SECONDS, 10) || 60) * 1000;
+
+const runProcess = (command, args, { timeout, maxStderr = 2000, onStdout }) => new Promise((resolve, reject) => {
+  const child = spawn(command, args);
+  let stdout = '';
+  let stderr = '';
+  
+  const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+  
+  child.stdout.on('data', (data) => {
+    stdout += data;
+    onStdout?.(data.toString());
+  });
+  child.stderr.on('data', (data) => {
+    stderr = (stderr + data).slice(-maxStderr);
+  });
+  
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    const failure = new Error(`${command} unavailable: ${error.message}`);
+    failure.spawnFailed = true;
+    reject(failure);
+  });
+  
+  child.on('close', (code, signal) => {
+    clearTimeout(timer);
+    
+    if (code !== 0) {
+      const lastLine = stderr.trim().split('\n').pop();
+      const error = new Error(lastLine || `${command} exited with ${signal || `code ${code}`}`);
+      error.stderr = stderr;
+      error.signal = signal;
+      return reject(error);
+    }
+    
+    resolve(stdout);
+  });
+});
+
+const giftedTechProvider = createGiftedTechProvider({
+  baseUrl: GIFTED_API_BASE_URL,
+  getApiKey: () => process.env.GIFTED_API_KEY
+});
+
+const ytDlpJobs = new Map();
+
+// Downloads through a local yt-dlp, converting with our ffmpeg, into mediaDir.
+// Finished files are reused until the media sweep removes them.
+const ytDlpProvider = {
+  name: 'ytdlp',
+  
+  isConfigured: () => true,
+  
+  async resolve(videoId, { format, quality }) {
+    // The id ends up in a file name and a YouTube URL
+    if (!isYouTubeVideoId(videoId)) {
+      const error = new Error('Not a YouTube video id');
+      error.providerFault = false;
+      throw error;
+    }
+    
+    const isVideo = format === 'video';
+    const height = parseInt(quality, 10) || 720;
+    const bitrate = parseInt(quality, 10) || 320;
+    const baseName = isVideo ? `${videoId}-${height}p` : `${videoId}-${bitrate}k`;
+    const fileName = `${baseName}.${isVideo ? 'mp4' : 'mp3'}`;
+    const filePath = path.join(mediaDir, fileName);
+    
+    if (!fs.existsSync(filePath)) {
+      if (!ytDlpJobs.has(fileName)) {
+        const args = [
+          '--no-playlist',
+          '--no-progress',
+          '--ffmpeg-location', FFMPEG_PATH,
+          '-o', path.join(mediaDir, `${baseName}.%(ext)s`),
+          ...(isVideo
+            ? ['-f', `bv*[height<=${height}]+ba/b[height<=${height}]`, '--merge-output-format', 'mp4']
+            : ['-f', 'bestaudio', '-x', '--audio-format', 'mp3', '--audio-quality', `${bitrate}K`]),
+          `https://www.youtube.com/watch?v=${videoId}`
+        ];
+        
+        ytDlpJobs.set(fileName, runProcess(YTDLP_PATH, args, { timeout: YTDLP_TIMEOUT })
+          .finally(() => ytDlpJobs.delete(fileName)));
+      }
+      
+      try {
+        await ytDlpJobs.get(fileName);
+      } catch (error) {
+        // yt-dlp exits with an error for videos it can't fetch; only a missing
+        // binary or a run killed on timeout is the provider's fault
+        error.providerFault = Boolean(error.spawnFailed || error.signal);
+        throw error;
+      }
+    }
+    
+    return {
+      downloadUrl: `/media/${fileName}`,
+      localPath: filePath,
+      quality: isVideo ? `${height}p` : `${bitrate}kbps`,
+      format
+    };
+  }
+};
+
+const downloadProviders = {
+  [giftedTechProvider.name]: giftedTechProvider,
+  [ytDlpProvider.name]: ytDlpProvider
+};
+
+const getProviderChain = () => (process.env.DOWNLOAD_PROVIDERS || 'giftedtech,ytdlp')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(name => downloadProviders[name])
+  .map(name => downloadProviders[name]);
+
+const downloadChain = createProviderChain({
+  getProviders: getProviderChain,
+  failureThreshold: PROVIDER_FAILURE_THRESHOLD,
+  cooldown: PROVIDER_COOLDOWN
+});
+
+const resolveDownload = downloadChain.resolve;
+const getProviderStatus = downloadChain.getStatus;
+
+const sweepMediaDir = () => {
+  fs.readdir(mediaDir, (error, files) => {
+    if (error) return;
+    
+    files.forEach(file => {
+      const filePath = path.join(mediaDir, file);
+      fs.stat(filePath, (statError, stats) => {
+        if (!statError && Date.now() - stats.mtimeMs > MEDIA_TTL) {
+          fs.unlink(filePath, () => {});
+        }
+      });
+    });
+  });
+};
+
+// Stream Source Functions
+const STREAM_SOURCE_TTL = 30 * 60; // Provider links expire, so re-resolve often
+const UPLOAD_SOURCE_TTL = 24 * 60 * 60;
+
+// Probes a source with a one-byte range request to learn its size, type and
+// whether it honours ranges, so /api/stream can answer Range headers itself
+const probeStreamSource = async (url) => {
+  const response = await axios.get(url, {
+    headers: { Range: 'bytes=0-0' },
+    responseType: 'stream',
+    timeout: 15000
+  });
+  response.data.destroy();
+  
+  const contentRange = response.headers['content-range'] || '';
+  const total = response.status === 206
+    ? parseInt(contentRange.split('/')[1], 10)
+    : parseInt(response.headers['content-length'], 10);
+  
+  return {
+    size: Number.isFinite(total) ? total : null,
+    contentType: response.headers['content-type'] || 'audio/mpeg',
+    acceptsRanges: response.status === 206
+  };
+};
+
+// Uploaded mixes stream from their Cloudinary asset; channel mixes from
+// whichever download provider answers first. The result is cached per videoId.
+// Only catalog mixes are resolved, so the providers can't be used to fetch
+// arbitrary videos.
+const resolveStreamSource = async (videoId, { refresh = false } = {}) => {
+  if (!isValidVideoId(videoId)) {
+    throw new Error('Invalid video id');
+  }
+  
+  const cacheKey = `stream_source:${videoId}`;
+  
+  if (!refresh) {
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+  }
+  
+  const mix = isDatabaseReady() ? await Mix.findOne({ videoId }).lean() : await findCatalogVideo(videoId);
+  if (!mix) {
+    throw new Error('Mix not found in catalog');
+  }
+  
+  let url = mix.audioUrl;
+  let ttl = UPLOAD_SOURCE_TTL;
+  
+  if (!url) {
+    if (mix.source === 'upload') {
+      throw new Error('Uploaded mix has no audio');
+    }
+    
+    const downloadResult = await resolveDownload(videoId, 'mp3', '320kbps');
+    if (!downloadResult.success) {
+      throw new Error(downloadResult.error);
+    }
+    
+    // Files fetched by a local provider are served straight from disk
+    if (downloadResult.localPath) {
+      const source = { path: downloadResult.localPath, contentType: 'audio/mpeg' };
+      await cache.setex(cacheKey, STREAM_SOURCE_TTL, JSON.stringify(source));
+      return source;
+    }
+    
+    url = downloadResult.downloadUrl;
+    ttl = STREAM_SOURCE_TTL;
+  }
+  
+  const source = { url, ...await probeStreamSource(url) };
+  await cache.setex(cacheKey, ttl, JSON.stringify(source));
+  
+  return source;
+};
+
+const isExpiredSourceError = (error) =>
+  [401, 403, 404, 410].includes(error.response?.status);
+
+// Copies `length` bytes after skipping `skip` from an upstream that ignored
+// our Range header, then hangs up on it
+const pipeByteRange = (upstream, res, skip, length) => {
+  let skipped = 0;
+  let sent = 0;
+  
+  upstream.on('data', (chunk) => {
+    let data = chunk;
+    
+    if (skipped < skip) {
+      const count = Math.min(skip - skipped, data.length);
+      skipped += count;
+      data = data.subarray(count);
+    }
+    
+    data = data.subarray(0, length - sent);
+    sent += data.length;
+    
+    if (data.length > 0 && !res.write(data)) {
+      upstream.pause();
+      res.once('drain', () => upstream.resume());
+    }
+    
+    if (sent >= length) {
+      upstream.destroy();
+      res.end();
+    }
+  });
+  
+  upstream.on('end', () => res.end());
+  upstream.on('error', () => res.destroy());
+};
+
+// Transcoding
+// Audio downloads are produced locally from the mix's stream source. A profile
+// is only offered when the encoder exists and the source carries enough
+// quality for it: lossy targets need a source bitrate at least as high, and
+// FLAC needs a lossless source.
+const TRANSCODE_TIMEOUT = 15 * 60 * 1000;
+
+const TRANSCODE_PROFILES = {
+  'mp3-320': { format: 'mp3', extension: 'mp3', muxer: 'mp3', encoder: 'libmp3lame', bitrate: 320, label: 'MP3 320kbps' },
+  'mp3-192': { format: 'mp3', extension: 'mp3', muxer: 'mp3', encoder: 'libmp3lame', bitrate: 192, label: 'MP3 192kbps' },
+  'mp3-128': { format: 'mp3', extension: 'mp3', muxer: 'mp3', encoder: 'libmp3lame', bitrate: 128, label: 'MP3 128kbps' },
+  'm4a-256': { format: 'm4a', extension: 'm4a', muxer: 'ipod', encoder: 'aac', bitrate: 256, label: 'AAC 256kbps (M4A)', extraArgs: ['-movflags', '+faststart'] },
+  'opus-160': { format: 'opus', extension: 'ogg', muxer: 'ogg', encoder: 'libopus', bitrate: 160, label: 'Opus 160kbps (OGG)' },
+  'flac': { format: 'flac', extension: 'flac', muxer: 'flac', encoder: 'flac', lossless: true, label: 'FLAC (lossless)' }
+};
+
+// Qualities the player sent before profiles existed
+const LEGACY_AUDIO_QUALITIES = {
+  '320kbps': 'mp3-320',
+  '192kbps': 'mp3-192',
+  '128kbps': 'mp3-128',
+  'mp3': 'mp3-320'
+};
+
+const LOSSLESS_CODECS = ['flac', 'alac', 'wavpack', 'ape', 'tta'];
+
+let ffmpegEncoders = null;
+
+const getFfmpegEncoders = () => {
+  if (!ffmpegEncoders) {
+    ffmpegEncoders = runProcess(FFMPEG_PATH, ['-hide_banner', '-encoders'], { timeout: 15000 })
+      .then(output => new Set(
+        output.split('\n')
+          .map(line => line.match(/^\s*A\S*\s+(\S+)/))
+          .filter(Boolean)
+          .map(match => match[1])
+      ))
+      .catch(error => {
+        ffmpegEncoders = null;
+        throw error;
+      });
+  }
+  
+  return ffmpegEncoders;
+};
+
+// ffmpeg with only an input prints the container and stream details to stderr
+// and exits non-zero, which is all we need to read codec, bitrate and length
+const probeAudio = async (source) => {
+  let output = '';
+  
+  try {
+    await runProcess(FFMPEG_PATH, ['-hide_banner', '-i', source], { timeout: 60000, maxStderr: 64 * 1024 });
+  } catch (error) {
+    output = error.stderr || '';
+    if (!output) {
+      throw error;
+    }
+  }
+  
+  const durationMatch = output.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  const audioLine = output.split('\n').find(line => /Stream #.*: Audio: /.test(line));
+  
+  if (!audioLine) {
+    throw new Error(output.includes('Input #') ? 'Source has no audio stream' : output.trim().split('\n').pop());
+  }
+  
+  const codec = audioLine.match(/Audio: (\w+)/)[1];
+  const streamBitrate = audioLine.match(/(\d+) kb\/s/);
+  const overallBitrate = output.match(/bitrate: (\d+) kb\/s/);
+  const sampleRate = audioLine.match(/(\d+) Hz/);
+  const channels = audioLine.match(/Hz, (mono|stereo|(\d+) channels)/);
+  
+  return {
+    codec,
+    lossless: LOSSLESS_CODECS.includes(codec) || codec.startsWith('pcm_'),
+    bitrate: parseInt((streamBitrate || overallBitrate || [])[1], 10) || null,
+    sampleRate: sampleRate ? parseInt(sampleRate[1], 10) : null,
+    channels: channels ? (channels[1] === 'mono' ? 1 : channels[1] === 'stereo' ? 2 : parseInt(channels[2], 10)) : null,
+    duration: durationMatch
+      ? Math.round(parseInt(durationMatch[1], 10) * 3600 + parseInt(durationMatch[2], 10) * 60 + parseFloat(durationMatch[3]))
+      : null,
+    probedAt: new Date()
+  };
+};
+
+// Without a database probe results are kept in the cache instead
+const AUDIO_INFO_TTL = 7 * 24 * 60 * 60;
+
+// The stored probe result for a mix, or null if it hasn't been probed
+const getCachedAudioInfo = async (videoId) => {
+  if (!isDatabaseReady()) {
+    const cached = await cache.get(`audio_info:${videoId}`);
+    return cached ? JSON.parse(cached) : null;
+  }
+  
+  const mix = await Mix.findOne({ videoId }, { audioInfo: 1, duration: 1 }).lean();
+  return mix?.audioInfo?.probedAt ? { ...mix.audioInfo, duration: mix.duration } : null;
+};
+
+// Probes once per mix and keeps the result (and a real duration) on the Mix
+const getMixAudioInfo = async (videoId, source) => {
+  const cached = await getCachedAudioInfo(videoId);
+  if (cached) {
+    return cached;
+  }
+  
+  const info = await probeAudio(source.path || source.url);
+  
+  if (isDatabaseReady()) {
+    const { duration, ...audioInfo } = info;
+    await Mix.updateOne({ videoId }, { $set: duration ? { audioInfo, duration } : { audioInfo } });
+  } else {
+    await cache.setex(`audio_info:${videoId}`, AUDIO_INFO_TTL, JSON.stringify(info));
+  }
+  
+  return info;
+};
+
+const getAvailableProfiles = async (info) => {
+  const encoders = await getFfmpegEncoders();
+  
+  return Object.entries(TRANSCODE_PROFILES)
+    .filter(([, profile]) => encoders.has(profile.encoder))
+    .filter(([, profile]) => profile.lossless
+      ? info.lossless
+      : info.lossless || !info.bitrate || profile.bitrate <= info.bitrate * 1.05)
+    .map(([id, profile]) => ({ id, ...profile }));
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)}GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+};
+
+const getTranscodeFileName = (videoId, profileId) =>
+  `${videoId}-${profileId}.${TRANSCODE_PROFILES[profileId].extension}`;
+
+// Files already transcoded report their real size; the rest are estimated
+// from the bitrate and the probed duration (FLAC cannot be estimated)
+const describeProfile = (videoId, profile, info) => {
+  const filePath = path.join(mediaDir, getTranscodeFileName(videoId, profile.id));
+  const bytes = fs.existsSync(filePath)
+    ? fs.statSync(filePath).size
+    : null;
+  const estimate = !bytes && profile.bitrate && info.duration
+    ? Math.round(profile.bitrate * 1000 / 8 * info.duration)
+    : null;
+  
+  return {
+    quality: profile.id,
+    label: profile.label,
+    format: profile.format,
+    extension: profile.extension,
+    bitrate: profile.bitrate || info.bitrate,
+    duration: info.duration,
+    bytes: bytes || estimate,
+    estimated: !bytes,
+    size: bytes ? formatBytes(bytes) : estimate ? `~${formatBytes(estimate)}` : null
+  };
+};
+
+const transcodeJobs = new Map();
+
+// Encodes into a .part file first so a half-written output is never served.
+// Callers asking for the same output share one ffmpeg run; each may pass
+// onProgress to receive the completed fraction (needs the source duration).
+const transcodeMix = (videoId, profileId, source, { duration, onProgress } = {}) => {
+  const profile = TRANSCODE_PROFILES[profileId];
+  const fileName = getTranscodeFileName(videoId, profileId);
+  const filePath = path.join(mediaDir, fileName);
+  
+  if (fs.existsSync(filePath)) {
+    return Promise.resolve({ fileName, path: filePath, size: fs.statSync(filePath).size });
+  }
+  
+  if (!transcodeJobs.has(fileName)) {
+    const partPath = `${filePath}.part`;
+    const listeners = new Set();
+    const args = [
+      '-hide_banner', '-v', 'error', '-y',
+      '-i', source.path || source.url,
+      '-vn',
+      '-map_metadata', '0',
+      '-c:a', profile.encoder,
+      ...(profile.bitrate ? ['-b:a', `${profile.bitrate}k`] : []),
+      ...(profile.extraArgs || []),
+      '-progress', 'pipe:1',
+      '-nostats',
+      '-f', profile.muxer,
+      partPath
+    ];
+    
+    const reportProgress = (output) => {
+      const times = output.match(/out_time_(?:us|ms)=(\d+)/g);
+      if (!times || !duration) return;
+      
+      const seconds = parseInt(times[times.length - 1].split('=')[1], 10) / 1e6;
+      listeners.forEach(listener => listener(Math.min(1, seconds / duration)));
+    };
+    
+    const promise = runProcess(FFMPEG_PATH, args, { timeout: TRANSCODE_TIMEOUT, onStdout: reportProgress })
+      .then(() => {
+        fs.renameSync(partPath, filePath);
+        return { fileName, path: filePath, size: fs.statSync(filePath).size };
+      })
+      .catch(error => {
+        fs.unlink(partPath, () => {});
+        throw error;
+      })
+      .finally(() => transcodeJobs.delete(fileName));
+    
+    transcodeJobs.set(fileName, { promise, listeners });
+  }
+  
+  const job = transcodeJobs.get(fileName);
+  if (onProgress) {
+    job.listeners.add(onProgress);
+  }
+  
+  return job.promise;
+};
+
+// Qualities come from the request, so only own keys are looked up; names
+// like `constructor` would otherwise resolve to Object.prototype members
+const isTranscodeProfile = (profileId) => Object.hasOwn(TRANSCODE_PROFILES, profileId);
+
+const getTranscodeProfileId = (format, quality) => {
+  if (format === 'video') {
+    return null;
+  }
+  return Object.hasOwn(LEGACY_AUDIO_QUALITIES, quality) ? LEGACY_AUDIO_QUALITIES[quality] : quality;
+};
+
+// Job Queue
+// Long-running work (downloads, uploads) runs as jobs on the instance that
+// accepted them, because their inputs and outputs live on its disk. Job state
+// and each instance's queue go to Redis when it is ready, so any instance can
+// report or cancel a job and queued or interrupted jobs survive a restart;
+// like the cache, a failing Redis falls through to memory. Updates are pushed
+// to the Socket.io room `job-<id>`.
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_TTL = 24 * 60 * 60; // seconds a job stays queryable
+const JOB_FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+// Names this instance's queue; it has to stay the same across restarts for
+// interrupted jobs to be picked up again
+const JOB_INSTANCE_ID = process.env.INSTANCE_ID || os.hostname();
+
+// Queued ids wait in `pending`; `take` moves one to `active`, where it stays
+// until `release` (or `requeue` for a retry), so a restart finds whatever was
+// running or waiting to be retried
+const createMemoryJobStore = () => {
+  const jobs = new Map();
+  const pending = [];
+  const active = new Set();
+  
+  return {
+    get: async (id) => {
+      const job = jobs.get(id);
+      return job ? JSON.parse(job) : null;
+    },
+    save: async (job) => {
+      if (!jobs.has(job.id)) {
+        setTimeout(() => jobs.delete(job.id), JOB_TTL * 1000).unref();
+      }
+      jobs.set(job.id, JSON.stringify(job));
+    },
+    push: async (id) => {
+      pending.push(id);
+    },
+    take: async () => {
+      const id = pending.shift() ?? null;
+      if (id) {
+        active.add(id);
+      }
+      return id;
+    },
+    requeue: async (id) => {
+      active.delete(id);
+      pending.push(id);
+    },
+    release: async (id) => {
+      active.delete(id);
+    },
+    remove: async (id) => {
+      const index = pending.indexOf(id);
+      if (index !== -1) {
+        pending.splice(index, 1);
+      }
+    },
+    listActive: async () => [...active]
+  };
+};
+
+const createRedisJobStore = (client, instanceId) => {
+  const pendingKey = `jobs:pending:${instanceId}`;
+  const activeKey = `jobs:active:${instanceId}`;
+  
+  return {
+    get: async (id) => {
+      const job = await client.get(`job:${id}`);
+      return job ? JSON.parse(job) : null;
+    },
+    save: async (job) => {
+      await client.setex(`job:${job.id}`, JOB_TTL, JSON.stringify(job));
+    },
+    push: async (id) => {
+      await client.lpush(pendingKey, id);
+    },
+    take: () => client.rpoplpush(pendingKey, activeKey),
+    requeue: async (id) => {
+      await client.multi().lrem(activeKey, 0, id).lpush(pendingKey, id).exec();
+    },
+    release: async (id) => {
+      await client.lrem(activeKey, 0, id);
+    },
+    remove: async (id) => {
+      await client.lrem(pendingKey, 0, id);
+    },
+    listActive: () => client.lrange(activeKey, 0, -1)
+  };
+};
+
+const memoryJobStore = createMemoryJobStore();
+const redisJobStore = redis ? createRedisJobStore(redis, JOB_INSTANCE_ID) : null;
+
+const withJobFallback = async (operation) => {
+  const backend = redis?.status === 'ready' ? redisJobStore : memoryJobStore;
+  try {
+    return await operation(backend);
+  } catch (error) {
+    if (backend === memoryJobStore) {
+      throw error;
+    }
+    return operation(memoryJobStore);
+  }
+};
+
+// Jobs created during an outage stay in memory, so lookups and the queue
+// check there too once Redis is back
+const jobStore = {
+  get: async (id) => (await withJobFallback(backend => backend.get(id))) || memoryJobStore.get(id),
+  save: (job) => withJobFallback(backend => backend.save(job)),
+  push: (id) => withJobFallback(backend => backend.push(id)),
+  take: async () => (await withJobFallback(backend => backend.take())) || memoryJobStore.take(),
+  requeue: (id) => withJobFallback(backend => backend.requeue(id)),
+  release: async (id) => {
+    await memoryJobStore.release(id);
+    await withJobFallback(backend => backend.release(id));
+  },
+  remove: async (id) => {
+    await memoryJobStore.remove(id);
+    await withJobFallback(backend => backend.remove(id));
+  },
+  listActive: () => withJobFallback(backend => backend.listActive())
+};
+
+const jobHandlers = {};
+const runningJobs = new Map();
+let activeJobCount = 0;
+
+const toPublicJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  message: job.message,
+  result: job.result,
+  error: job.error,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+const saveJob = async (job, changes = {}) => {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  await jobStore.save(job);
+  io.to(`job-${job.id}`).emit('job-update', toPublicJob(job));
+  return job;
+};
+
+const createCancelledError = () => Object.assign(new Error('Job cancelled'), { cancelled: true });
+
+// Errors marked permanent fail the job at once instead of being retried
+const createPermanentError = (message, status = 400) =>
+  Object.assign(new Error(message), { permanent: true, status });
+
+// Rejects as soon as the job is cancelled, for work that cannot be aborted
+const untilCancelled = (promise, signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    return reject(createCancelledError());
+  }
+  signal.addEventListener('abort', () => reject(createCancelledError()), { once: true });
+  promise.then(resolve, reject);
+});
+
+// Resolves true when the job stays in the active list to be retried
+const runJob = async (id) => {
+  const job = await jobStore.get(id);
+  if (!job || job.status !== 'queued') {
+    return false;
+  }
+  
+  const handler = jobHandlers[job.type];
+  const controller = new AbortController();
+  runningJobs.set(id, controller);
+  
+  const context = {
+    signal: controller.signal,
+    // Also the cancellation check point for jobs cancelled on another instance
+    progress: async (progress, message) => {
+      const stored = await jobStore.get(id);
+      if (stored?.status === 'cancelled') {
+        controller.abort();
+      }
+      if (controller.signal.aborted) {
+        throw createCancelledError();
+      }
+      await saveJob(job, { progress: Math.round(progress), message });
+    }
+  };
+  
+  try {
+    await saveJob(job, { status: 'active', attempts: job.attempts + 1, message: 'Started', error: null });
+    const result = await handler.run(job.data, context);
+    await saveJob(job, { status: 'completed', progress: 100, message: 'Done', result });
+  } catch (error) {
+    // Cloudinary rejects with plain objects rather than Error instances
+    const reason = error.message || error.error?.message || String(error);
+    if (controller.signal.aborted || error.cancelled) {
+      await saveJob(job, { status: 'cancelled', message: 'Cancelled' });
+      handler.cleanup?.(job.data);
+    } else if (!error.permanent && job.attempts < job.maxAttempts) {
+      const delay = 2 ** job.attempts * 1000;
+      await saveJob(job, { status: 'queued', message: `Retrying in ${delay / 1000}s`, error: reason });
+      setTimeout(() => {
+        jobStore.requeue(id)
+          .then(processJobs)
+          .catch(requeueError => console.error(`Job ${id} requeue failed:`, requeueError.message));
+      }, delay);
+      return true;
+    } else {
+      console.error(`Job ${job.type} ${id} failed:`, reason);
+      await saveJob(job, { status: 'failed', message: 'Failed', error: reason });
+      handler.cleanup?.(job.data);
+    }
+  } finally {
+    runningJobs.delete(id);
+  }
+  
+  return false;
+};
+
+let draining = false;
+let drainRequested = false;
+
+// Fills free slots from the queue. Calls made while it is already draining
+// make it look again once it's done, so no push is missed.
+const processJobs = async () => {
+  drainRequested = true;
+  if (draining) {
+    return;
+  }
+  
+  draining = true;
+  try {
+    while (drainRequested) {
+      drainRequested = false;
+      
+      while (activeJobCount < JOB_CONCURRENCY) {
+        const id = await jobStore.take();
+        if (!id) {
+          break;
+        }
+        
+        activeJobCount++;
+        runJob(id)
+          .then(retrying => (retrying ? null : jobStore.release(id)))
+          .catch(error => console.error('Job runner error:', error))
+          .finally(() => {
+            activeJobCount--;
+            processJobs();
+          });
+      }
+    }
+  } catch (error) {
+    console.error('Job queue error:', error.message);
+  } finally {
+    draining = false;
+  }
+};
+
+// Jobs left active by the previous run of this instance were interrupted, or
+// were waiting to be retried. They go back in the queue while they have
+// attempts left and their inputs are still here; otherwise they fail. Runs
+// once Redis is ready, since that is where they are.
+const recoverJobs = async () => {
+  if (redis && redis.status !== 'ready') {
+    redis.once('ready', () => {
+      recoverJobs().catch(error => console.error('Job recovery error:', error.message));
+    });
+    return;
+  }
+  
+  const ids = await jobStore.listActive();
+  
+  for (const id of ids) {
+    const job = await jobStore.get(id);
+    const handler = job && jobHandlers[job.type];
+    
+    if (!job || JOB_FINISHED_STATES.includes(job.status)) {
+      await jobStore.release(id);
+    } else if (job.attempts < job.maxAttempts && handler?.canResume?.(job.data) !== false) {
+      await saveJob(job, { status: 'queued', message: 'Requeued after a restart' });
+      await jobStore.requeue(id);
+    } else {
+      await saveJob(job, { status: 'failed', message: 'Failed', error: 'Interrupted by a server restart' });
+      handler?.cleanup?.(job.data);
+      await jobStore.release(id);
+    }
+  }
+  
+  if (ids.length > 0) {
+    console.log(`♻️  Recovered ${ids.length} interrupted job(s)`);
+  }
+  processJobs();
+};
+
+// `socketId` (from the X-Socket-Id header) joins the requester to the job's
+// room before it starts, so no progress update is missed. Jobs started by a
+// signed-in user are theirs alone to follow or cancel.
+const enqueueJob = async (type, data, { maxAttempts = 3, socketId, ownerId = null } = {}) => {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    ownerId,
+    status: 'queued',
+    progress: 0,
+    message: 'Queued',
+    data,
+    result: null,
+    error: null,
+    attempts: 0,
+    maxAttempts,
+    createdAt: new Date().toISOString()
+  };
+  
+  // The socket may be connected to another instance
+  if (socketId) {
+    io.in(socketId).socketsJoin(`job-${job.id}`);
+  }
+  
+  await saveJob(job);
+  await jobStore.push(job.id);
+  processJobs();
+  
+  return job;
+};
+
+const canAccessJob = (job, user) => !job.ownerId || job.ownerId === user?.id;
+
+const cancelJob = async (id) => {
+  const job = await jobStore.get(id);
+  if (!job || JOB_FINISHED_STATES.includes(job.status)) {
+    return job;
+  }
+  
+  await saveJob(job, { status: 'cancelled', message: 'Cancelled' });
+  
+  // A running job finishes cancelling itself; a queued one is dropped here
+  if (runningJobs.has(id)) {
+    runningJobs.get(id).abort();
+  } else {
+    await jobStore.remove(id);
+    jobHandlers[job.type]?.cleanup?.(job.data);
+  }
+  
+  return job;
+};
+
+jobHandlers.download = {
+  async run({ videoId, format, quality, history }, { progress, signal }) {
+    await progress(5, 'Looking up mix');
+    
+    const video = await findCatalogVideo(videoId);
+    if (!video) {
+      throw createPermanentError('Video not found in channel', 404);
+    }
+    
+    const profileId = getTranscodeProfileId(format, quality);
+    let downloadResult;
+    
+    if (profileId) {
+      if (!isTranscodeProfile(profileId)) {
+        throw createPermanentError(`Unsupported audio quality: ${quality}`, 400);
+      }
+      const profile = TRANSCODE_PROFILES[profileId];
+      
+      await progress(10, 'Resolving source');
+      const source = await resolveStreamSource(videoId);
+      const info = await getMixAudioInfo(videoId, source);
+      const available = await getAvailableProfiles(info);
+      
+      if (!available.some(candidate => candidate.id === profileId)) {
+        throw createPermanentError(`${profile.label} is not available for this mix`, 422);
+      }
+      
+      await progress(20, `Encoding ${profile.label}`);
+      const output = await untilCancelled(transcodeMix(videoId, profileId, source, {
+        duration: info.duration,
+        onProgress: fraction => progress(20 + fraction * 75, `Encoding ${profile.label}`).catch(() => {})
+      }), signal);
+      
+      downloadResult = {
+        success: true,
+        provider: 'transcoder',
+        downloadUrl: `/media/${output.fileName}`,
+        format: profile.format,
+        extension: profile.extension,
+        quality: profileId,
+        duration: info.duration,
+        size: output.size
+      };
+    } else {
+      await progress(10, 'Requesting download');
+      downloadResult = await untilCancelled(resolveDownload(videoId, format, quality), signal);
+    }
+    
+    if (!downloadResult.success) {
+      throw new Error(downloadResult.error);
+    }
+    
+    // Update download count in database
+    await Mix.findOneAndUpdate(
+      { videoId },
+      { $inc: { downloadCount: 1 } },
+      { upsert: true, new: true }
+    );
+    trackEvent('download', { videoId, dimension: `${downloadResult.format}:${downloadResult.quality}` });
+    
+    const expires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    
+    // Re-downloads from the history refresh the entry they came from
+    if (history) {
+      await User.updateOne(
+        { _id: history.userId, 'downloads._id': history.downloadId },
+        {
+          $set: {
+            'downloads.$.url': downloadResult.downloadUrl,
+            'downloads.$.extension': downloadResult.extension || 'mp4',
+            'downloads.$.size': downloadResult.size || null,
+            'downloads.$.expiresAt': expires
+          }
+        }
+      );
+    }
+    
+    return {
+      video: {
+        videoId: video.videoId,
+        title: video.title,
+        thumbnail: video.thumbnail,
+        channel: video.channelTitle
+      },
+      download: {
+        url: downloadResult.downloadUrl,
+        format: downloadResult.format,
+        extension: downloadResult.extension || 'mp4',
+        quality: downloadResult.quality,
+        duration: downloadResult.duration,
+        size: downloadResult.size || null,
+        provider: downloadResult.provider,
+        expires: expires.toISOString()
+      }
+    };
+  }
+};
+
+// Resolves and probes a mix so its download options can be listed. One probe
+// runs per mix at a time; a failed one is not retried for PROBE_RETRY_DELAY.
+const PROBE_RETRY_DELAY = 10 * 60;
+
+jobHandlers.probe = {
+  async run({ videoId }, { progress }) {
+    await progress(10, 'Finding audio source');
+    const source = await resolveStreamSource(videoId);
+    
+    await progress(60, 'Reading audio details');
+    const info = await getMixAudioInfo(videoId, source);
+    
+    return { videoId, duration: info.duration };
+  }
+};
+
+// The probe job for a mix: the one already queued, running or recently
+// failed, or a new one
+const startProbeJob = async (videoId, socketId) => {
+  const key = `probe_job:${videoId}`;
+  const jobId = await cache.get(key);
+  const job = jobId ? await jobStore.get(jobId) : null;
+  
+  if (job && job.status !== 'completed' && job.status !== 'cancelled') {
+    if (socketId) {
+      io.in(socketId).socketsJoin(`job-${job.id}`);
+    }
+    return job;
+  }
+  
+  const created = await enqueueJob('probe', { videoId }, { maxAttempts: 2, socketId });
+  await cache.setex(key, PROBE_RETRY_DELAY, created.id);
+  return created;
+};
+
+jobHandlers.upload = {
+  async run({ videoId, filePath, originalName, title, artist, description, tags, ownerId }, { progress }) {
+    await progress(10, 'Uploading to storage');
+    const cloudinaryResult = await uploadMixAudio(videoId, filePath);
+    
+    // Extract the waveform from the local file before it is cleaned up
+    await progress(60, 'Extracting waveform');
+    let waveformData = null;
+    try {
+      waveformData = await generateWaveform(filePath);
+    } catch (error) {
+      console.error('Upload waveform error:', error.message);
+    }
+    
+    await progress(90, 'Saving mix');
+    
+    // Upsert by videoId so a retried job does not create a second mix
+    const mix = await Mix.findOne({ videoId }) || new Mix({ videoId });
+    mix.set({
+      title: title || originalName.replace(/\.[^/.]+$/, ""),
+      artist: artist || 'Unknown Artist',
+      thumbnail: getUploadThumbnail(cloudinaryResult.secure_url),
+      audioUrl: cloudinaryResult.secure_url,
+      audioPublicId: cloudinaryResult.public_id,
+      tags: parseUploadTags(tags) || [],
+      description,
+      source: 'upload',
+      uploadedBy: ownerId,
+      uploadedAt: new Date()
+    });
+    
+    if (waveformData) {
+      applyWaveformToMix(mix, waveformData);
+    }
+    
+    await mix.save();
+    invalidateSearchIndex();
+    
+    // Clean up uploaded file
+    fs.unlink(filePath, () => {});
+    
+    return {
+      mix: {
+        id: mix._id,
+        videoId: mix.videoId,
+        title: mix.title,
+        artist: mix.artist,
+        audioUrl: mix.audioUrl,
+        thumbnail: mix.thumbnail,
+        duration: mix.duration,
+        waveform: waveformData ? JSON.parse(mix.waveform) : []
+      }
+    };
+  },
+  
+  canResume: ({ filePath }) => fs.existsSync(filePath),
+  cleanup: ({ filePath }) => fs.unlink(filePath, () => {})
+};
+
+// Upload helpers
+// Uploaded mixes belong to the user who uploaded them, and only they can
+// change or delete them. Audio is stored in Cloudinary under
+// mixhub/uploads/<videoId> and covers under mixhub/covers/<videoId>; both
+// are overwritten in place when replaced and destroyed with the mix.
+const UPLOAD_TITLE_MAX_LENGTH = 200;
+const UPLOAD_ARTIST_MAX_LENGTH = 100;
+const UPLOAD_DESCRIPTION_MAX_LENGTH = 5000;
+const UPLOAD_MAX_TAGS = 20;
+const UPLOAD_TAG_MAX_LENGTH = 40;
+
+const uploadMixAudio = (videoId, filePath) => cloudinary.v2.uploader.upload(filePath, {
+  resource_type: 'video',
+  folder: 'mixhub/uploads',
+  public_id: videoId,
+  overwrite: true,
+  invalidate: true
+});
+
+// Cloudinary renders a frame of the audio asset as an image
+const getUploadThumbnail = (audioUrl) => audioUrl.replace(/\.(mp3|wav|m4a|flac)$/, '.jpg');
+
+// Mixes uploaded before public ids were stored used the default one
+const getAudioPublicId = (mix) => mix.audioPublicId || `mixhub/uploads/${mix.videoId}`;
+
+// Accepts an array or a comma-separated string; null if neither
+const parseUploadTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : null;
+  if (!list || !list.every(tag => typeof tag === 'string')) {
+    return null;
+  }
+  return [...new Set(list.map(tag => tag.trim()).filter(Boolean))];
+};
+
+// Checks the metadata fields given in `body`; absent fields are left out
+const validateUploadFields = (body) => {
+  const { title, artist, description, tags, ...rest } = body;
+  const changes = {};
+  
+  const unknown = Object.keys(rest);
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}` };
+  }
+  
+  if (title !== undefined) {
+    if (typeof title !== 'string' || !title.trim() || title.length > UPLOAD_TITLE_MAX_LENGTH) {
+      return { error: `title must be 1-${UPLOAD_TITLE_MAX_LENGTH} characters` };
+    }
+    changes.title = title.trim();
+  }
+  
+  if (artist !== undefined) {
+    if (typeof artist !== 'string' || !artist.trim() || artist.length > UPLOAD_ARTIST_MAX_LENGTH) {
+      return { error: `artist must be 1-${UPLOAD_ARTIST_MAX_LENGTH} characters` };
+    }
+    changes.artist = artist.trim();
+  }
+  
+  if (description !== undefined) {
+    if (typeof description !== 'string' || description.length > UPLOAD_DESCRIPTION_MAX_LENGTH) {
+      return { error: `description must be at most ${UPLOAD_DESCRIPTION_MAX_LENGTH} characters` };
+    }
+    changes.description = description.trim();
+  }
+  
+  if (tags !== undefined) {
+    const list = parseUploadTags(tags);
+    if (!list || list.length > UPLOAD_MAX_TAGS || list.some(tag => tag.length > UPLOAD_TAG_MAX_LENGTH)) {
+      return { error: `tags must be at most ${UPLOAD_MAX_TAGS} tags of up to ${UPLOAD_TAG_MAX_LENGTH} characters` };
+    }
+    changes.tags = list;
+  }
+  
+  return { changes };
+};
+
+const validateUploadUpdate = (body) => {
+  const { error, changes } = validateUploadFields(body);
+  if (error) {
+    return { error };
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to update' };
+  }
+  
+  return { changes };
+};
+
+// Random rather than timestamped, so uploads in the same millisecond differ
+const createUploadId = () => `upload_${crypto.randomUUID()}`;
+
+const toUploadedMix = (mix) => ({
+  ...toVideo(mix),
+  audioUrl: mix.audioUrl,
+  hasCustomCover: Boolean(mix.coverPublicId),
+  uploadedAt: mix.uploadedAt
+});
+
+const findOwnUpload = (videoId, userId, projection = { waveform: 0, waveformData: 0 }) => (
+  Mix.findOne({ videoId, source: 'upload', uploadedBy: userId }, projection)
+);
+
+// Everything derived from a mix's audio: the resolved stream, probe results
+// and transcoded files
+const forgetMixAudio = async (videoId) => {
+  await cache.del(`stream_source:${videoId}`);
+  await cache.del(`audio_info:${videoId}`);
+  waveformFailures.delete(videoId);
+  Object.keys(TRANSCODE_PROFILES).forEach(profileId => {
+    fs.unlink(path.join(mediaDir, getTranscodeFileName(videoId, profileId)), () => {});
+  });
+};
+
+jobHandlers['replace-audio'] = {
+  async run({ videoId, filePath, ownerId }, { progress }) {
+    const mix = await findOwnUpload(videoId, ownerId, {});
+    if (!mix) {
+      throw new Error('Upload not found');
+    }
+    
+    await progress(10, 'Uploading to storage');
+    const cloudinaryResult = await uploadMixAudio(videoId, filePath);
+    
+    await progress(60, 'Extracting waveform');
+    let waveformData = null;
+    try {
+      waveformData = await generateWaveform(filePath);
+    } catch (error) {
+      console.error('Upload waveform error:', error.message);
+    }
+    
+    await progress(90, 'Saving mix');
+    mix.set({
+      audioUrl: cloudinaryResult.secure_url,
+      audioPublicId: cloudinaryResult.public_id,
+      audioInfo: undefined,
+      duration: undefined,
+      waveform: undefined,
+      waveformData: undefined
+    });
+    if (!mix.coverPublicId) {
+      mix.thumbnail = getUploadThumbnail(cloudinaryResult.secure_url);
+    }
+    if (waveformData) {
+      applyWaveformToMix(mix, waveformData);
+    }
+    
+    await mix.save();
+    await forgetMixAudio(videoId);
+    invalidateSearchIndex();
+    
+    fs.unlink(filePath, () => {});
+    
+    return { mix: toUploadedMix(mix) };
+  },
+  
+  canResume: ({ filePath }) => fs.existsSync(filePath),
+  cleanup: ({ filePath }) => fs.unlink(filePath, () => {})
+};
+
+// Profile helpers
+const toProfile = (user) => {
+  const profile = user.toObject();
+  profile.preferences = {
+    ...profile.preferences,
+    equalizer: normalizeEqualizer(profile.preferences?.equalizer)
+  };
+  return profile;
+};
+
+const USERNAME_PATTERN = /^[\w.-]{3,30}$/;
+const AVATAR_MAX_LENGTH = 2048;
+
+// Returns { error } or { changes } ready for $set. The equalizer has its
+// own route and is not accepted here.
+const validateProfileUpdate = (body) => {
+  const { username, avatar, preferences, ...rest } = body;
+  const changes = {};
+  
+  const unknown = Object.keys(rest);
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}` };
+  }
+  
+  if (username !== undefined) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return { error: 'Username must be 3-30 letters, digits, dots, dashes or underscores' };
+    }
+    changes.username = username;
+  }
+  
+  if (avatar !== undefined) {
+    if (typeof avatar !== 'string' || avatar.length > AVATAR_MAX_LENGTH || (avatar && !/^https?:\/\//.test(avatar))) {
+      return { error: 'Avatar must be an http(s) URL, or empty to remove it' };
+    }
+    changes.avatar = avatar;
+  }
+  
+  if (preferences !== undefined) {
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return { error: 'Preferences must be an object' };
+    }
+    
+    const { theme, audioQuality, autoPlay, crossfade, loudnessMatch, ...unknownPreferences } = preferences;
+    const unknownKeys = Object.keys(unknownPreferences);
+    if (unknownKeys.length > 0) {
+      return { error: `Unknown preferences: ${unknownKeys.join(', ')}` };
+    }
+    
+    if (theme !== undefined) {
+      if (!THEMES.includes(theme)) {
+        return { error: `theme must be one of: ${THEMES.join(', ')}` };
+      }
+      changes['preferences.theme'] = theme;
+    }
+    if (audioQuality !== undefined) {
+      if (!AUDIO_QUALITIES.includes(audioQuality)) {
+        return { error: `audioQuality must be one of: ${AUDIO_QUALITIES.join(', ')}` };
+      }
+      changes['preferences.audioQuality'] = audioQuality;
+    }
+    if (autoPlay !== undefined) {
+      if (typeof autoPlay !== 'boolean') {
+        return { error: 'autoPlay must be true or false' };
+      }
+      changes['preferences.autoPlay'] = autoPlay;
+    }
+    if (crossfade !== undefined) {
+      if (typeof crossfade !== 'number' || !(crossfade >= 0 && crossfade <= CROSSFADE_MAX_SECONDS)) {
+        return { error: `crossfade must be between 0 and ${CROSSFADE_MAX_SECONDS} seconds` };
+      }
+      changes['preferences.crossfade'] = Math.round(crossfade * 10) / 10;
+    }
+    if (loudnessMatch !== undefined) {
+      if (typeof loudnessMatch !== 'boolean') {
+        return { error: 'loudnessMatch must be true or false' };
+      }
+      changes['preferences.loudnessMatch'] = loudnessMatch;
+    }
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to update' };
+  }
+  
+  return { changes };
+};
+
+// Equalizer helpers
+// Settings are a preamp plus any number of biquad bands, each with its own
+// type, frequency, Q and gain. The default layout is the ten ISO octave bands.
+const EQ_GAIN_LIMIT = 12; // dB either way, for bands and the preamp
+const EQ_MAX_BANDS = 16;
+const EQ_MAX_PRESETS = 50;
+const EQ_PRESET_NAME_MAX_LENGTH = 50;
+const EQ_DEFAULT_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+const createEqualizerBands = (gains = []) => EQ_DEFAULT_FREQUENCIES.map((frequency, index) => ({
+  type: index === 0 ? 'lowshelf' : index === EQ_DEFAULT_FREQUENCIES.length - 1 ? 'highshelf' : 'peaking',
+  frequency,
+  q: 1.41,
+  gain: gains[index] || 0
+}));
+
+// The presets the old three-band equalizer shipped, spread over ten bands
+const BUILT_IN_EQ_PRESETS = [
+  { key: 'flat', name: 'Flat', gains: [] },
+  { key: 'bass', name: 'Bass Boost', gains: [6, 5, 4, 2, 1, 0, 0, 0, 0, 0] },
+  { key: 'treble', name: 'Treble Boost', gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  { key: 'rock', name: 'Rock', gains: [4, 4, 3, 1, 0, 1, 2, 3, 4, 4] },
+  { key: 'jazz', name: 'Jazz', gains: [2, 2, 2, 3, 4, 4, 3, 2, 2, 2] },
+  { key: 'classical', name: 'Classical', gains: [3, 3, 2, 1, 1, 1, 2, 3, 4, 4] }
+].map(({ key, name, gains }) => ({ key, name, preamp: 0, bands: createEqualizerBands(gains), builtIn: true }));
+
+// Accounts saved before the parametric equalizer hold bass/mid/treble only
+const normalizeEqualizer = (equalizer = {}) => {
+  if (equalizer.bands?.length) {
+    return { preamp: equalizer.preamp || 0, bands: equalizer.bands, presetId: equalizer.presetId || null };
+  }
+  
+  if (['bass', 'mid', 'treble'].some(band => equalizer[band])) {
+    return {
+      preamp: 0,
+      bands: [
+        { type: 'lowshelf', frequency: 100, q: 1, gain: equalizer.bass || 0 },
+        { type: 'peaking', frequency: 1000, q: 1, gain: equalizer.mid || 0 },
+        { type: 'highshelf', frequency: 3000, q: 1, gain: equalizer.treble || 0 }
+      ],
+      presetId: null
+    };
+  }
+  
+  return { preamp: 0, bands: createEqualizerBands(), presetId: null };
+};
+
+const isInRange = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+// Returns { error } or { equalizer } with only the known fields
+const validateEqualizer = ({ preamp = 0, bands } = {}) => {
+  if (!isInRange(preamp, -EQ_GAIN_LIMIT, EQ_GAIN_LIMIT)) {
+    return { error: `preamp must be between -${EQ_GAIN_LIMIT} and ${EQ_GAIN_LIMIT} dB` };
+  }
+  if (!Array.isArray(bands) || bands.length === 0 || bands.length > EQ_MAX_BANDS) {
+    return { error: `bands must be a list of 1 to ${EQ_MAX_BANDS} bands` };
+  }
+  
+  for (const [index, band] of bands.entries()) {
+    if (!EQ_FILTER_TYPES.includes(band?.type)) {
+      return { error: `Band ${index + 1}: type must be one of: ${EQ_FILTER_TYPES.join(', ')}` };
+    }
+    if (!isInRange(band.frequency, 20, 20000)) {
+      return { error: `Band ${index + 1}: frequency must be between 20 and 20000 Hz` };
+    }
+    if (!isInRange(band.q, 0.1, 18)) {
+      return { error: `Band ${index + 1}: q must be between 0.1 and 18` };
+    }
+    if (!isInRange(band.gain, -EQ_GAIN_LIMIT, EQ_GAIN_LIMIT)) {
+      return { error: `Band ${index + 1}: gain must be between -${EQ_GAIN_LIMIT} and ${EQ_GAIN_LIMIT} dB` };
+    }
+  }
+  
+  return {
+    equalizer: {
+      preamp,
+      bands: bands.map(({ type, frequency, q, gain }) => ({ type, frequency, q, gain }))
+    }
+  };
+};
+
+// Built-in presets are addressed by key, user presets by id
+const toEqualizerPreset = (preset) => ({
+  id: preset.builtIn ? preset.key : preset._id,
+  name: preset.name,
+  preamp: preset.preamp,
+  bands: preset.bands,
+  builtIn: Boolean(preset.builtIn),
+  shared: Boolean(preset.shareCode),
+  shareCode: preset.shareCode || null,
+  updatedAt: preset.updatedAt
+});
+
+const createShareCode = () => crypto.randomBytes(6).toString('base64url');
+
+// Keeps the stored built-ins in step with BUILT_IN_EQ_PRESETS
+const seedEqualizerPresets = async () => {
+  await EqualizerPreset.bulkWrite(BUILT_IN_EQ_PRESETS.map(preset => ({
+    updateOne: {
+      filter: { builtIn: true, key: preset.key },
+      update: { $set: preset },
+      upsert: true
+    }
+  })));
+};
+
+const findOwnPreset = async (userId, presetId) => (
+  mongoose.isValidObjectId(presetId)
+    ? EqualizerPreset.findOne({ _id: presetId, owner: userId })
+    : null
+);
+
+// Playlist helpers
+const PLAYLIST_NAME_MAX_LENGTH = 100;
+const PLAYLIST_DESCRIPTION_MAX_LENGTH = 1000;
+
+const validatePlaylistName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Playlist name is required';
+  }
+  if (name.trim().length > PLAYLIST_NAME_MAX_LENGTH) {
+    return `Playlist name must be at most ${PLAYLIST_NAME_MAX_LENGTH} characters`;
+  }
+  return null;
+};
+
+const toPlaylist = (playlist, { withMixes = true } = {}) => ({
+  id: playlist._id,
+  name: playlist.name,
+  description: playlist.description || '',
+  mixCount: playlist.mixes.length,
+  mixes: withMixes ? playlist.mixes.map(mix => ({
+    videoId: mix.videoId,
+    title: mix.title,
+    thumbnail: mix.thumbnail,
+    addedAt: mix.addedAt
+  })) : undefined,
+  createdAt: playlist.createdAt,
+  updatedAt: playlist.updatedAt || playlist.createdAt
+});
+
+const findUserPlaylist = async (userId, playlistId) => {
+  const user = await User.findById(userId);
+  const playlist = user && mongoose.isValidObjectId(playlistId)
+    ? user.playlists.id(playlistId)
+    : null;
+  
+  return { user, playlist };
+};
+
+// Returns a copy of items with the element at `from` moved to `to`
+const moveItem = (items, from, to) => {
+  const result = [...items];
+  const [item] = result.splice(from, 1);
+  result.splice(to, 0, item);
+  return result;
+};
+
+const parsePosition = (value, length) => {
+  const position = parseInt(value, 10);
+  if (Number.isNaN(position)) {
+    return null;
+  }
+  return Math.max(0, Math.min(position, length));
+};
+
+// Favorite helpers
+// Both updates are conditional on the current state, so repeating a call is a no-op
+const addFavorite = async (userId, videoId) => {
+  const video = await findCatalogVideo(videoId);
+  if (!video) {
+    return false;
+  }
+  
+  const result = await User.updateOne(
+    { _id: userId, 'favorites.videoId': { $ne: videoId } },
+    {
+      $push: {
+        favorites: {
+          videoId,
+          title: video.title,
+          thumbnail: video.thumbnail,
+          addedAt: new Date()
+        }
+      }
+    }
+  );
+  
+  if (result.modifiedCount > 0) {
+    await Mix.updateOne({ videoId }, { $inc: { likes: 1 } });
+  }
+  
+  return true;
+};
+
+const removeFavorite = async (userId, videoId) => {
+  const result = await User.updateOne(
+    { _id: userId, 'favorites.videoId': videoId },
+    { $pull: { favorites: { videoId } } }
+  );
+  
+  if (result.modifiedCount > 0) {
+    await Mix.updateOne({ videoId, likes: { $gt: 0 } }, { $inc: { likes: -1 } });
+  }
+};
+
+// Download history helpers
+// Newest entries are kept; older ones drop off past DOWNLOAD_HISTORY_LIMIT
+const DOWNLOAD_HISTORY_LIMIT = 500;
+
+// Files served from /media can be swept before their expiry time
+const isDownloadLinkValid = (entry) => {
+  if (!entry.url || !entry.expiresAt || entry.expiresAt <= new Date()) {
+    return false;
+  }
+  if (entry.url.startsWith('/media/')) {
+    return fs.existsSync(path.join(mediaDir, path.basename(entry.url)));
+  }
+  return true;
+};
+
+const toDownloadEntry = (entry) => ({
+  id: entry._id,
+  videoId: entry.videoId,
+  title: entry.title,
+  thumbnail: entry.thumbnail,
+  format: entry.format,
+  quality: entry.quality,
+  extension: entry.extension,
+  size: entry.size ?? null,
+  url: entry.url,
+  expiresAt: entry.expiresAt,
+  expired: !isDownloadLinkValid(entry),
+  downloadedAt: entry.downloadedAt
+});
+
+// Entries are made from a finished download job's result, so they only ever
+// hold links this server made. A job is recorded once; recording it again
+// matches nothing.
+const addDownloadHistory = (userId, job) => {
+  const { video, download } = job.result;
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    videoId: video.videoId,
+    title: video.title,
+    thumbnail: video.thumbnail,
+    format: job.data.format,
+    quality: job.data.quality,
+    extension: download.extension,
+    size: download.size ?? undefined,
+    url: download.url,
+    expiresAt: new Date(download.expires),
+    jobId: job.id,
+    downloadedAt: new Date()
+  };
+  
+  return User.updateOne(
+    { _id: userId, 'downloads.jobId': { $ne: job.id } },
+    { $push: { downloads: { $each: [entry], $slice: -DOWNLOAD_HISTORY_LIMIT } } }
+  ).then(result => (result.modifiedCount > 0 ? entry : null));
+};
+
+// Play queue helpers
+// The client owns queue logic (next, shuffle, repeat) and saves whole snapshots.
+// Every snapshot bumps `version`; a save based on an older version is rejected
+// so two devices can't silently overwrite each other.
+const QUEUE_MAX_ITEMS = 500;
+const QUEUE_HISTORY_LIMIT = 100;
+
+const toQueue = (queue = {}) => ({
+  items: (queue.items || []).map(item => ({
+    videoId: item.videoId,
+    title: item.title,
+    thumbnail: item.thumbnail
+  })),
+  index: queue.index ?? -1,
+  position: queue.position || 0,
+  shuffle: Boolean(queue.shuffle),
+  repeat: queue.repeat || 'off',
+  history: (queue.history || []).map(entry => ({
+    videoId: entry.videoId,
+    title: entry.title,
+    thumbnail: entry.thumbnail,
+    playedAt: entry.playedAt
+  })),
+  version: queue.version || 0,
+  updatedAt: queue.updatedAt || null
+});
+
+const isVideoId = (value) => typeof value === 'string' && value.length > 0 && value.length <= 64;
+
+// Returns { error } or { queue } with items and history as bare video ids
+const validateQueue = (body) => {
+  const { items, index = -1, position = 0, shuffle = false, repeat = 'off', history = [] } = body;
+  
+  if (!Array.isArray(items) || items.length > QUEUE_MAX_ITEMS) {
+    return { error: `items must be an array of at most ${QUEUE_MAX_ITEMS} mixes` };
+  }
+  const videoIds = items.map(item => (typeof item === 'string' ? item : item?.videoId));
+  if (!videoIds.every(isVideoId)) {
+    return { error: 'Every queue item needs a videoId' };
+  }
+  if (!Number.isInteger(index) || index < -1 || index >= items.length) {
+    return { error: 'index must point at a queue item, or be -1' };
+  }
+  if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+    return { error: 'position must be a non-negative number of seconds' };
+  }
+  if (typeof shuffle !== 'boolean') {
+    return { error: 'shuffle must be a boolean' };
+  }
+  if (!QUEUE_REPEAT_MODES.includes(repeat)) {
+    return { error: `repeat must be one of: ${QUEUE_REPEAT_MODES.join(', ')}` };
+  }
+  if (!Array.isArray(history) || !history.every(entry => isVideoId(entry?.videoId))) {
+    return { error: 'history must be an array of { videoId, playedAt }' };
+  }
+  
+  return {
+    queue: {
+      videoIds,
+      index,
+      position: index === -1 ? 0 : position,
+      shuffle,
+      repeat,
+      // Newest first
+      history: history.slice(0, QUEUE_HISTORY_LIMIT).map(entry => {
+        const playedAt = new Date(entry.playedAt);
+        return { videoId: entry.videoId, playedAt: Number.isNaN(playedAt.getTime()) ? new Date() : playedAt };
+      })
+    }
+  };
+};
+
+// Fills in titles and thumbnails from the catalog. Mixes that have since been
+// removed are dropped, and the index follows the item it pointed at.
+const resolveQueue = async ({ videoIds, index, position, shuffle, repeat, history }) => {
+  const videos = await findCatalogVideos([...new Set([...videoIds, ...history.map(entry => entry.videoId)])]);
+  const toItem = (videoId) => {
+    const video = videos.get(videoId);
+    return { videoId, title: video.title, thumbnail: video.thumbnail };
+  };
+  
+  const items = videoIds.filter(videoId => videos.has(videoId)).map(toItem);
+  const keptBefore = videoIds.slice(0, Math.max(index, 0)).filter(videoId => videos.has(videoId)).length;
+  const currentKept = index !== -1 && videos.has(videoIds[index]);
+  
+  return {
+    items,
+    index: index !== -1 && items.length ? Math.min(keptBefore, items.length - 1) : -1,
+    position: currentKept ? position : 0,
+    shuffle,
+    repeat,
+    history: history
+      .filter(entry => videos.has(entry.videoId))
+      .map(entry => ({ ...toItem(entry.videoId), playedAt: entry.playedAt }))
+  };
+};
+
+// Matches the user only while their queue is still at `version`; queues saved
+// before versioning have none
+const queueVersionFilter = (userId, version) => ({
+  _id: userId,
+  'queue.version': version ? version : { $in: [0, null] }
+});
+
+// Play Counting
+// See lib/plays.js. Per-day totals feed the daily and weekly charts.
+const PLAY_COUNT_THRESHOLD = parseInt(process.env.PLAY_COUNT_THRESHOLD, 10) || 30;
+const PLAY_DEBOUNCE = (parseInt(process.env.PLAY_DEBOUNCE_MINUTES, 10) || 30) * 60;
+const PLAY_SESSION_TTL = 6 * 60 * 60;
+const CHART_PERIODS = { daily: 1, weekly: 7, 'all-time': null };
+
+const playCounter = createPlayCounter({
+  cache,
+  threshold: PLAY_COUNT_THRESHOLD,
+  debounce: PLAY_DEBOUNCE,
+  sessionTtl: PLAY_SESSION_TTL
+});
+
+// Signed-in listeners are identified by account, everyone else by address;
+// an id the client makes up could be changed on every request
+const getListenerKey = (req) => {
+  const user = getOptionalUser(req);
+  return user ? `user:${user.id}` : `ip:${req.ip}`;
+};
+
+const findPlayableMix = (videoId) => Mix.findOne({ videoId }, { videoId: 1, duration: 1 }).lean();
+
+const startOfUtcDay = (date = new Date()) => new Date(Date.UTC(
+  date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()
+));
+
+const recordPlay = async (videoId) => {
+  const [mix] = await Promise.all([
+    Mix.findOneAndUpdate({ videoId }, { $inc: { playCount: 1 } }, { new: true, projection: { playCount: 1 } }).lean(),
+    PlayCount.updateOne({ videoId, day: startOfUtcDay() }, { $inc: { plays: 1 } }, { upsert: true })
+  ]);
+  
+  return mix.playCount;
+};
+
+// Top mixes by plays; daily and weekly count whole UTC days, today included
+const getTopCharts = async (period, limit) => {
+  const days = CHART_PERIODS[period];
+  
+  if (!days) {
+    const mixes = await Mix.find({ playCount: { $gt: 0 } })
+      .sort({ playCount: -1, likes: -1 })
+      .limit(limit)
+      .lean();
+    return mixes.map(mix => ({ plays: mix.playCount, ...toVideo(mix) }));
+  }
+  
+  const since = startOfUtcDay();
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+  
+  const counts = await PlayCount.aggregate([
+    { $match: { day: { $gte: since } } },
+    { $group: { _id: '$videoId', plays: { $sum: '$plays' } } },
+    { $sort: { plays: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  
+  const mixes = await Mix.find({ videoId: { $in: counts.map(count => count._id) } }).lean();
+  const byId = new Map(mixes.map(mix => [mix.videoId, mix]));
+  
+  return counts
+    .filter(count => byId.has(count._id))
+    .map(count => ({ plays: count.plays, ...toVideo(byId.get(count._id)) }));
+};
+
+// Analytics
+// Events are counted in memory and flushed every ANALYTICS_FLUSH_INTERVAL into
+// hourly and daily rollups, so recording one never waits on the database.
+// Without a database there is nowhere to keep them and they are dropped.
+const ANALYTICS_FLUSH_INTERVAL = 10 * 1000;
+const ANALYTICS_CLIENT_EVENTS = ['complete', 'skip'];
+const ANALYTICS_MIX_METRICS = { plays: 'play', completes: 'complete', skips: 'skip', downloads: 'download' };
+const analyticsBuffer = new Map();
+
+const trackEvent = (type, { videoId = '', dimension = '' } = {}) => {
+  const now = Date.now();
+  
+  for (const granularity of Object.keys(ANALYTICS_GRANULARITIES)) {
+    const bucket = getBucketStart(now, granularity).toISOString();
+    const key = JSON.stringify([granularity, bucket, type, videoId, dimension]);
+    analyticsBuffer.set(key, (analyticsBuffer.get(key) || 0) + 1);
+  }
+};
+
+const flushAnalytics = async () => {
+  if (analyticsBuffer.size === 0) {
+    return;
+  }
+  
+  const entries = [...analyticsBuffer];
+  analyticsBuffer.clear();
+  if (!isDatabaseReady()) {
+    return;
+  }
+  
+  const operations = entries.map(([key, count]) => {
+    const [granularity, bucket, type, videoId, dimension] = JSON.parse(key);
+    const bucketStart = new Date(bucket);
+    
+    return {
+      updateOne: {
+        filter: { granularity, bucket: bucketStart, type, videoId, dimension },
+        update: {
+          $inc: { count },
+          $setOnInsert: {
+            expiresAt: new Date(bucketStart.getTime() + ANALYTICS_GRANULARITIES[granularity].retention)
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+  
+  try {
+    await AnalyticsRollup.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    console.error('Analytics flush error:', error.message);
+  }
+};
+
+const countMixEvents = async ({ granularity, from, to }, videoIds) => {
+  const match = {
+    granularity,
+    bucket: { $gte: from, $lt: to },
+    type: { $in: Object.values(ANALYTICS_MIX_METRICS) },
+    videoId: videoIds ? { $in: videoIds } : { $ne: '' }
+  };
+  
+  const rows = await AnalyticsRollup.aggregate([
+    { $match: match },
+    { $group: { _id: { videoId: '$videoId', type: '$type' }, count: { $sum: '$count' } } }
+  ]);
+  
+  const totals = new Map();
+  for (const { _id, count } of rows) {
+    if (!totals.has(_id.videoId)) {
+      totals.set(_id.videoId, Object.fromEntries(Object.keys(ANALYTICS_MIX_METRICS).map(metric => [metric, 0])));
+    }
+    const metric = Object.keys(ANALYTICS_MIX_METRICS).find(key => ANALYTICS_MIX_METRICS[key] === _id.type);
+    totals.get(_id.videoId)[metric] = count;
+  }
+  return totals;
+};
+
+const toRate = (part, whole) => (whole ? Number((part / whole).toFixed(3)) : null);
+
+// Mixes ranked by `metric` over the range, with the change against the
+// equally long period just before it
+const getMixTrends = async (range, metric, limit) => {
+  const length = range.to.getTime() - range.from.getTime();
+  const previousRange = { ...range, from: new Date(range.from.getTime() - length), to: range.from };
+  
+  const current = await countMixEvents(range);
+  const ranked = [...current]
+    .sort(([, a], [, b]) => b[metric] - a[metric])
+    .slice(0, limit);
+  const videoIds = ranked.map(([videoId]) => videoId);
+  
+  const [previous, mixes] = await Promise.all([
+    countMixEvents(previousRange, videoIds),
+    Mix.find({ videoId: { $in: videoIds } }, { videoId: 1, title: 1, thumbnail: 1, source: 1 }).lean()
+  ]);
+  const byId = new Map(mixes.map(mix => [mix.videoId, mix]));
+  
+  return ranked.map(([videoId, totals]) => {
+    const before = previous.get(videoId)?.[metric] || 0;
+    return {
+      videoId,
+      title: byId.get(videoId)?.title || null,
+      thumbnail: byId.get(videoId)?.thumbnail || null,
+      source: byId.get(videoId)?.source || null,
+      ...totals,
+      completionRate: toRate(totals.completes, totals.plays),
+      skipRate: toRate(totals.skips, totals.plays),
+      change: before ? Number(((totals[metric] - before) / before).toFixed(3)) : null
+    };
+  });
+};
+
+const getMixSeries = async (videoId, range) => {
+  const rows = await AnalyticsRollup.find({
+    granularity: range.granularity,
+    bucket: { $gte: range.from, $lt: range.to },
+    videoId
+  }).lean();
+  
+  const series = listBuckets(range).map(bucket => ({
+    bucket,
+    ...Object.fromEntries(Object.keys(ANALYTICS_MIX_METRICS).map(metric => [metric, 0]))
+  }));
+  const byTime = new Map(series.map(point => [point.bucket.getTime(), point]));
+  
+  for (const row of rows) {
+    const point = byTime.get(row.bucket.getTime());
+    const metric = Object.keys(ANALYTICS_MIX_METRICS).find(key => ANALYTICS_MIX_METRICS[key] === row.type);
+    if (point && metric) {
+      point[metric] += row.count;
+    }
+  }
+  
+  return series;
+};
+
+// Download dimensions are `<format>:<quality>`
+const getFormatTrends = async (range) => {
+  const rows = await AnalyticsRollup.find({
+    granularity: range.granularity,
+    bucket: { $gte: range.from, $lt: range.to },
+    type: 'download'
+  }).lean();
+  
+  const totals = new Map();
+  const series = listBuckets(range).map(bucket => ({ bucket, formats: {} }));
+  const byTime = new Map(series.map(point => [point.bucket.getTime(), point]));
+  
+  for (const row of rows) {
+    const [format, quality = ''] = row.dimension.split(':');
+    const total = totals.get(row.dimension) || { format, quality, downloads: 0 };
+    total.downloads += row.count;
+    totals.set(row.dimension, total);
+    
+    const point = byTime.get(row.bucket.getTime());
+    if (point) {
+      point.formats[format] = (point.formats[format] || 0) + row.count;
+    }
+  }
+  
+  return {
+    totals: [...totals.values()].sort((a, b) => b.downloads - a.downloads),
+    series
+  };
+};
+
+const getSearchTrends = async (range, limit) => AnalyticsRollup.aggregate([
+  {
+    $match: {
+      granularity: range.granularity,
+      bucket: { $gte: range.from, $lt: range.to },
+      type: 'search'
+    }
+  },
+  { $group: { _id: '$dimension', searches: { $sum: '$count' } } },
+  { $sort: { searches: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, term: '$_id', searches: 1 } }
+]);
+
+// API Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    youtubeChannel: process.env.YOUTUBE_CHANNEL_ID,
+    downloadProviders: getProviderStatus(),
+    cache: cache.stats()
+  });
+});
+
+// Get YouTube channel videos
+app.get('/api/channel/videos', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 0, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const { videos, total } = await getCatalogVideos({
+      skip: limit ? (page - 1) * limit : 0,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      videos,
+      total,
+      page,
+      channelId: process.env.YOUTUBE_CHANNEL_ID,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching channel videos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch channel videos',
+      message: error.message
+    });
+  }
+});
+
+// One mix from the catalog, so the player doesn't fetch the whole list
+app.get('/api/channel/videos/:videoId', requireKnownVideo(findCatalogVideo), (req, res) => {
+  res.json({
+    success: true,
+    video: req.video
+  });
+});
+
+// Channel sync status
+app.get('/api/channel/sync', async (req, res) => {
+  try {
+    const state = isDatabaseReady()
+      ? await SyncState.findOne({ key: CHANNEL_SYNC_KEY }).lean()
+      : null;
+    
+    res.json({
+      success: true,
+      running: Boolean(channelSyncPromise),
+      lastSyncAt: state?.lastSyncAt || null,
+      lastFullSyncAt: state?.lastFullSyncAt || null,
+      lastPublishedAt: state?.lastPublishedAt || null,
+      totalSynced: state?.totalSynced || 0,
+      lastError: state?.lastError || null
+    });
+  } catch (error) {
+    console.error('Sync status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sync status'
+    });
+  }
+});
+
+// Search videos
+app.get('/api/search', async (req, res) => {
+  try {
+    const invalidParam = findNonStringParam(req.query, SEARCH_TEXT_PARAMS);
+    if (invalidParam) {
+      return res.status(400).json({ success: false, error: `${invalidParam} must be given once, as text` });
+    }
+    if (!isQueryStringList(req.query.tag)) {
+      return res.status(400).json({ success: false, error: 'tag must be text' });
+    }
+    
+    const { q = '', tag, source, minDuration, maxDuration, from, to } = req.query;
+    const query = q.trim();
+    const sort = req.query.sort || (query ? 'relevance' : 'date');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    
+    if (sort !== 'relevance' && !SEARCH_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of: relevance, ${Object.keys(SEARCH_SORTS).join(', ')}`
+      });
+    }
+    if (source && !['youtube', 'upload'].includes(source)) {
+      return res.status(400).json({ success: false, error: 'source must be youtube or upload' });
+    }
+    
+    const durations = { minDuration, maxDuration };
+    for (const [name, value] of Object.entries(durations)) {
+      durations[name] = value === undefined ? undefined : Number(value);
+      if (Number.isNaN(durations[name])) {
+        return res.status(400).json({ success: false, error: `${name} must be a number of seconds` });
+      }
+    }
+    
+    const dates = { from, to };
+    for (const [name, value] of Object.entries(dates)) {
+      dates[name] = value ? new Date(value) : undefined;
+      if (dates[name] && Number.isNaN(dates[name].getTime())) {
+        return res.status(400).json({ success: false, error: `${name} must be a date` });
+      }
+    }
+    
+    if (query && page === 1) {
+      trackEvent('search', { dimension: tokenize(query).join(' ').slice(0, 100) });
+    }
+    
+    const { videos, total } = await searchMixes({
+      query,
+      tags: [tag || []].flat().flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean),
+      source,
+      ...durations,
+      ...dates,
+      sort,
+      skip: (page - 1) * limit,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      videos,
+      total,
+      page,
+      limit,
+      sort,
+      query: q
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Search failed'
+    });
+  }
+});
+
+// Get download options
+app.get('/api/download/options/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const video = await findCatalogVideo(videoId);
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found in channel'
+      });
+    }
+    
+    // Probing can mean fetching the whole mix, so it only happens in a job;
+    // the client waits for the job and asks again
+    const info = await getCachedAudioInfo(videoId);
+    if (!info) {
+      const job = await startProbeJob(videoId, req.get('X-Socket-Id'));
+      
+      if (job.status === 'failed') {
+        return res.status(503).json({
+          success: false,
+          error: 'Download options unavailable',
+          message: job.error,
+          retryAfter: PROBE_RETRY_DELAY
+        });
+      }
+      
+      return res.status(202).json({
+        success: false,
+        pending: true,
+        job: toPublicJob(job),
+        retryAfter: 5
+      });
+    }
+    
+    const profiles = await getAvailableProfiles(info);
+    
+    // Video comes straight from the download providers, so only channel
+    // mixes have it and its size is unknown until downloaded
+    const options = {
+      video: video.source === 'upload' ? [] : [
+        { quality: '720p', label: 'HD Video (720p)', format: 'mp4', extension: 'mp4', size: null },
+        { quality: '480p', label: 'Standard Video (480p)', format: 'mp4', extension: 'mp4', size: null },
+        { quality: '360p', label: 'Mobile Video (360p)', format: 'mp4', extension: 'mp4', size: null }
+      ],
+      audio: profiles.map(profile => describeProfile(videoId, profile, info))
+    };
+    
+    res.json({
+      success: true,
+      videoId,
+      duration: info.duration,
+      source: {
+        codec: info.codec,
+        bitrate: info.bitrate,
+        sampleRate: info.sampleRate,
+        lossless: info.lossless
+      },
+      options,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Download options error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get download options',
+      message: error.message
+    });
+  }
+});
+
+// Start a download job
+app.post('/api/download/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { format = 'mp3', quality = '320kbps' } = req.body;
+    
+    const video = await findCatalogVideo(videoId);
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found in channel'
+      });
+    }
+    
+    const profileId = getTranscodeProfileId(format, quality);
+    if (profileId && !isTranscodeProfile(profileId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported audio quality: ${quality}`
+      });
+    }
+    
+    const job = await enqueueJob('download', { videoId, format, quality }, {
+      socketId: req.get('X-Socket-Id'),
+      ownerId: getOptionalUser(req)?.id
+    });
+    
+    res.status(202).json({
+      success: true,
+      job: toPublicJob(job)
+    });
+    
+  } catch (error) {
+    console.error('Download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Download failed',
+      message: error.message
+    });
+  }
+});
+
+// Get job status
+app.get('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await jobStore.get(req.params.jobId);
+    if (!job || !canAccessJob(job, getOptionalUser(req))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json({
+      success: true,
+      job: toPublicJob(job)
+    });
+    
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Cancel job
+app.delete('/api/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await jobStore.get(req.params.jobId);
+    if (!job || !canAccessJob(job, getOptionalUser(req))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json({
+      success: true,
+      job: toPublicJob(await cancelJob(job.id))
+    });
+    
+  } catch (error) {
+    console.error('Job cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// Stream audio
+app.get('/api/stream/:videoId', requireKnownVideo(findCatalogVideo), async (req, res) => {
+  const { videoId } = req.params;
+  
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const source = await resolveStreamSource(videoId, { refresh: attempt > 0 });
+      
+      if (source.path) {
+        if (!fs.existsSync(source.path) && attempt === 0) {
+          continue;
+        }
+        return res.sendFile(source.path, { headers: { 'Content-Type': source.contentType } });
+      }
+      const ranges = req.headers.range && source.size ? req.range(source.size, { combine: true }) : null;
+      
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${source.size}`);
+        return res.status(416).end();
+      }
+      
+      // Malformed and multi-part ranges are answered with the whole file
+      const range = Array.isArray(ranges) && ranges.length === 1 ? ranges[0] : null;
+      const start = range ? range.start : 0;
+      const end = range ? range.end : (source.size || 0) - 1;
+      
+      let upstream;
+      try {
+        upstream = req.method === 'HEAD' ? null : await axios.get(source.url, {
+          responseType: 'stream',
+          headers: source.acceptsRanges && range ? { Range: `bytes=${start}-${end}` } : {},
+          timeout: 15000
+        });
+      } catch (error) {
+        // Cached links expire upstream; resolve a fresh one and retry once
+        if (attempt === 0 && isExpiredSourceError(error)) {
+          continue;
+        }
+        throw error;
+      }
+      
+      res.setHeader('Content-Type', source.contentType);
+      if (source.size) {
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Content-Length', end - start + 1);
+      }
+      if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${source.size}`);
+      }
+      
+      if (!upstream) {
+        return res.end();
+      }
+      
+      // The response closes when it finishes or the client goes away; the
+      // request's own close can fire as soon as its body has been read
+      res.on('close', () => upstream.data.destroy());
+      
+      if (range && upstream.status !== 206) {
+        pipeByteRange(upstream.data, res, start, end - start + 1);
+      } else {
+        upstream.data.on('error', () => res.destroy());
+        upstream.data.pipe(res);
+      }
+      
+      return;
+    }
+  } catch (error) {
+    console.error('Stream error:', error.message);
+    
+    if (!res.headersSent) {
+      res.status(502).json({ error: 'Streaming unavailable' });
+    }
+  }
+});
+
+// Upload custom mix
+app.post('/api/upload', authenticate, upload.single('audio'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    const file = req.file;
+    
+    const { error, changes } = validateUploadFields(req.body || {});
+    if (error) {
+      fs.unlink(file.path, () => {});
+      return res.status(400).json({ error });
+    }
+    
+    const job = await enqueueJob('upload', {
+      videoId: createUploadId(),
+      filePath: file.path,
+      originalName: file.originalname,
+      ...changes,
+      ownerId: req.user.id
+    }, {
+      socketId: req.get('X-Socket-Id'),
+      ownerId: req.user.id
+    });
+    
+    res.status(202).json({
+      success: true,
+      job: toPublicJob(job)
+    });
+    
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Upload failed', message: error.message });
+  }
+});
+
+// The signed-in user's uploads, newest first
+app.get('/api/uploads', authenticate, async (req, res) => {
+  try {
+    if (!isDatabaseReady()) {
+      return res.status(503).json({ success: false, error: 'Uploads require a database' });
+    }
+    
+    const mixes = await Mix.find(
+      { source: 'upload', uploadedBy: req.user.id },
+      { waveform: 0, waveformData: 0 }
+    ).sort({ uploadedAt: -1 }).lean();
+    
+    res.json({ success: true, uploads: mixes.map(toUploadedMix) });
+  } catch (error) {
+    console.error('Uploads list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load uploads' });
+  }
+});
+
+app.patch('/api/uploads/:videoId', authenticate, async (req, res) => {
+  try {
+    const { error, changes } = validateUploadUpdate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const mix = await Mix.findOneAndUpdate(
+      { videoId: req.params.videoId, source: 'upload', uploadedBy: req.user.id },
+      { $set: changes },
+      { new: true, projection: { waveform: 0, waveformData: 0 } }
+    ).lean();
+    if (!mix) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+    
+    invalidateSearchIndex();
+    res.json({ success: true, upload: toUploadedMix(mix) });
+  } catch (error) {
+    console.error('Upload update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update upload' });
+  }
+});
+
+// Replaces the audio of an upload, keeping its id, stats and metadata.
+// Runs as a job like the original upload.
+app.put('/api/uploads/:videoId/audio', authenticate, upload.single('audio'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+    
+    const mix = await findOwnUpload(req.params.videoId, req.user.id, { _id: 1 }).lean();
+    if (!mix) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+    
+    const job = await enqueueJob('replace-audio', {
+      videoId: req.params.videoId,
+      filePath: req.file.path,
+      ownerId: req.user.id
+    }, {
+      socketId: req.get('X-Socket-Id'),
+      ownerId: req.user.id
+    });
+    
+    res.status(202).json({ success: true, job: toPublicJob(job) });
+  } catch (error) {
+    console.error('Upload audio replace error:', error);
+    res.status(500).json({ success: false, error: 'Failed to replace audio' });
+  }
+});
+
+app.put('/api/uploads/:videoId/cover', authenticate, coverUpload.single('cover'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No image uploaded' });
+    }
+    
+    const mix = await findOwnUpload(req.params.videoId, req.user.id);
+    if (!mix) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+    
+    const result = await cloudinary.v2.uploader.upload(req.file.path, {
+      resource_type: 'image',
+      folder: 'mixhub/covers',
+      public_id: mix.videoId,
+      overwrite: true,
+      invalidate: true
+    });
+    
+    mix.set({ thumbnail: result.secure_url, coverPublicId: result.public_id });
+    await mix.save();
+    invalidateSearchIndex();
+    
+    res.json({ success: true, upload: toUploadedMix(mix) });
+  } catch (error) {
+    console.error('Upload cover error:', error);
+    res.status(500).json({ success: false, error: 'Failed to set cover' });
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  }
+});
+
+// The Cloudinary assets go first; if that fails the mix is kept so the
+// delete can be retried rather than leaving orphaned assets behind
+app.delete('/api/uploads/:videoId', authenticate, async (req, res) => {
+  try {
+    const mix = await findOwnUpload(req.params.videoId, req.user.id);
+    if (!mix) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+    
+    try {
+      await cloudinary.v2.uploader.destroy(getAudioPublicId(mix), { resource_type: 'video', invalidate: true });
+      if (mix.coverPublicId) {
+        await cloudinary.v2.uploader.destroy(mix.coverPublicId, { resource_type: 'image', invalidate: true });
+      }
+    } catch (error) {
+      console.error('Upload asset delete error:', error);
+      return res.status(502).json({ success: false, error: 'Failed to delete the stored files, try again' });
+    }
+    
+    await mix.deleteOne();
+    await forgetMixAudio(mix.videoId);
+    invalidateSearchIndex();
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Upload delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete upload' });
+  }
+});
+
+// User registration
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+    
+    if (!isNonEmptyString(username) || !isNonEmptyString(email) || typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({
+        error: 'Username, email and a password of at least 8 characters are required'
+      });
+    }
+    
+    // Check if user exists
+    const existingUser = await User.findOne({ $or: [{ username }, { email }] });
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+    
+    const user = new User({
+      username,
+      email,
+      password: await hashPassword(password),
+      avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(username)}&background=random&color=fff`,
+      createdAt: new Date()
+    });
+    
+    await user.save();
+    
+    res.json({
+      success: true,
+      user: toSessionUser(user),
+      tokens: issueTokens(user)
+    });
+    
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+// User login
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!isNonEmptyString(email) || typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    let validPassword = await verifyPassword(password, user.password);
+    
+    // Accounts created before hashing stored plaintext; upgrade them on login
+    if (!validPassword && !isPasswordHash(user.password)) {
+      validPassword = verifyLegacyPassword(password, user.password);
+      if (validPassword) {
+        user.password = await hashPassword(password);
+        await user.save();
+      }
+    }
+    
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    res.json({
+      success: true,
+      user: toSessionUser(user),
+      tokens: issueTokens(user)
+    });
+    
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const token = verifyRefreshToken(refreshToken);
+    const user = token ? await User.findById(token.id) : null;
+    if (!user || user.tokenVersion !== token.version) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    
+    res.json({
+      success: true,
+      user: toSessionUser(user),
+      tokens: issueTokens(user)
+    });
+    
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Revoke every refresh token issued to the user
+app.post('/api/auth/logout', authenticate, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+    
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Get user profile
+app.get('/api/profile', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password -tokenVersion');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      user: toProfile(user)
+    });
+    
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Update profile
+app.patch('/api/profile', authenticate, async (req, res) => {
+  try {
+    const { error, changes } = validateProfileUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (changes.username) {
+      const taken = await User.exists({ username: changes.username, _id: { $ne: req.user.id } });
+      if (taken) {
+        return res.status(409).json({ error: 'Username is already taken' });
+      }
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: changes },
+      { new: true, runValidators: true }
+    ).select('-password -tokenVersion');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      user: toProfile(user)
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Profile update error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Equalizer settings
+app.get('/api/equalizer', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, { 'preferences.equalizer': 1 }).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({ success: true, equalizer: normalizeEqualizer(user.preferences?.equalizer) });
+  } catch (error) {
+    console.error('Equalizer error:', error);
+    res.status(500).json({ error: 'Failed to fetch equalizer settings' });
+  }
+});
+
+// Takes { preamp, bands, presetId }; the old { bass, mid, treble } body is
+// still accepted and converted
+app.post('/api/equalizer', authenticate, async (req, res) => {
+  try {
+    const body = req.body.bands ? req.body : normalizeEqualizer(req.body);
+    const { error, equalizer } = validateEqualizer(body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    equalizer.presetId = typeof body.presetId === 'string' ? body.presetId : null;
+    
+    await User.findByIdAndUpdate(req.user.id, {
+      $set: { 'preferences.equalizer': equalizer }
+    });
+    
+    res.json({
+      success: true,
+      equalizer,
+      message: 'Equalizer settings saved'
+    });
+    
+  } catch (error) {
+    console.error('Equalizer error:', error);
+    res.status(500).json({ error: 'Failed to save equalizer settings' });
+  }
+});
+
+// Built-in presets, plus the user's own when signed in
+app.get('/api/equalizer/presets', async (req, res) => {
+  try {
+    if (!isDatabaseReady()) {
+      return res.json({ success: true, presets: BUILT_IN_EQ_PRESETS.map(toEqualizerPreset) });
+    }
+    
+    const user = getOptionalUser(req);
+    const presets = await EqualizerPreset.find({
+      $or: [{ builtIn: true }, ...(user ? [{ owner: user.id }] : [])]
+    }).sort({ builtIn: -1, createdAt: 1 }).lean();
+    
+    res.json({ success: true, presets: presets.map(toEqualizerPreset) });
+  } catch (error) {
+    console.error('Equalizer presets error:', error);
+    res.status(500).json({ error: 'Failed to fetch presets' });
+  }
+});
+
+app.post('/api/equalizer/presets', authenticate, async (req, res) => {
+  try {
+    const nameError = validatePresetName(req.body.name, EQ_PRESET_NAME_MAX_LENGTH);
+    const { error, equalizer } = validateEqualizer(req.body);
+    if (nameError || error) {
+      return res.status(400).json({ error: nameError || error });
+    }
+    
+    const count = await EqualizerPreset.countDocuments({ owner: req.user.id });
+    if (count >= EQ_MAX_PRESETS) {
+      return res.status(400).json({ error: `You can save at most ${EQ_MAX_PRESETS} presets` });
+    }
+    
+    const preset = await EqualizerPreset.create({
+      owner: req.user.id,
+      name: req.body.name.trim(),
+      ...equalizer,
+      shareCode: req.body.shared ? createShareCode() : undefined
+    });
+    
+    res.status(201).json({ success: true, preset: toEqualizerPreset(preset) });
+  } catch (error) {
+    console.error('Create preset error:', error);
+    res.status(500).json({ error: 'Failed to create preset' });
+  }
+});
+
+// Anyone with the code can see a shared preset
+app.get('/api/equalizer/presets/shared/:shareCode', async (req, res) => {
+  try {
+    const preset = await EqualizerPreset.findOne({ shareCode: req.params.shareCode }).lean();
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    
+    res.json({ success: true, preset: { ...toEqualizerPreset(preset), id: null, shareCode: null } });
+  } catch (error) {
+    console.error('Shared preset error:', error);
+    res.status(500).json({ error: 'Failed to fetch preset' });
+  }
+});
+
+// Copies a shared preset into the user's own
+app.post('/api/equalizer/presets/shared/:shareCode', authenticate, async (req, res) => {
+  try {
+    const shared = await EqualizerPreset.findOne({ shareCode: req.params.shareCode }).lean();
+    if (!shared) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    
+    const count = await EqualizerPreset.countDocuments({ owner: req.user.id });
+    if (count >= EQ_MAX_PRESETS) {
+      return res.status(400).json({ error: `You can save at most ${EQ_MAX_PRESETS} presets` });
+    }
+    
+    const preset = await EqualizerPreset.create({
+      owner: req.user.id,
+      name: shared.name,
+      preamp: shared.preamp,
+      bands: shared.bands
+    });
+    
+    res.status(201).json({ success: true, preset: toEqualizerPreset(preset) });
+  } catch (error) {
+    console.error('Import preset error:', error);
+    res.status(500).json({ error: 'Failed to import preset' });
+  }
+});
+
+// Rename, retune or toggle sharing; turning sharing off revokes the code
+app.patch('/api/equalizer/presets/:presetId', authenticate, async (req, res) => {
+  try {
+    const { name, shared } = req.body;
+    
+    const preset = await findOwnPreset(req.user.id, req.params.presetId);
+    if (!preset) {
+      const builtIn = BUILT_IN_EQ_PRESETS.some(candidate => candidate.key === req.params.presetId);
+      return res.status(builtIn ? 403 : 404).json({
+        error: builtIn ? 'Built-in presets cannot be changed' : 'Preset not found'
+      });
+    }
+    
+    if (name !== undefined) {
+      const nameError = validatePresetName(name, EQ_PRESET_NAME_MAX_LENGTH);
+      if (nameError) {
+        return res.status(400).json({ error: nameError });
+      }
+      preset.name = name.trim();
+    }
+    
+    if (req.body.bands !== undefined || req.body.preamp !== undefined) {
+      const { error, equalizer } = validateEqualizer({
+        preamp: req.body.preamp ?? preset.preamp,
+        bands: req.body.bands ?? preset.bands.map(band => band.toObject())
+      });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      preset.set(equalizer);
+    }
+    
+    if (shared !== undefined) {
+      preset.shareCode = shared ? preset.shareCode || createShareCode() : undefined;
+    }
+    
+    await preset.save();
+    
+    res.json({ success: true, preset: toEqualizerPreset(preset) });
+  } catch (error) {
+    console.error('Update preset error:', error);
+    res.status(500).json({ error: 'Failed to update preset' });
+  }
+});
+
+app.delete('/api/equalizer/presets/:presetId', authenticate, async (req, res) => {
+  try {
+    const preset = await findOwnPreset(req.user.id, req.params.presetId);
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    
+    await preset.deleteOne();
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete preset error:', error);
+    res.status(500).json({ error: 'Failed to delete preset' });
+  }
+});
+
+// Get waveform data
+app.get('/api/waveform/:videoId', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const buckets = parseInt(req.query.buckets, 10) || 100;
+    
+    const mix = await Mix.findOne({ videoId }).lean();
+    if (!mix) {
+      return res.status(404).json({ error: 'Mix not found' });
+    }
+    
+    const failure = waveformFailures.get(videoId);
+    const recentlyFailed = failure && Date.now() - failure.at < WAVEFORM_RETRY_DELAY;
+    
+    if (mix.waveformData?.resolutions?.length) {
+      const resolution = pickWaveformResolution(mix.waveformData, buckets);
+      
+      // Waveforms from before loudness was measured are redone in the background
+      if (mix.waveformData.loudness === undefined && !recentlyFailed && !isWaveformBacklogFull()) {
+        ensureMixWaveform(videoId).catch(() => {});
+      }
+      
+      return res.json({
+        success: true,
+        waveform: resolution.peak,
+        peak: resolution.peak,
+        rms: resolution.rms,
+        buckets: resolution.buckets,
+        resolutions: mix.waveformData.resolutions.map(r => r.buckets),
+        duration: mix.duration,
+        loudness: mix.waveformData.loudness ?? null
+      });
+    }
+    
+    if (recentlyFailed) {
+      return res.status(503).json({
+        error: 'Waveform unavailable',
+        message: failure.error
+      });
+    }
+    
+    // Extraction runs in the background; the player polls until it is ready
+    if (!waveformJobs.has(videoId) && isWaveformBacklogFull()) {
+      return res.status(503).json({
+        error: 'Waveform unavailable',
+        message: 'Too many waveforms are being extracted, try again shortly',
+        retryAfter: 30
+      });
+    }
+    ensureMixWaveform(videoId).catch(() => {});
+    
+    res.status(202).json({
+      success: false,
+      pending: true,
+      retryAfter: 5
+    });
+    
+  } catch (error) {
+    console.error('Waveform error:', error);
+    res.status(500).json({ error: 'Failed to generate waveform' });
+  }
+});
+
+// List playlists
+app.get('/api/playlists', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('playlists');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
       success: true,
-      videos,
-      total: videos.length,
-      channelId: process.env.YOUTUBE_CHANNEL_ID,
-      timestamp: new Date().toISOString()
+      playlists: user.playlists.map(playlist => toPlaylist(playlist, { withMixes: false })),
+      total: user.playlists.length
     });
+    
   } catch (error) {
-    console.error('Error fetching channel videos:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch channel videos',
-      message: error.message
+    console.error('Playlist list error:', error);
+    res.status(500).json({ error: 'Failed to fetch playlists' });
+  }
+});
+
+// Create playlist
+app.post('/api/playlists', authenticate, async (req, res) => {
+  try {
+    const { name, description = '' } = req.body;
+    
+    const nameError = validatePlaylistName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+    
+    const descriptionError = validateDescription(description, PLAYLIST_DESCRIPTION_MAX_LENGTH);
+    if (descriptionError) {
+      return res.status(400).json({ error: descriptionError });
+    }
+    
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    user.playlists.push({
+      name: name.trim(),
+      description: description.trim(),
+      mixes: [],
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+    await user.save();
+    
+    res.json({
+      success: true,
+      playlist: toPlaylist(user.playlists[user.playlists.length - 1])
     });
+    
+  } catch (error) {
+    console.error('Playlist error:', error);
+    res.status(500).json({ error: 'Failed to create playlist' });
   }
 });
 
-// Search videos
-app.get('/api/search', async (req, res) => {
+// Reorder playlists
+app.put('/api/playlists/order', authenticate, async (req, res) => {
   try {
-    const { q = '' } = req.query;
-    const videos = await fetchYouTubeChannelVideos();
+    const { playlistIds } = req.body;
     
-    const filteredVideos = videos.filter(video => 
-      video.title.toLowerCase().includes(q.toLowerCase()) ||
-      video.description.toLowerCase().includes(q.toLowerCase())
-    );
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const current = user.playlists.map(playlist => playlist._id.toString());
+    const isPermutation = Array.isArray(playlistIds) &&
+      playlistIds.length === current.length &&
+      new Set(playlistIds).size === current.length &&
+      playlistIds.every(id => current.includes(id));
+    
+    if (!isPermutation) {
+      return res.status(400).json({ error: 'playlistIds must list every playlist exactly once' });
+    }
+    
+    user.playlists = playlistIds.map(id => user.playlists.id(id).toObject());
+    await user.save();
     
     res.json({
       success: true,
-      videos: filteredVideos,
-      total: filteredVideos.length,
-      query: q
+      playlists: user.playlists.map(playlist => toPlaylist(playlist, { withMixes: false }))
     });
+    
   } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Search failed'
+    console.error('Playlist reorder error:', error);
+    res.status(500).json({ error: 'Failed to reorder playlists' });
+  }
+});
+
+// Get playlist
+app.get('/api/playlists/:playlistId', authenticate, async (req, res) => {
+  try {
+    const { playlist } = await findUserPlaylist(req.user.id, req.params.playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    res.json({
+      success: true,
+      playlist: toPlaylist(playlist)
     });
+    
+  } catch (error) {
+    console.error('Playlist fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch playlist' });
   }
 });
 
-// Get download options
-app.get('/api/download/options/:videoId', async (req, res) => {
+// Rename playlist or change its description
+app.patch('/api/playlists/:playlistId', authenticate, async (req, res) => {
   try {
-    const { videoId } = req.params;
+    const { name, description } = req.body;
     
-    const options = {
-      video: [
-        { quality: '720p', label: 'HD Video (720p)', format: 'mp4', size: '~120MB' },
-        { quality: '480p', label: 'Standard Video (480p)', format: 'mp4', size: '~80MB' },
-        { quality: '360p', label: 'Mobile Video (360p)', format: 'mp4', size: '~50MB' }
-      ],
-      audio: [
-        { quality: '320kbps', label: 'High Quality Audio (320kbps)', format: 'mp3', size: '~40MB' },
-        { quality: '192kbps', label: 'Good Quality Audio (192kbps)', format: 'mp3', size: '~25MB' },
-        { quality: '128kbps', label: 'Standard Audio (128kbps)', format: 'mp3', size: '~15MB' },
-        { quality: 'mp3', label: 'MP3 Format', format: 'mp3', size: '~40MB' }
-      ]
+    if (name !== undefined) {
+      const nameError = validatePlaylistName(name);
+      if (nameError) {
+        return res.status(400).json({ error: nameError });
+      }
+    }
+    
+    if (description !== undefined) {
+      const descriptionError = validateDescription(description, PLAYLIST_DESCRIPTION_MAX_LENGTH);
+      if (descriptionError) {
+        return res.status(400).json({ error: descriptionError });
+      }
+    }
+    
+    const { user, playlist } = await findUserPlaylist(req.user.id, req.params.playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    if (name !== undefined) {
+      playlist.name = name.trim();
+    }
+    if (description !== undefined) {
+      playlist.description = description.trim();
+    }
+    playlist.updatedAt = new Date();
+    await user.save();
+    
+    res.json({
+      success: true,
+      playlist: toPlaylist(playlist)
+    });
+    
+  } catch (error) {
+    console.error('Playlist update error:', error);
+    res.status(500).json({ error: 'Failed to update playlist' });
+  }
+});
+
+// Delete playlist
+app.delete('/api/playlists/:playlistId', authenticate, async (req, res) => {
+  try {
+    const { user, playlist } = await findUserPlaylist(req.user.id, req.params.playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    playlist.deleteOne();
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'Playlist deleted'
+    });
+    
+  } catch (error) {
+    console.error('Playlist delete error:', error);
+    res.status(500).json({ error: 'Failed to delete playlist' });
+  }
+});
+
+// Add mix to playlist
+app.post('/api/playlists/:playlistId/mixes', authenticate, async (req, res) => {
+  try {
+    const { videoId, position } = req.body;
+    
+    if (!isValidVideoId(videoId)) {
+      return res.status(400).json({ error: 'A valid videoId is required' });
+    }
+    
+    const { user, playlist } = await findUserPlaylist(req.user.id, req.params.playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    if (playlist.mixes.some(mix => mix.videoId === videoId)) {
+      return res.status(409).json({ error: 'Mix is already in this playlist' });
+    }
+    
+    const video = await findCatalogVideo(videoId);
+    if (!video) {
+      return res.status(404).json({ error: 'Mix not found in catalog' });
+    }
+    
+    const entry = {
+      videoId,
+      title: video.title,
+      thumbnail: video.thumbnail,
+      addedAt: new Date()
     };
+    const index = position === undefined
+      ? playlist.mixes.length
+      : parsePosition(position, playlist.mixes.length);
+    
+    if (index === null) {
+      return res.status(400).json({ error: 'position must be an integer' });
+    }
+    
+    playlist.mixes.splice(index, 0, entry);
+    playlist.updatedAt = new Date();
+    await user.save();
+    
+    res.json({
+      success: true,
+      playlist: toPlaylist(playlist)
+    });
+    
+  } catch (error) {
+    console.error('Playlist add mix error:', error);
+    res.status(500).json({ error: 'Failed to add mix to playlist' });
+  }
+});
+
+// Move mix within playlist
+app.patch('/api/playlists/:playlistId/mixes/:videoId', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const { user, playlist } = await findUserPlaylist(req.user.id, req.params.playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    const from = playlist.mixes.findIndex(mix => mix.videoId === videoId);
+    if (from === -1) {
+      return res.status(404).json({ error: 'Mix not found in playlist' });
+    }
+    
+    const to = parsePosition(req.body.position, playlist.mixes.length - 1);
+    if (to === null) {
+      return res.status(400).json({ error: 'position must be an integer' });
+    }
+    
+    playlist.mixes = moveItem(playlist.mixes.map(mix => mix.toObject()), from, to);
+    playlist.updatedAt = new Date();
+    await user.save();
+    
+    res.json({
+      success: true,
+      playlist: toPlaylist(playlist)
+    });
+    
+  } catch (error) {
+    console.error('Playlist move mix error:', error);
+    res.status(500).json({ error: 'Failed to move mix' });
+  }
+});
+
+// Remove mix from playlist
+app.delete('/api/playlists/:playlistId/mixes/:videoId', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const { user, playlist } = await findUserPlaylist(req.user.id, req.params.playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    const mix = playlist.mixes.find(entry => entry.videoId === videoId);
+    if (!mix) {
+      return res.status(404).json({ error: 'Mix not found in playlist' });
+    }
+    
+    mix.deleteOne();
+    playlist.updatedAt = new Date();
+    await user.save();
+    
+    res.json({
+      success: true,
+      playlist: toPlaylist(playlist)
+    });
+    
+  } catch (error) {
+    console.error('Playlist remove mix error:', error);
+    res.status(500).json({ error: 'Failed to remove mix from playlist' });
+  }
+});
+
+// List favorites
+app.get('/api/favorites', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('favorites');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const favorites = [...user.favorites]
+      .sort((a, b) => b.addedAt - a.addedAt)
+      .map(favorite => ({
+        videoId: favorite.videoId,
+        title: favorite.title,
+        thumbnail: favorite.thumbnail,
+        addedAt: favorite.addedAt
+      }));
+    
+    res.json({
+      success: true,
+      favorites,
+      total: favorites.length
+    });
+    
+  } catch (error) {
+    console.error('Favorites list error:', error);
+    res.status(500).json({ error: 'Failed to fetch favorites' });
+  }
+});
+
+// Add mix to favorites
+app.post('/api/favorites/:videoId', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    if (!await addFavorite(req.user.id, videoId)) {
+      return res.status(404).json({ error: 'Mix not found in catalog' });
+    }
+    
+    res.json({
+      success: true,
+      videoId,
+      favorite: true,
+      message: 'Added to favorites'
+    });
+    
+  } catch (error) {
+    console.error('Favorite error:', error);
+    res.status(500).json({ error: 'Failed to add to favorites' });
+  }
+});
+
+// Set favorite state explicitly, so repeated toggles from the dashboard agree
+app.put('/api/favorites/:videoId', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { favorite } = req.body;
+    
+    if (typeof favorite !== 'boolean') {
+      return res.status(400).json({ error: 'favorite must be true or false' });
+    }
+    
+    if (favorite) {
+      if (!await addFavorite(req.user.id, videoId)) {
+        return res.status(404).json({ error: 'Mix not found in catalog' });
+      }
+    } else {
+      await removeFavorite(req.user.id, videoId);
+    }
+    
+    res.json({
+      success: true,
+      videoId,
+      favorite,
+      message: favorite ? 'Added to favorites' : 'Removed from favorites'
+    });
+    
+  } catch (error) {
+    console.error('Favorite toggle error:', error);
+    res.status(500).json({ error: 'Failed to update favorites' });
+  }
+});
+
+// Remove mix from favorites
+app.delete('/api/favorites/:videoId', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    await removeFavorite(req.user.id, videoId);
     
     res.json({
       success: true,
       videoId,
-      options,
-      timestamp: new Date().toISOString()
+      favorite: false,
+      message: 'Removed from favorites'
     });
+    
   } catch (error) {
-    console.error('Download options error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get download options'
-    });
+    console.error('Favorite remove error:', error);
+    res.status(500).json({ error: 'Failed to remove from favorites' });
   }
 });
 
-// Download mix
-app.get('/api/download/:videoId', async (req, res) => {
+// Download history
+app.get('/api/downloads', authenticate, async (req, res) => {
   try {
-    const { videoId } = req.params;
-    const { format = 'mp3', quality = '320kbps' } = req.query;
-    
-    // Get video info first
-    const videos = await fetchYouTubeChannelVideos();
-    const video = videos.find(v => v.videoId === videoId);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const { format } = req.query;
     
-    if (!video) {
-      return res.status(404).json({
-        success: false,
-        error: 'Video not found in channel'
-      });
+    const user = await User.findById(req.user.id, { downloads: 1 }).lean();
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
     }
     
-    // Download from GiftedTech
-    const downloadResult = await downloadFromGiftedTech(videoId, format, quality);
+    const history = (user.downloads || []).slice().reverse();
+    const matching = format ? history.filter(entry => (entry.extension || entry.format) === format) : history;
     
-    if (!downloadResult.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Download service unavailable',
-        message: downloadResult.error
-      });
+    const totals = {};
+    for (const entry of history) {
+      const key = entry.extension || entry.format || 'unknown';
+      totals[key] = (totals[key] || 0) + 1;
     }
     
-    // Update download count in database
-    await Mix.findOneAndUpdate(
-      { videoId },
-      { $inc: { downloadCount: 1 } },
-      { upsert: true, new: true }
-    );
-    
     res.json({
       success: true,
-      video: {
-        videoId: video.videoId,
-        title: video.title,
-        thumbnail: video.thumbnail,
-        channel: video.channelTitle
-      },
-      download: {
-        url: downloadResult.downloadUrl,
-        format: downloadResult.format,
-        quality: downloadResult.quality,
-        duration: downloadResult.duration,
-        expires: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-      }
+      downloads: matching.slice((page - 1) * limit, page * limit).map(toDownloadEntry),
+      total: matching.length,
+      page,
+      limit,
+      totals: { all: history.length, byFormat: totals }
     });
-    
   } catch (error) {
-    console.error('Download error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Download failed',
-      message: error.message
-    });
+    console.error('Download history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch download history' });
   }
 });
 
-// Stream audio
-app.get('/api/stream/:videoId', async (req, res) => {
+// Records a download the user finished. Only their own completed download
+// jobs can be recorded, once each.
+app.post('/api/downloads', authenticate, async (req, res) => {
   try {
-    const { videoId } = req.params;
-    const range = req.headers.range;
+    const { jobId } = req.body;
     
-    if (!range) {
-      // Return direct download if no range header
-      const downloadResult = await downloadFromGiftedTech(videoId, 'mp3', '320kbps');
-      
-      if (downloadResult.success) {
-        return res.redirect(downloadResult.downloadUrl);
-      }
-      
-      return res.status(400).send('Range header required');
+    if (!isNonEmptyString(jobId)) {
+      return res.status(400).json({ success: false, error: 'jobId is required' });
     }
     
-    // For streaming, we need to implement proper range requests
-    // This is simplified - in production you'd want to stream from source
-    res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Content-Type', 'audio/mpeg');
-    
-    // Get download URL
-    const downloadResult = await downloadFromGiftedTech(videoId, 'mp3', '320kbps');
+    const job = await jobStore.get(jobId);
+    if (!job || job.type !== 'download' || job.ownerId !== req.user.id) {
+      return res.status(404).json({ success: false, error: 'Download not found' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ success: false, error: 'Download has not finished' });
+    }
+    if (job.data.history) {
+      return res.status(409).json({ success: false, error: 'Re-downloads update the entry they came from' });
+    }
     
-    if (downloadResult.success) {
-      // Redirect to the actual audio file for streaming
-      res.redirect(downloadResult.downloadUrl);
-    } else {
-      res.status(500).json({ error: 'Streaming unavailable' });
+    const entry = await addDownloadHistory(req.user.id, job);
+    if (!entry) {
+      const user = await User.findOne({ _id: req.user.id, 'downloads.jobId': jobId }, { 'downloads.$': 1 });
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+      return res.json({ success: true, download: toDownloadEntry(user.downloads[0]) });
     }
     
+    res.status(201).json({ success: true, download: toDownloadEntry(entry) });
   } catch (error) {
-    console.error('Stream error:', error);
-    res.status(500).json({ error: 'Streaming failed' });
+    console.error('Download history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to record download' });
   }
 });
 
-// Upload custom mix
-app.post('/api/upload', upload.single('audio'), async (req, res) => {
+// Hands back the stored link while it still works, otherwise runs the same
+// download again; the job refreshes the entry's link when it completes
+app.post('/api/downloads/:downloadId/redownload', authenticate, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const user = await User.findById(req.user.id, { downloads: 1 }).lean();
+    const entry = user?.downloads?.find(download => download._id.toString() === req.params.downloadId);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Download not found' });
     }
     
-    const { title, artist, description, tags } = req.body;
-    const file = req.file;
+    if (isDownloadLinkValid(entry)) {
+      return res.json({ success: true, download: toDownloadEntry(entry) });
+    }
     
-    // Upload to Cloudinary
-    const cloudinaryResult = await cloudinary.v2.uploader.upload(file.path, {
-      resource_type: 'video',
-      folder: 'mixhub/uploads',
-      public_id: `upload_${Date.now()}`,
-      overwrite: true
+    const job = await enqueueJob('download', {
+      videoId: entry.videoId,
+      format: entry.format,
+      quality: entry.quality,
+      history: { userId: req.user.id, downloadId: req.params.downloadId }
+    }, {
+      socketId: req.get('X-Socket-Id'),
+      ownerId: req.user.id
     });
     
-    // Generate waveform (simplified)
-    const audioBuffer = fs.readFileSync(file.path);
-    const waveform = await generateWaveform(audioBuffer);
-    
-    // Create mix in database
-    const mix = new Mix({
-      videoId: `upload_${Date.now()}`,
-      title: title || file.originalname.replace(/\.[^/.]+$/, ""),
-      artist: artist || 'Unknown Artist',
-      thumbnail: cloudinaryResult.secure_url.replace(/\.(mp3|wav|m4a|flac)$/, '.jpg'),
-      audioUrl: cloudinaryResult.secure_url,
-      waveform: JSON.stringify(waveform),
-      tags: tags ? tags.split(',').map(t => t.trim()) : [],
-      uploadedBy: 'user', // In production, use actual user ID
-      uploadedAt: new Date()
-    });
+    res.status(202).json({ success: true, job: toPublicJob(job) });
+  } catch (error) {
+    console.error('Redownload error:', error);
+    res.status(500).json({ success: false, error: 'Failed to regenerate download' });
+  }
+});
+
+app.delete('/api/downloads/:downloadId', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.downloadId)) {
+      return res.status(404).json({ success: false, error: 'Download not found' });
+    }
     
-    await mix.save();
+    const result = await User.updateOne(
+      { _id: req.user.id },
+      { $pull: { downloads: { _id: req.params.downloadId } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Download not found' });
+    }
     
-    // Clean up uploaded file
-    fs.unlinkSync(file.path);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Download history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete download' });
+  }
+});
+
+app.delete('/api/downloads', authenticate, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $set: { downloads: [] } });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Download history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to clear download history' });
+  }
+});
+
+// Play queue
+app.get('/api/queue', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('queue');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
     
-    res.json({
-      success: true,
-      mix: {
-        id: mix._id,
-        title: mix.title,
-        artist: mix.artist,
-        audioUrl: mix.audioUrl,
-        thumbnail: mix.thumbnail,
-        waveform: waveform
-      }
-    });
+    res.json({ success: true, queue: toQueue(user.queue) });
     
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Upload failed', message: error.message });
+    console.error('Queue fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch queue' });
   }
 });
 
-// User registration
-app.post('/api/auth/register', async (req, res) => {
+// Replace the queue. `version` is the version the client last loaded; if the
+// queue has changed since, the current one comes back with a 409.
+app.put('/api/queue', authenticate, async (req, res) => {
   try {
-    const { username, email, password } = req.body;
-    
-    // Check if user exists
-    const existingUser = await User.findOne({ $or: [{ username }, { email }] });
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
+    const { version = 0 } = req.body;
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({ error: 'version must be a non-negative integer' });
     }
     
-    // Create user (in production, hash password!)
-    const user = new User({
-      username,
-      email,
-      password, // In production: await bcrypt.hash(password, 10)
-      avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(username)}&background=random&color=fff`,
-      createdAt: new Date()
-    });
+    const { error, queue } = validateQueue(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    await user.save();
+    const resolved = await resolveQueue(queue);
+    const user = await User.findOneAndUpdate(
+      queueVersionFilter(req.user.id, version),
+      { $set: { queue: { ...resolved, version: version + 1, updatedAt: new Date() } } },
+      { new: true, projection: 'queue' }
+    );
     
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar
+    if (!user) {
+      const current = await User.findById(req.user.id).select('queue');
+      if (!current) {
+        return res.status(404).json({ error: 'User not found' });
       }
-    });
+      return res.status(409).json({
+        error: 'Queue was changed on another device',
+        queue: toQueue(current.queue)
+      });
+    }
+    
+    res.json({ success: true, queue: toQueue(user.queue) });
     
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    console.error('Queue save error:', error);
+    res.status(500).json({ error: 'Failed to save queue' });
   }
 });
 
-// User login
-app.post('/api/auth/login', async (req, res) => {
+// Save how far into the current item playback has got. Sent often, so it
+// leaves the version alone.
+app.patch('/api/queue/position', authenticate, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { index, position, version = 0 } = req.body;
     
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'index must be a non-negative integer' });
+    }
+    if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ error: 'position must be a non-negative number of seconds' });
     }
     
-    // In production: const validPassword = await bcrypt.compare(password, user.password);
-    const validPassword = password === user.password; // Simplified for demo
+    const result = await User.updateOne(
+      { ...queueVersionFilter(req.user.id, version), [`queue.items.${index}`]: { $exists: true } },
+      { $set: { 'queue.index': index, 'queue.position': position, 'queue.updatedAt': new Date() } }
+    );
     
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ error: 'Queue was changed on another device' });
     }
     
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        avatar: user.avatar,
-        preferences: user.preferences
-      }
-    });
+    res.json({ success: true });
     
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    console.error('Queue position error:', error);
+    res.status(500).json({ error: 'Failed to save queue position' });
   }
 });
 
-// Get user profile
-app.get('/api/profile/:userId', async (req, res) => {
+// Empty the queue; history, shuffle and repeat are kept
+app.delete('/api/queue', authenticate, async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    const user = await User.findById(userId).select('-password');
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      {
+        $set: { 'queue.items': [], 'queue.index': -1, 'queue.position': 0, 'queue.updatedAt': new Date() },
+        $inc: { 'queue.version': 1 }
+      },
+      { new: true, projection: 'queue' }
+    );
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    res.json({
-      success: true,
-      user
-    });
+    res.json({ success: true, queue: toQueue(user.queue) });
     
   } catch (error) {
-    console.error('Profile error:', error);
-    res.status(500).json({ error: 'Failed to fetch profile' });
+    console.error('Queue clear error:', error);
+    res.status(500).json({ error: 'Failed to clear queue' });
+  }
+});
+
+// Play events. The player starts a session when a mix begins and reports
+// once it has heard the threshold the start response carries; the server
+// decides from its own clock whether that is a play.
+const requirePlayTracking = (req, res, next) => {
+  if (!isDatabaseReady()) {
+    return res.status(503).json({ success: false, error: 'Play tracking requires a database' });
+  }
+  next();
+};
+
+app.post('/api/plays/:videoId/start', requirePlayTracking, requireKnownVideo(findPlayableMix), async (req, res) => {
+  try {
+    const { threshold } = await playCounter.start(req.video, getListenerKey(req));
+    res.json({ success: true, threshold });
+  } catch (error) {
+    console.error('Play start error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start play' });
   }
 });
 
-// Update equalizer settings
-app.post('/api/equalizer', async (req, res) => {
+app.post('/api/plays/:videoId', requirePlayTracking, requireKnownVideo(findPlayableMix), async (req, res) => {
   try {
-    const { userId, bass = 0, mid = 0, treble = 0 } = req.body;
+    const { videoId } = req.video;
+    const claimed = req.body.listened === undefined ? undefined : Number(req.body.listened);
+    const result = await playCounter.report(req.video, getListenerKey(req), claimed);
     
-    await User.findByIdAndUpdate(userId, {
-      $set: {
-        'preferences.equalizer.bass': bass,
-        'preferences.equalizer.mid': mid,
-        'preferences.equalizer.treble': treble
-      }
-    });
+    if (!result.counted) {
+      return res.json({ success: true, ...result });
+    }
     
-    res.json({
-      success: true,
-      equalizer: { bass, mid, treble },
-      message: 'Equalizer settings saved'
-    });
+    const playCount = await recordPlay(videoId);
+    trackEvent('play', { videoId });
     
+    res.json({ success: true, ...result, playCount });
   } catch (error) {
-    console.error('Equalizer error:', error);
-    res.status(500).json({ error: 'Failed to save equalizer settings' });
+    console.error('Play tracking error:', error);
+    res.status(500).json({ success: false, error: 'Failed to record play' });
   }
 });
 
-// Get waveform data
-app.get('/api/waveform/:videoId', async (req, res) => {
+// Top charts
+app.get('/api/charts', async (req, res) => {
   try {
-    const { videoId } = req.params;
+    const period = req.query.period || 'weekly';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
     
-    const mix = await Mix.findOne({ videoId });
-    if (mix && mix.waveform) {
-      return res.json({
-        success: true,
-        waveform: JSON.parse(mix.waveform),
-        duration: mix.duration || 180 // Default 3 minutes
+    if (!(period in CHART_PERIODS)) {
+      return res.status(400).json({
+        success: false,
+        error: `period must be one of: ${Object.keys(CHART_PERIODS).join(', ')}`
       });
     }
+    if (!isDatabaseReady()) {
+      return res.status(503).json({ success: false, error: 'Charts require a database' });
+    }
     
-    // Generate random waveform for YouTube videos
-    const waveform = Array.from({ length: 100 }, () => Math.floor(Math.random() * 80) + 20);
+    const mixes = await getTopCharts(period, limit);
     
     res.json({
       success: true,
-      waveform,
-      duration: 180 // 3 minutes default
+      period,
+      mixes: mixes.map((mix, index) => ({ rank: index + 1, ...mix }))
     });
-    
   } catch (error) {
-    console.error('Waveform error:', error);
-    res.status(500).json({ error: 'Failed to generate waveform' });
+    console.error('Charts error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load charts' });
   }
 });
 
-// Create playlist
-app.post('/api/playlists', async (req, res) => {
+// Dashboard stat cards
+app.get('/api/stats', async (req, res) => {
   try {
-    const { userId, name, description } = req.body;
+    const stats = {
+      totalMixes: 0,
+      totalPlays: 0,
+      totalDownloads: 0,
+      totalLikes: 0
+    };
+    const live = await getLiveCounts();
+    stats.activeListeners = live.listeners;
+    stats.nowPlaying = live.nowPlaying;
     
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (isDatabaseReady()) {
+      const [totals] = await Mix.aggregate([
+        {
+          $group: {
+            _id: null,
+            totalMixes: { $sum: 1 },
+            totalPlays: { $sum: '$playCount' },
+            totalDownloads: { $sum: '$downloadCount' },
+            totalLikes: { $sum: '$likes' }
+          }
+        },
+        { $project: { _id: 0 } }
+      ]);
+      Object.assign(stats, totals);
+    } else {
+      stats.totalMixes = (await getCatalogVideos()).total;
     }
     
-    const playlist = {
-      name,
-      description,
-      mixes: [],
-      createdAt: new Date()
-    };
-    
-    user.playlists.push(playlist);
-    await user.save();
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('Stats error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load stats' });
+  }
+});
+
+// Listeners connected right now, overall and per mix. Dashboards also get
+// these pushed as 'presence:update'.
+app.get('/api/stats/live', async (req, res) => {
+  try {
+    const live = await getLiveCounts();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
     
     res.json({
       success: true,
-      playlist: playlist
+      live: { ...live, mixes: live.mixes.slice(0, limit) },
+      shared: isPresenceShared()
     });
+  } catch (error) {
+    console.error('Live stats error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load live stats' });
+  }
+});
+
+// Playback events reported by the player. Plays are counted by
+// /api/plays; this takes the events only the client can see.
+app.post('/api/analytics/events', async (req, res) => {
+  try {
+    const { type, videoId } = req.body;
+    
+    if (!ANALYTICS_CLIENT_EVENTS.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${ANALYTICS_CLIENT_EVENTS.join(', ')}`
+      });
+    }
+    if (typeof videoId !== 'string' || !videoId) {
+      return res.status(400).json({ success: false, error: 'videoId is required' });
+    }
+    if (!isValidVideoId(videoId) || !(await findCatalogVideo(videoId))) {
+      return res.status(404).json({ success: false, error: 'Mix not found' });
+    }
+    
+    // Same debounce as plays, so one listener can't inflate a mix's numbers
+    const debounceKey = `analytics:${type}:${videoId}:${getListenerKey(req)}`;
+    if (!(await cache.add(debounceKey, PLAY_DEBOUNCE, '1'))) {
+      return res.json({ success: true, recorded: false });
+    }
     
+    trackEvent(type, { videoId });
+    res.json({ success: true, recorded: true });
   } catch (error) {
-    console.error('Playlist error:', error);
-    res.status(500).json({ error: 'Failed to create playlist' });
+    console.error('Analytics event error:', error);
+    res.status(500).json({ success: false, error: 'Failed to record event' });
   }
 });
 
-// Add mix to favorites
-app.post('/api/favorites/:videoId', async (req, res) => {
+// Admin analytics reports
+app.get('/api/admin/analytics/mixes', authenticate, requireAdmin, async (req, res) => {
   try {
-    const { videoId } = req.params;
-    const { userId, title, thumbnail } = req.body;
+    const range = parseAnalyticsRange(req.query);
+    const metric = req.query.metric || 'plays';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
     
-    await User.findByIdAndUpdate(userId, {
-      $addToSet: {
-        favorites: {
-          videoId,
-          title,
-          thumbnail,
-          addedAt: new Date()
-        }
-      }
-    });
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+    if (!ANALYTICS_MIX_METRICS[metric]) {
+      return res.status(400).json({
+        success: false,
+        error: `metric must be one of: ${Object.keys(ANALYTICS_MIX_METRICS).join(', ')}`
+      });
+    }
+    
+    const mixes = await getMixTrends(range, metric, limit);
+    
+    res.json({ success: true, ...range, metric, mixes });
+  } catch (error) {
+    console.error('Mix analytics error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load mix analytics' });
+  }
+});
+
+app.get('/api/admin/analytics/mixes/:videoId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+    
+    const series = await getMixSeries(req.params.videoId, range);
+    const totals = Object.fromEntries(Object.keys(ANALYTICS_MIX_METRICS).map(metric => [
+      metric,
+      series.reduce((sum, point) => sum + point[metric], 0)
+    ]));
     
     res.json({
       success: true,
-      message: 'Added to favorites'
+      videoId: req.params.videoId,
+      ...range,
+      totals: {
+        ...totals,
+        completionRate: toRate(totals.completes, totals.plays),
+        skipRate: toRate(totals.skips, totals.plays)
+      },
+      series
     });
+  } catch (error) {
+    console.error('Mix series error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load mix analytics' });
+  }
+});
+
+app.get('/api/admin/analytics/formats', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
     
+    res.json({ success: true, ...range, ...await getFormatTrends(range) });
   } catch (error) {
-    console.error('Favorite error:', error);
-    res.status(500).json({ error: 'Failed to add to favorites' });
+    console.error('Format analytics error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load format analytics' });
+  }
+});
+
+app.get('/api/admin/analytics/searches', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+    
+    res.json({ success: true, ...range, searches: await getSearchTrends(range, limit) });
+  } catch (error) {
+    console.error('Search analytics error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load search analytics' });
   }
 });
 
@@ -811,13 +6065,67 @@ app.use('*', (req, res) => {
     availableEndpoints: [
       'GET /api/health',
       'GET /api/channel/videos',
-      'GET /api/download/:videoId',
+      'GET /api/channel/videos/:videoId',
+      'GET /api/channel/sync',
+      'GET /api/search',
+      'POST /api/download/:videoId',
+      'GET /api/download/options/:videoId',
+      'GET /api/jobs/:jobId',
+      'DELETE /api/jobs/:jobId',
       'GET /api/stream/:videoId',
       'POST /api/upload',
+      'GET /api/uploads',
+      'PATCH /api/uploads/:videoId',
+      'PUT /api/uploads/:videoId/audio',
+      'PUT /api/uploads/:videoId/cover',
+      'DELETE /api/uploads/:videoId',
       'POST /api/auth/register',
       'POST /api/auth/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'GET /api/profile',
+      'PATCH /api/profile',
       'GET /api/waveform/:videoId',
-      'POST /api/equalizer'
+      'GET /api/equalizer',
+      'POST /api/equalizer',
+      'GET /api/equalizer/presets',
+      'POST /api/equalizer/presets',
+      'PATCH /api/equalizer/presets/:presetId',
+      'DELETE /api/equalizer/presets/:presetId',
+      'GET /api/equalizer/presets/shared/:shareCode',
+      'POST /api/equalizer/presets/shared/:shareCode',
+      'GET /api/playlists',
+      'POST /api/playlists',
+      'PUT /api/playlists/order',
+      'GET /api/playlists/:playlistId',
+      'PATCH /api/playlists/:playlistId',
+      'DELETE /api/playlists/:playlistId',
+      'POST /api/playlists/:playlistId/mixes',
+      'PATCH /api/playlists/:playlistId/mixes/:videoId',
+      'DELETE /api/playlists/:playlistId/mixes/:videoId',
+      'GET /api/favorites',
+      'POST /api/favorites/:videoId',
+      'PUT /api/favorites/:videoId',
+      'DELETE /api/favorites/:videoId',
+      'GET /api/downloads',
+      'POST /api/downloads',
+      'POST /api/downloads/:downloadId/redownload',
+      'DELETE /api/downloads/:downloadId',
+      'DELETE /api/downloads',
+      'GET /api/queue',
+      'PUT /api/queue',
+      'PATCH /api/queue/position',
+      'DELETE /api/queue',
+      'POST /api/plays/:videoId/start',
+      'POST /api/plays/:videoId',
+      'GET /api/charts',
+      'GET /api/stats',
+      'GET /api/stats/live',
+      'POST /api/analytics/events',
+      'GET /api/admin/analytics/mixes',
+      'GET /api/admin/analytics/mixes/:videoId',
+      'GET /api/admin/analytics/formats',
+      'GET /api/admin/analytics/searches'
     ]
   });
 });
@@ -836,33 +6144,6 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Database connection
-// Initialize Redis (with error handling)
-let redis;
-try {
-  if (process.env.REDIS_URL) {
-    redis = new Redis(process.env.REDIS_URL);
-    console.log('✅ Redis connected');
-  } else {
-    console.log('⚠️  Redis not configured - using in-memory cache');
-    // Simple in-memory cache object
-    redis = {
-      get: async () => null,
-      set: async () => true,
-      setex: async () => true,
-      quit: async () => {}
-    };
-  }
-} catch (error) {
-  console.log('⚠️  Redis connection failed - using fallback');
-  redis = {
-    get: async () => null,
-    set: async () => true,
-    setex: async () => true,
-    quit: async () => {}
-  };
-}
-
 // Database connection with graceful fallback
 const connectDB = async () => {
   try {
@@ -873,6 +6154,11 @@ const connectDB = async () => {
       // Create indexes
       await Mix.createIndexes();
       await User.createIndexes();
+      await PlayCount.createIndexes();
+      await AnalyticsRollup.createIndexes();
+      await EqualizerPreset.createIndexes();
+      await PartyMessage.createIndexes();
+      await seedEqualizerPresets();
     } else {
       console.log('⚠️  MongoDB not configured - running without database');
       console.log('⚠️  Some features will be limited');
@@ -888,6 +6174,12 @@ const connectDB = async () => {
 const startServer = async () => {
   try {
     await connectDB();
+    scheduleChannelSync();
+    setInterval(sweepMediaDir, 60 * 60 * 1000).unref();
+    setInterval(flushAnalytics, ANALYTICS_FLUSH_INTERVAL).unref();
+    setInterval(memoryCache.prune, CACHE_PRUNE_INTERVAL).unref();
+    startPresence();
+    await recoverJobs().catch(error => console.error('Job recovery error:', error.message));
     
     const PORT = process.env.PORT || 3001;
     httpServer.listen(PORT, () => {
@@ -897,6 +6189,7 @@ const startServer = async () => {
 ✅ Port: ${PORT}
 ✅ YouTube Channel: ${process.env.YOUTUBE_CHANNEL_ID}
 ✅ GiftedTech API: ${process.env.GIFTED_API_KEY ? 'Active' : 'Not configured'}
+✅ Download providers: ${getProviderChain().map(provider => provider.name).join(' → ')}
 ✅ Cloudinary: ${process.env.CLOUDINARY_CLOUD_NAME ? 'Active' : 'Not configured'}
 ✅ Environment: ${process.env.NODE_ENV || 'development'}
 ────────────────────────
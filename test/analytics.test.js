@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ANALYTICS_MAX_RANGE, listBuckets, parseAnalyticsRange } from '../lib/analytics.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = Date.parse('2026-10-19T15:30:00Z');
+
+describe('analytics range', () => {
+  it('defaults to the last 30 days by day', () => {
+    const range = parseAnalyticsRange({}, now);
+    
+    assert.equal(range.granularity, 'day');
+    assert.equal(range.to.getTime(), now);
+    assert.equal(range.from.toISOString(), '2026-09-19T00:00:00.000Z');
+    assert.equal(listBuckets(range).length, 31);
+  });
+  
+  it('caps the range at 90 days', () => {
+    const range = parseAnalyticsRange({ from: '2000-01-01', to: '2026-10-01' }, now);
+    
+    assert.equal(range.to.toISOString(), '2026-10-01T00:00:00.000Z');
+    assert.equal(range.from.toISOString(), '2026-07-03T00:00:00.000Z');
+    assert.ok(range.to - range.from <= ANALYTICS_MAX_RANGE);
+  });
+  
+  it('stops the range at now', () => {
+    const range = parseAnalyticsRange({ from: '2026-10-01', to: '9999-12-31' }, now);
+    
+    assert.equal(range.to.getTime(), now);
+    assert.equal(listBuckets(range).length, 19);
+  });
+  
+  it('keeps hourly ranges within their retention', () => {
+    const range = parseAnalyticsRange({ granularity: 'hour', from: '2026-01-01' }, now);
+    
+    assert.ok(range.from.getTime() >= now - 14 * DAY - HOUR);
+    assert.ok(listBuckets(range).length <= 14 * 24 + 1);
+  });
+  
+  it('rejects ranges that are empty or in the future', () => {
+    for (const query of [
+      { from: '2026-10-10', to: '2026-10-01' },
+      { from: '2030-01-01' },
+      { from: 'yesterday' }
+    ]) {
+      assert.ok(parseAnalyticsRange(query, now).error, JSON.stringify(query));
+    }
+  });
+  
+  it('rejects unknown granularities and non-text parameters', () => {
+    for (const query of [
+      { granularity: 'minute' },
+      { granularity: 'constructor' },
+      { granularity: ['day', 'hour'] },
+      { from: { $gt: '' } }
+    ]) {
+      assert.ok(parseAnalyticsRange(query, now).error, JSON.stringify(query));
+    }
+  });
+});
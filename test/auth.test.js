@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import {
+  createTokenAuth,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  verifyLegacyPassword
+} from '../lib/auth.js';
+
+const SECRET = 'test-secret';
+const user = { _id: 'user-1', username: 'dj', tokenVersion: 3 };
+
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const runAuthenticate = (authenticate, authorization) => {
+  const req = { headers: authorization ? { authorization } : {} };
+  const res = mockResponse();
+  let called = false;
+  authenticate(req, res, () => {
+    called = true;
+  });
+  return { req, res, called };
+};
+
+describe('passwords', () => {
+  it('verifies a hashed password', async () => {
+    const stored = await hashPassword('correct horse');
+    
+    assert.ok(isPasswordHash(stored));
+    assert.equal(await verifyPassword('correct horse', stored), true);
+    assert.equal(await verifyPassword('wrong horse', stored), false);
+  });
+  
+  it('rejects stored values that are not scrypt hashes', async () => {
+    assert.equal(await verifyPassword('secret', 'secret'), false);
+    assert.equal(await verifyPassword('secret', undefined), false);
+  });
+  
+  it('compares legacy plaintext passwords of any length', () => {
+    assert.equal(verifyLegacyPassword('hunter22', 'hunter22'), true);
+    assert.equal(verifyLegacyPassword('hunter2', 'hunter22'), false);
+    assert.equal(verifyLegacyPassword('a much longer guess', 'hunter22'), false);
+  });
+  
+  it('never treats a hash or a missing password as legacy plaintext', async () => {
+    const stored = await hashPassword('secret');
+    
+    assert.equal(verifyLegacyPassword(stored, stored), false);
+    assert.equal(verifyLegacyPassword('', ''), false);
+    assert.equal(verifyLegacyPassword('secret', null), false);
+    assert.equal(isPasswordHash(null), false);
+  });
+});
+
+describe('tokens', () => {
+  const auth = createTokenAuth({ secret: SECRET });
+  
+  it('accepts its own access token', () => {
+    const { accessToken } = auth.issueTokens(user);
+    const { res, req, called } = runAuthenticate(auth.authenticate, `Bearer ${accessToken}`);
+    
+    assert.equal(called, true);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(req.user, { id: 'user-1', username: 'dj' });
+  });
+  
+  it('requires a bearer token', () => {
+    const missing = runAuthenticate(auth.authenticate);
+    const basic = runAuthenticate(auth.authenticate, 'Basic abc');
+    
+    assert.equal(missing.called, false);
+    assert.equal(missing.res.statusCode, 401);
+    assert.equal(basic.res.statusCode, 401);
+  });
+  
+  it('rejects refresh tokens, foreign signatures and expired tokens', () => {
+    const { refreshToken } = auth.issueTokens(user);
+    const foreign = createTokenAuth({ secret: 'other-secret' }).issueTokens(user).accessToken;
+    const expired = jwt.sign(
+      { sub: 'user-1', username: 'dj', type: 'access', exp: Math.floor(Date.now() / 1000) - 10 },
+      SECRET
+    );
+    
+    for (const token of [refreshToken, foreign, expired]) {
+      const { res, called } = runAuthenticate(auth.authenticate, `Bearer ${token}`);
+      assert.equal(called, false);
+      assert.equal(res.statusCode, 401);
+    }
+  });
+  
+  it('reads the version from refresh tokens only', () => {
+    const { accessToken, refreshToken } = auth.issueTokens(user);
+    
+    assert.deepEqual(auth.verifyRefreshToken(refreshToken), { id: 'user-1', version: 3 });
+    assert.equal(auth.verifyRefreshToken(accessToken), null);
+    assert.equal(auth.verifyRefreshToken(undefined), null);
+  });
+  
+  it('attributes optional requests only with a valid access token', () => {
+    const { accessToken, refreshToken } = auth.issueTokens(user);
+    const request = token => ({ headers: { authorization: `Bearer ${token}` } });
+    
+    assert.deepEqual(auth.getOptionalUser(request(accessToken)), { id: 'user-1', username: 'dj' });
+    assert.equal(auth.getOptionalUser(request(refreshToken)), null);
+    assert.equal(auth.getOptionalUser({ headers: {} }), null);
+  });
+});
@@ -0,0 +1,153 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  createGiftedTechProvider,
+  createProviderChain,
+  isProviderFault
+} from '../lib/download-providers.js';
+
+// Stands in for the GiftedTech API (what GIFTED_API_BASE_URL points at);
+// `respond` decides each answer and `requests` records what was asked
+let respond;
+let requests;
+let server;
+let baseUrl;
+
+const fallbackProvider = {
+  name: 'fallback',
+  isConfigured: () => true,
+  resolve: async (videoId, { format }) => ({ downloadUrl: `/media/${videoId}.mp3`, format })
+};
+
+const createChain = (options = {}) => {
+  const gifted = createGiftedTechProvider({ baseUrl, getApiKey: () => 'test-key', timeout: 2000 });
+  return createProviderChain({
+    getProviders: () => [gifted, fallbackProvider],
+    failureThreshold: 2,
+    cooldown: 60 * 1000,
+    ...options
+  });
+};
+
+const giftedStatus = chain => chain.getStatus().find(status => status.name === 'giftedtech');
+
+describe('download provider chain', () => {
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+      const { status = 200, body } = respond(url);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/`;
+  });
+  
+  after(() => new Promise(resolve => server.close(resolve)));
+  
+  beforeEach(() => {
+    requests = [];
+  });
+  
+  it('returns the first provider that answers', async () => {
+    respond = () => ({
+      body: { success: true, result: { download_url: 'https://cdn.example/mix.mp3', title: 'Mix' } }
+    });
+    
+    const result = await createChain().resolve('dQw4w9WgXcQ', 'mp3', '320kbps');
+    
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'giftedtech');
+    assert.equal(result.downloadUrl, 'https://cdn.example/mix.mp3');
+    assert.equal(requests[0].pathname, '/api/download/dlmp3');
+    assert.equal(requests[0].searchParams.get('apikey'), 'test-key');
+    assert.equal(requests[0].searchParams.get('url'), 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+  });
+  
+  it('falls back when the API fails and opens the circuit on repeated 5xx', async () => {
+    respond = () => ({ status: 503, body: { error: 'down' } });
+    const chain = createChain();
+    
+    for (let i = 0; i < 2; i++) {
+      const result = await chain.resolve('dQw4w9WgXcQ');
+      assert.equal(result.provider, 'fallback');
+      assert.equal(result.attempts[0].provider, 'giftedtech');
+    }
+    assert.equal(giftedStatus(chain).state, 'open');
+    
+    const skipped = await chain.resolve('dQw4w9WgXcQ');
+    assert.equal(skipped.provider, 'fallback');
+    assert.deepEqual(skipped.attempts, [{ provider: 'giftedtech', skipped: 'circuit open' }]);
+    assert.equal(requests.length, 2);
+  });
+  
+  it('does not count answers about the video toward the breaker', async () => {
+    respond = () => ({ body: { success: false, message: 'Video not found' } });
+    const chain = createChain();
+    
+    for (let i = 0; i < 4; i++) {
+      const result = await chain.resolve('dQw4w9WgXcQ');
+      assert.equal(result.provider, 'fallback');
+    }
+    
+    const status = giftedStatus(chain);
+    assert.equal(status.state, 'closed');
+    assert.equal(status.failures, 4);
+    assert.equal(status.consecutiveFailures, 0);
+    assert.equal(requests.length, 4);
+  });
+  
+  it('closes a half-open circuit when the trial answers', async () => {
+    respond = () => ({ status: 500, body: {} });
+    const chain = createChain({ cooldown: 0 });
+    
+    await chain.resolve('dQw4w9WgXcQ');
+    await chain.resolve('dQw4w9WgXcQ');
+    assert.equal(giftedStatus(chain).state, 'half-open');
+    
+    respond = () => ({ body: { success: true, result: { download_url: 'https://cdn.example/mix.mp3' } } });
+    const result = await chain.resolve('dQw4w9WgXcQ');
+    
+    assert.equal(result.provider, 'giftedtech');
+    assert.equal(giftedStatus(chain).state, 'closed');
+  });
+  
+  it('counts an unreachable API as a provider fault', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+    
+    const gifted = createGiftedTechProvider({ baseUrl: `http://127.0.0.1:${port}`, getApiKey: () => 'key' });
+    const chain = createProviderChain({ getProviders: () => [gifted, fallbackProvider], failureThreshold: 1 });
+    
+    const result = await chain.resolve('dQw4w9WgXcQ');
+    assert.equal(result.provider, 'fallback');
+    assert.equal(giftedStatus(chain).state, 'open');
+  });
+  
+  it('reports failure when no provider answers', async () => {
+    respond = () => ({ status: 500, body: {} });
+    const gifted = createGiftedTechProvider({ baseUrl, getApiKey: () => 'key' });
+    const unconfigured = { ...fallbackProvider, isConfigured: () => false };
+    const chain = createProviderChain({ getProviders: () => [gifted, unconfigured] });
+    
+    const result = await chain.resolve('dQw4w9WgXcQ');
+    
+    assert.equal(result.success, false);
+    assert.deepEqual(result.attempts.map(attempt => attempt.provider), ['giftedtech', 'fallback']);
+    assert.equal(result.attempts[1].skipped, 'not configured');
+  });
+});
+
+describe('isProviderFault', () => {
+  it('separates provider failures from answers about the video', () => {
+    assert.equal(isProviderFault({ response: { status: 502 } }), true);
+    assert.equal(isProviderFault({ response: { status: 404 } }), false);
+    assert.equal(isProviderFault({ code: 'ECONNABORTED' }), true);
+    assert.equal(isProviderFault({ providerFault: false, code: 'ECONNRESET' }), false);
+    assert.equal(isProviderFault(new Error('Video unavailable')), false);
+  });
+});
@@ -0,0 +1,121 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryPartyStore, updateParty } from '../lib/party-store.js';
+
+const TTL = 60 * 1000;
+let clock;
+let store;
+
+const createParty = async (id = 'party-1', inviteCode = 'ABC234') => {
+  const party = { id, inviteCode, members: [{ id: 'socket-1' }], version: 0 };
+  assert.equal(await store.claimInvite(inviteCode, id, TTL), true);
+  assert.equal(await store.save(party, TTL), true);
+  return party;
+};
+
+const ttl = () => TTL;
+
+describe('party store', () => {
+  beforeEach(() => {
+    clock = 1_700_000_000_000;
+    store = createMemoryPartyStore({ now: () => clock });
+  });
+  
+  it('saves a copy and bumps the version', async () => {
+    const party = await createParty();
+    party.members.push({ id: 'socket-2' });
+    
+    const stored = await store.get('party-1');
+    assert.equal(stored.version, 1);
+    assert.equal(stored.members.length, 1);
+    assert.equal(await store.findInvite('ABC234'), 'party-1');
+  });
+  
+  it('refuses saves based on an old version', async () => {
+    await createParty();
+    const first = await store.get('party-1');
+    const second = await store.get('party-1');
+    
+    assert.equal(await store.save(first, TTL), true);
+    assert.equal(await store.save(second, TTL), false);
+    assert.equal((await store.get('party-1')).version, 2);
+  });
+  
+  it('hands out each invite code once', async () => {
+    await createParty();
+    
+    assert.equal(await store.claimInvite('ABC234', 'party-2', TTL), false);
+    await store.releaseInvite('ABC234');
+    assert.equal(await store.claimInvite('ABC234', 'party-2', TTL), true);
+  });
+  
+  it('drops parties and invites after their TTL, counted from the last save', async () => {
+    const party = await createParty();
+    clock += TTL - 1;
+    await store.save(party, TTL);
+    
+    clock += TTL - 1;
+    assert.ok(await store.get('party-1'));
+    assert.equal(await store.findInvite('ABC234'), 'party-1');
+    
+    clock += 1;
+    assert.equal(await store.get('party-1'), null);
+    assert.equal(await store.findInvite('ABC234'), null);
+  });
+});
+
+describe('party updates', () => {
+  beforeEach(() => {
+    clock = 1_700_000_000_000;
+    store = createMemoryPartyStore({ now: () => clock });
+  });
+  
+  it('applies the change and hands back the saved party and result', async () => {
+    await createParty();
+    
+    const { party, result } = await updateParty(store, 'party-1', (current) => {
+      current.members.push({ id: 'socket-2' });
+      return { index: 1 };
+    }, { ttl });
+    
+    assert.equal(party.members.length, 2);
+    assert.deepEqual(result, { index: 1 });
+    assert.equal((await store.get('party-1')).members.length, 2);
+  });
+  
+  it('reapplies the change when another instance saved first', async () => {
+    await createParty();
+    let calls = 0;
+    
+    const { party } = await updateParty(store, 'party-1', (current) => {
+      calls++;
+      if (calls === 1) {
+        // Someone else adds a member between this read and its save
+        const other = structuredClone(current);
+        other.members.push({ id: 'socket-3' });
+        store.save(other, TTL);
+      }
+      current.members.push({ id: 'socket-2' });
+    }, { ttl });
+    
+    assert.equal(calls, 2);
+    assert.deepEqual(party.members.map(member => member.id), ['socket-1', 'socket-3', 'socket-2']);
+  });
+  
+  it('leaves the party alone when the change refuses', async () => {
+    await createParty();
+    
+    const outcome = await updateParty(store, 'party-1', (current) => {
+      current.members = [];
+      return { error: 'This party is full' };
+    }, { ttl });
+    
+    assert.deepEqual(outcome, { error: 'This party is full' });
+    assert.equal((await store.get('party-1')).members.length, 1);
+  });
+  
+  it('reports parties that are gone', async () => {
+    const outcome = await updateParty(store, 'missing', () => {}, { ttl });
+    assert.deepEqual(outcome, { error: 'This party has ended' });
+  });
+});
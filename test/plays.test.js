@@ -0,0 +1,124 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlayCounter } from '../lib/plays.js';
+
+// The parts of the server's cache the counter uses, with TTLs on a fake clock
+let clock;
+const createCache = () => {
+  const entries = new Map();
+  const read = (key) => {
+    const entry = entries.get(key);
+    return entry && entry.expiresAt > clock ? entry.value : null;
+  };
+  
+  return {
+    get: async (key) => read(key),
+    setex: async (key, ttl, value) => {
+      entries.set(key, { value, expiresAt: clock + ttl * 1000 });
+    },
+    add: async (key, ttl, value) => {
+      if (read(key) !== null) {
+        return false;
+      }
+      entries.set(key, { value, expiresAt: clock + ttl * 1000 });
+      return true;
+    },
+    del: async (key) => (entries.delete(key) ? 1 : 0)
+  };
+};
+
+const mix = { videoId: 'dQw4w9WgXcQ', duration: 4680 };
+const listener = 'ip:203.0.113.7';
+let counter;
+
+const advance = (seconds) => {
+  clock += seconds * 1000;
+};
+
+describe('play counting', () => {
+  beforeEach(() => {
+    clock = 1_700_000_000_000;
+    counter = createPlayCounter({ cache: createCache(), threshold: 30, debounce: 30 * 60, now: () => clock });
+  });
+  
+  it('counts a play once the server has seen the threshold pass', async () => {
+    const { threshold } = await counter.start(mix, listener);
+    assert.equal(threshold, 30);
+    
+    advance(31);
+    const result = await counter.report(mix, listener, 31);
+    
+    assert.equal(result.counted, true);
+    assert.equal(result.listened, 31);
+  });
+  
+  it('ignores listening time claimed beyond the time since the start', async () => {
+    await counter.start(mix, listener);
+    advance(5);
+    
+    const result = await counter.report(mix, listener, 3600);
+    
+    assert.equal(result.counted, false);
+    assert.equal(result.listened, 5);
+  });
+  
+  it('takes less than the elapsed time when the client was paused', async () => {
+    await counter.start(mix, listener);
+    advance(120);
+    
+    const result = await counter.report(mix, listener, 12);
+    
+    assert.equal(result.counted, false);
+    assert.equal(result.listened, 12);
+  });
+  
+  it('does not count reports without a session', async () => {
+    const result = await counter.report(mix, listener);
+    
+    assert.equal(result.counted, false);
+    assert.equal(result.reason, 'No play session');
+  });
+  
+  it('counts a session once and debounces replays', async () => {
+    await counter.start(mix, listener);
+    advance(60);
+    assert.equal((await counter.report(mix, listener)).counted, true);
+    assert.equal((await counter.report(mix, listener)).reason, 'No play session');
+    
+    await counter.start(mix, listener);
+    advance(60);
+    assert.equal((await counter.report(mix, listener)).reason, 'Already counted recently');
+    
+    advance(30 * 60);
+    await counter.start(mix, listener);
+    advance(60);
+    assert.equal((await counter.report(mix, listener)).counted, true);
+  });
+  
+  it('counts concurrent reports of the same play once', async () => {
+    await counter.start(mix, listener);
+    advance(60);
+    
+    const results = await Promise.all([1, 2, 3].map(() => counter.report(mix, listener)));
+    
+    assert.equal(results.filter(result => result.counted).length, 1);
+  });
+  
+  it('keeps listeners apart', async () => {
+    await counter.start(mix, listener);
+    await counter.start(mix, 'user:42');
+    advance(60);
+    
+    assert.equal((await counter.report(mix, listener)).counted, true);
+    assert.equal((await counter.report(mix, 'user:42')).counted, true);
+  });
+  
+  it('asks for half of a short mix', async () => {
+    const short = { videoId: 'aaaaaaaaaaa', duration: 40 };
+    const { threshold } = await counter.start(short, listener);
+    
+    assert.equal(threshold, 20);
+    advance(20);
+    assert.equal((await counter.report(short, listener)).counted, true);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findNonStringParam,
+  isNonEmptyString,
+  isQueryStringList,
+  isValidVideoId,
+  isYouTubeVideoId,
+  requireKnownVideo,
+  validateDescription,
+  validatePresetName
+} from '../lib/validation.js';
+
+const catalog = new Map([
+  ['dQw4w9WgXcQ', { videoId: 'dQw4w9WgXcQ', source: 'youtube' }],
+  ['upload_1700000000000', { videoId: 'upload_1700000000000', source: 'upload' }]
+]);
+
+const runGuard = async (videoId) => {
+  const lookups = [];
+  const guard = requireKnownVideo(async (id) => {
+    lookups.push(id);
+    return catalog.get(id) || null;
+  });
+  
+  const req = { params: { videoId } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  await guard(req, res, () => {
+    nextCalled = true;
+  });
+  
+  return { req, res, nextCalled, lookups };
+};
+
+describe('video ids', () => {
+  it('accepts YouTube and upload ids', () => {
+    assert.equal(isValidVideoId('dQw4w9WgXcQ'), true);
+    assert.equal(isValidVideoId('a-b_c-d_e-f'), true);
+    assert.equal(isValidVideoId('upload_1700000000000'), true);
+    assert.equal(isValidVideoId('upload_3b241101-e2bb-4255-8caf-4136c566a962'), true);
+  });
+  
+  it('rejects anything else', () => {
+    for (const id of ['', 'short', 'dQw4w9WgXcQQ', '../../etc/pa', '..%2F..%2Fetc', 'upload_', 'upload_12a', 'upload_3b241101-e2bb-4255-8caf', 'upload_3B241101-E2BB-4255-8CAF-4136C566A962', 'dQw4w9WgXc/', ['dQw4w9WgXcQ'], undefined]) {
+      assert.equal(isValidVideoId(id), false, `accepted ${id}`);
+    }
+  });
+  
+  it('only takes YouTube ids for the providers', () => {
+    assert.equal(isYouTubeVideoId('dQw4w9WgXcQ'), true);
+    assert.equal(isYouTubeVideoId('upload_1700000000000'), false);
+  });
+});
+
+describe('stream validation', () => {
+  it('passes catalog mixes through with the video attached', async () => {
+    const { req, nextCalled } = await runGuard('dQw4w9WgXcQ');
+    
+    assert.equal(nextCalled, true);
+    assert.equal(req.video.source, 'youtube');
+  });
+  
+  it('passes uploaded mixes through', async () => {
+    const { nextCalled } = await runGuard('upload_1700000000000');
+    assert.equal(nextCalled, true);
+  });
+  
+  it('answers 404 for well-formed ids outside the catalog', async () => {
+    const { res, nextCalled, lookups } = await runGuard('aaaaaaaaaaa');
+    
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 404);
+    assert.deepEqual(lookups, ['aaaaaaaaaaa']);
+  });
+  
+  it('turns malformed ids away without looking them up', async () => {
+    const { res, nextCalled, lookups } = await runGuard('../../../etc/passwd');
+    
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 404);
+    assert.deepEqual(lookups, []);
+  });
+  
+  it('hands lookup errors to the error handler', async () => {
+    const guard = requireKnownVideo(async () => {
+      throw new Error('database down');
+    });
+    let passed;
+    await guard({ params: { videoId: 'dQw4w9WgXcQ' } }, {}, (error) => {
+      passed = error;
+    });
+    
+    assert.equal(passed.message, 'database down');
+  });
+});
+
+describe('query parameters', () => {
+  it('finds parameters Express parsed into arrays or objects', () => {
+    const names = ['q', 'sort'];
+    
+    assert.equal(findNonStringParam({ q: 'house', sort: 'date' }, names), undefined);
+    assert.equal(findNonStringParam({}, names), undefined);
+    assert.equal(findNonStringParam({ q: ['a', 'b'] }, names), 'q');
+    assert.equal(findNonStringParam({ q: 'a', sort: { $ne: 'x' } }, names), 'sort');
+  });
+  
+  it('lets list parameters repeat but only as text', () => {
+    assert.equal(isQueryStringList(undefined), true);
+    assert.equal(isQueryStringList('afro'), true);
+    assert.equal(isQueryStringList(['afro', 'house']), true);
+    assert.equal(isQueryStringList({ a: 'b' }), false);
+    assert.equal(isQueryStringList(['afro', { a: 'b' }]), false);
+  });
+});
+
+describe('body fields', () => {
+  it('takes only non-empty text for lookup fields', () => {
+    assert.equal(isNonEmptyString('dj@example.com'), true);
+    
+    for (const value of [undefined, null, '', '   ', 42, ['dj'], { $ne: null }, { $gt: '' }]) {
+      assert.equal(isNonEmptyString(value), false, JSON.stringify(value));
+    }
+  });
+});
+
+describe('descriptions', () => {
+  it('accepts empty and bounded text', () => {
+    assert.equal(validateDescription('', 20), null);
+    assert.equal(validateDescription('Sunday sessions', 20), null);
+  });
+  
+  it('rejects non-text and long descriptions', () => {
+    for (const description of [undefined, null, 42, ['a'], { $set: 'x' }, 'x'.repeat(21)]) {
+      assert.ok(validateDescription(description, 20), JSON.stringify(description));
+    }
+  });
+});
+
+describe('preset names', () => {
+  it('accepts names in any script with light punctuation', () => {
+    for (const name of ['Bass Boost', 'Late Night (Car)', 'Amapiano #2', 'Música & Café', '  Vocal+  ']) {
+      assert.equal(validatePresetName(name, 50), null, name);
+    }
+  });
+  
+  it('rejects missing, long and markup names', () => {
+    for (const name of [undefined, '', '   ', ['Bass'], 'x'.repeat(51), '<img src=x onerror=alert(1)>', 'Bass"Boost', 'Tab\there']) {
+      assert.ok(validatePresetName(name, 50), JSON.stringify(name));
+    }
+  });
+});